@@ -0,0 +1,79 @@
+/**
+ * Assignment strategy corpus
+ *
+ * Runs the small conversations in fixtures/assignmentCases.json through the
+ * matcher with each assignment strategy and checks which API message every DB
+ * message ends up paired with. Exits non-zero if any pairing disagrees with its
+ * expectation.
+ *
+ * Usage: npm run corpus
+ */
+const { logger } = require('../src/config/database');
+const messageMatcher = require('../src/services/messageMatcher');
+const cases = require('./fixtures/assignmentCases.json');
+
+const PHONE_NUMBER = '+60123456789';
+
+/**
+ * DB and API messages in the shapes the matcher receives from verificationService
+ */
+function toMessages(testCase) {
+  const dbMessages = testCase.db.map(message => ({
+    _id: message.id,
+    phone_number: PHONE_NUMBER,
+    message: message.message,
+    sent_date: new Date(message.sent_date),
+    role: 'assistant',
+    type_of_message: 'payment_reminder'
+  }));
+
+  const apiMessages = testCase.api.map(message => ({
+    id: message.id,
+    message: message.message,
+    body: message.message,
+    timestamp: new Date(message.timestamp),
+    phoneNumber: PHONE_NUMBER
+  }));
+
+  return { dbMessages, apiMessages };
+}
+
+async function run() {
+  // Matcher logs would drown the output
+  logger.silent = true;
+
+  let checks = 0;
+  let failures = 0;
+
+  for (const testCase of cases) {
+    for (const [assignmentStrategy, expected] of Object.entries(testCase.expect)) {
+      const { dbMessages, apiMessages } = toMessages(testCase);
+      const results = await messageMatcher.batchMatchMessages(dbMessages, apiMessages, { assignmentStrategy });
+      const actual = Object.fromEntries(dbMessages.map(message => [message._id, null]));
+
+      for (const match of results.matched) {
+        actual[match.dbMessage.id] = match.apiMessage.id;
+      }
+
+      const passed = Object.keys(expected).every(id => actual[id] === expected[id]);
+      checks++;
+      if (!passed) failures++;
+
+      console.log(`${passed ? 'PASS' : 'FAIL'} [${assignmentStrategy}] ${testCase.description}`);
+      if (!passed) {
+        console.log(`     expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    }
+  }
+
+  console.log(`\n${checks - failures}/${checks} assignments as expected`);
+
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
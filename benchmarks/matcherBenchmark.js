@@ -0,0 +1,161 @@
+/**
+ * Matcher benchmark on a synthetic dataset
+ *
+ * Compares the phone/time-indexed matcher with the previous all-pairs scan.
+ * The all-pairs scan is far too slow to run on the full dataset, so it is timed
+ * on a sample of DB messages and extrapolated.
+ *
+ * Usage: npm run bench -- [messages=100000] [phones=5000] [sample=50]
+ */
+const { logger } = require('../src/config/database');
+const messageMatcher = require('../src/services/messageMatcher');
+const { MATCHING } = require('../src/config/constants');
+
+const TEMPLATES = [
+  'Hi {name}, this is a reminder that your payment of RM{amount} is due on {date}. Please pay to avoid late charges.',
+  'Dear {name}, we have not received your payment of RM{amount}. Kindly settle it by {date} or contact us.',
+  'Hello {name}, thank you for your payment of RM{amount} received on {date}.',
+  'Hi {name}, your outstanding balance is RM{amount}. Reply PAY to get a payment link before {date}.',
+  'Good day {name}, please confirm your IC number ending {ic} so we can discuss your account.'
+];
+
+const NAMES = ['Aisyah', 'Ahmad', 'Mei Ling', 'Kumar', 'Siti', 'Wei Jie', 'Priya', 'Hafiz', 'Nurul', 'Jason'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Small seeded PRNG (mulberry32) so runs are reproducible
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state |= 0;
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build DB messages and their WhatsApp-side copies
+ * About 3% of DB messages are never delivered and 2% arrive with edited text.
+ */
+function generateDataset(messageCount, phoneCount) {
+  const random = createRandom(42);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const start = Date.UTC(2024, 0, 1);
+  const dbMessages = [];
+  const apiResponses = new Map();
+
+  for (let i = 0; i < messageCount; i++) {
+    const phoneNumber = `6011${String(1000000 + (i % phoneCount)).padStart(7, '0')}`;
+    const sentDate = new Date(start + Math.floor(random() * 30 * DAY_MS));
+    const message = pick(TEMPLATES)
+      .replace('{name}', pick(NAMES))
+      .replace('{amount}', (50 + Math.floor(random() * 5000)).toFixed(2))
+      .replace('{date}', new Date(sentDate.getTime() + 7 * DAY_MS).toISOString().split('T')[0])
+      .replace('{ic}', String(Math.floor(random() * 10000)).padStart(4, '0'));
+
+    dbMessages.push({
+      _id: i,
+      phone_number: phoneNumber,
+      message,
+      sent_date: sentDate,
+      role: 'assistant',
+      type_of_message: 'payment_reminder'
+    });
+
+    if (!apiResponses.has(phoneNumber)) {
+      apiResponses.set(phoneNumber, { phoneNumber, messages: [], success: true });
+    }
+
+    const roll = random();
+    if (roll < 0.03) continue;
+
+    apiResponses.get(phoneNumber).messages.push({
+      body: roll < 0.05 ? `${message} Terima kasih.` : message,
+      message: roll < 0.05 ? `${message} Terima kasih.` : message,
+      timestamp: new Date(sentDate.getTime() + Math.floor(random() * 120000))
+    });
+  }
+
+  dbMessages.sort((a, b) => a.sent_date - b.sent_date);
+
+  // Same shape verificationService.flattenApiMessages produces
+  const apiMessages = [];
+  for (const response of apiResponses.values()) {
+    for (const message of response.messages) {
+      apiMessages.push({ ...message, phoneNumber: response.phoneNumber });
+    }
+  }
+
+  return { dbMessages, apiMessages };
+}
+
+/**
+ * The matcher's original inner loop: every DB message scanned against every API message
+ */
+function allPairsBestMatch(dbMsg, apiMessages) {
+  let bestScore = 0;
+  let bestMatch = null;
+
+  for (const apiMsg of apiMessages) {
+    if (new Date(dbMsg.sent_date) > new Date(apiMsg.timestamp)) continue;
+
+    const similarity = messageMatcher.calculateSimilarity(dbMsg.message, apiMsg.message);
+    if (similarity > bestScore && similarity >= MATCHING.SIMILARITY_THRESHOLD) {
+      bestScore = similarity;
+      bestMatch = apiMsg;
+    }
+  }
+
+  return bestMatch;
+}
+
+async function run() {
+  const [messageCount = 100000, phoneCount = 5000, sampleSize = 50] = process.argv.slice(2).map(Number);
+
+  // Per-batch matcher logs would drown the output
+  logger.silent = true;
+
+  console.log(`Generating ${messageCount} DB messages across ${phoneCount} phone numbers...`);
+  const { dbMessages, apiMessages } = generateDataset(messageCount, phoneCount);
+  console.log(`DB messages: ${dbMessages.length}, API messages: ${apiMessages.length}\n`);
+
+  // Indexed matcher on the full dataset
+  let startedAt = process.hrtime.bigint();
+  const results = await messageMatcher.batchMatchMessages(dbMessages, apiMessages);
+  const indexedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+  console.log('Indexed matcher (full dataset)');
+  console.log(`  time:      ${(indexedMs / 1000).toFixed(2)}s`);
+  console.log(`  matched:   ${results.statistics.matchedCount}`);
+  console.log(`  unmatched: ${results.statistics.unmatchedCount}\n`);
+
+  // All-pairs scan on a sample, extrapolated
+  const step = Math.max(1, Math.floor(dbMessages.length / sampleSize));
+  const sample = dbMessages.filter((_, i) => i % step === 0).slice(0, sampleSize);
+  let crossPhoneMatches = 0;
+
+  startedAt = process.hrtime.bigint();
+  for (const dbMsg of sample) {
+    const bestMatch = allPairsBestMatch(dbMsg, apiMessages);
+    if (bestMatch && bestMatch.phoneNumber !== dbMsg.phone_number) {
+      crossPhoneMatches++;
+    }
+  }
+  const sampleMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  const extrapolatedMs = (sampleMs / sample.length) * dbMessages.length;
+
+  console.log(`All-pairs scan (${sample.length} sampled DB messages, extrapolated)`);
+  console.log(`  sample time:        ${(sampleMs / 1000).toFixed(2)}s`);
+  console.log(`  estimated full run: ${(extrapolatedMs / 1000 / 60).toFixed(1)} min`);
+  console.log(`  cross-phone matches in sample: ${crossPhoneMatches}\n`);
+
+  console.log(`Speed-up: ~${Math.round(extrapolatedMs / indexedMs)}x`);
+}
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
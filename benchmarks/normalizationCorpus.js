@@ -0,0 +1,60 @@
+/**
+ * Multilingual normalization corpus
+ *
+ * Runs the message pairs in fixtures/multilingualPairs.json through the matcher
+ * and checks each lands on the expected side of the similarity threshold. The
+ * ASCII-only normalizer the matcher used before is shown alongside for comparison.
+ * Exits non-zero if any pair disagrees with its expectation.
+ *
+ * Usage: npm run corpus
+ */
+const stringSimilarity = require('string-similarity');
+const messageMatcher = require('../src/services/messageMatcher');
+const { MATCHING } = require('../src/config/constants');
+const pairs = require('./fixtures/multilingualPairs.json');
+
+/**
+ * The previous normalizer, which dropped every non-ASCII character
+ */
+function legacyNormalize(message) {
+  return message
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[^\w\s]/g, '')
+    .trim();
+}
+
+function legacySimilarity(dbMessage, apiMessage) {
+  return stringSimilarity.compareTwoStrings(legacyNormalize(dbMessage), legacyNormalize(apiMessage));
+}
+
+function verdict(score) {
+  return score >= MATCHING.SIMILARITY_THRESHOLD ? 'match' : 'no-match';
+}
+
+let failures = 0;
+let legacyFailures = 0;
+
+for (const pair of pairs) {
+  const score = messageMatcher.calculateSimilarity(pair.db, pair.api);
+  const legacyScore = legacySimilarity(pair.db, pair.api);
+  const passed = verdict(score) === pair.expect;
+  const legacyPassed = verdict(legacyScore) === pair.expect;
+
+  if (!passed) failures++;
+  if (!legacyPassed) legacyFailures++;
+
+  console.log(`${passed ? 'PASS' : 'FAIL'} [${pair.language}] ${pair.description}`);
+  console.log(`     expected ${pair.expect}: score ${score.toFixed(3)} (legacy ${legacyScore.toFixed(3)}${legacyPassed ? '' : ', wrong'})`);
+
+  if (!passed) {
+    console.log(`     db:  ${JSON.stringify(messageMatcher.normalizeMessage(pair.db))}`);
+    console.log(`     api: ${JSON.stringify(messageMatcher.normalizeMessage(pair.api))}`);
+  }
+}
+
+console.log(`\n${pairs.length - failures}/${pairs.length} pairs as expected (legacy normalizer: ${pairs.length - legacyFailures}/${pairs.length})`);
+
+if (failures > 0) {
+  process.exit(1);
+}
\ No newline at end of file
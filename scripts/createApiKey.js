@@ -0,0 +1,45 @@
+/**
+ * Issue an API key from the command line
+ *
+ * Keys are normally issued through POST /api/keys, which itself needs an admin key,
+ * so use this to create the first one. The key is printed once and cannot be recovered.
+ *
+ * Usage: npm run create-key -- <name> [permissions=admin] [organizationIds] [businessIds]
+ *   permissions, organizationIds and businessIds are comma separated
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB, logger } = require('../src/config/database');
+const apiKeyService = require('../src/services/apiKeyService');
+const { AUTH } = require('../src/config/constants');
+
+function toList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+async function main() {
+  const [name, permissions = AUTH.PERMISSIONS.ADMIN, organizationIds, businessIds] = process.argv.slice(2);
+
+  if (!name) {
+    console.error('Usage: npm run create-key -- <name> [permissions=admin] [organizationIds] [businessIds]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const { apiKey, key } = await apiKeyService.issueKey({
+    name,
+    permissions: toList(permissions),
+    organizationIds: toList(organizationIds),
+    businessIds: toList(businessIds)
+  });
+
+  console.log(`\nAPI key ${apiKey._id} (${apiKey.permissions.join(', ')}):\n\n  ${key}\n\nStore it now; it is not shown again.`);
+  await mongoose.connection.close();
+}
+
+main().catch(async (error) => {
+  logger.error('Create API key error:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
\ No newline at end of file
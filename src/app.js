@@ -7,7 +7,17 @@ const compression = require('compression');
 const bodyParser = require('body-parser');
 
 const { connectDB, logger } = require('./config/database');
+const { PROVIDERS, CHAT_EXPORT } = require('./config/constants');
 const verificationRoutes = require('./routes/verificationRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const matchingProfileRoutes = require('./routes/matchingProfileRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const verificationRunRoutes = require('./routes/verificationRunRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const cacheRoutes = require('./routes/cacheRoutes');
+const providerRoutes = require('./routes/providerRoutes');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -18,7 +28,17 @@ app.use(cors());
 app.use(compression());
 
 // Body parsing middleware
-app.use(bodyParser.json({ limit: '10mb' }));
+// Chat exports arrive base64-encoded, so that route alone takes bodies up to CHAT_EXPORT.MAX_REQUEST_BYTES
+app.use('/api/verify/export', bodyParser.json({ limit: CHAT_EXPORT.MAX_REQUEST_BYTES }));
+// Cloud API webhooks are signed over the exact bytes received, so keep them
+app.use(bodyParser.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.split('?')[0] === PROVIDERS.CLOUD_API.WEBHOOK_PATH) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -30,6 +50,15 @@ app.use(morgan('combined', {
 
 // API routes
 app.use('/api', verificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/matching-profiles', matchingProfileRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/runs', verificationRunRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/providers', providerRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -41,6 +70,36 @@ app.get('/', (req, res) => {
       verify: 'POST /api/verify',
       verifySingle: 'POST /api/verify/single',
       verifyFirstMessages: 'POST /api/verify/first-messages',
+      verifyChatExport: 'POST /api/verify/export',
+      listJobs: 'GET /api/jobs',
+      jobStatus: 'GET /api/jobs/:jobId',
+      jobReport: 'GET /api/jobs/:jobId/report',
+      matchingProfiles: 'GET|POST /api/matching-profiles',
+      matchingProfile: 'PUT|DELETE /api/matching-profiles/:profileId',
+      templates: 'GET|POST /api/templates',
+      template: 'GET|PUT|DELETE /api/templates/:templateId',
+      listRuns: 'GET /api/runs',
+      run: 'GET /api/runs/:runId',
+      runReport: 'GET /api/runs/:runId/report',
+      runDetails: 'GET /api/runs/:runId/details',
+      compareRuns: 'GET /api/runs/:runId/compare/:otherRunId',
+      schedules: 'GET|POST /api/schedules',
+      schedule: 'GET|DELETE /api/schedules/:scheduleId',
+      pauseSchedule: 'POST /api/schedules/:scheduleId/pause',
+      resumeSchedule: 'POST /api/schedules/:scheduleId/resume',
+      alertRules: 'GET|POST /api/alerts/rules',
+      alertRule: 'PUT|DELETE /api/alerts/rules/:ruleId',
+      webhooks: 'GET|POST /api/alerts/webhooks',
+      webhook: 'PUT|DELETE /api/alerts/webhooks/:webhookId',
+      webhookDeliveries: 'GET /api/alerts/deliveries',
+      webhookDelivery: 'GET /api/alerts/deliveries/:deliveryId',
+      apiKeys: 'GET|POST /api/keys',
+      apiKey: 'DELETE /api/keys/:keyId',
+      cache: 'GET|DELETE /api/cache',
+      cacheEntries: 'GET|DELETE /api/cache/entries',
+      providers: 'GET /api/providers',
+      businessProvider: 'GET|PUT|DELETE /api/providers/businesses/:businessId',
+      cloudApiWebhook: 'GET|POST /api/providers/cloud-api/webhook',
       health: 'GET /api/health'
     }
   });
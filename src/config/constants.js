@@ -12,8 +12,20 @@ module.exports = {
       includeMessages: true,
       limit: 50
     },
-    MAX_LIMIT: 1000,
-    PAGINATION_LIMITS: [50, 100, 200, 500, 1000]
+    MAX_LIMIT: 1000, // Conversations per request; a full response means the window must be split
+    MIN_FETCH_WINDOW: 60000, // Windows are not split below 1 minute; one still full is reported as truncated
+    // Windows requested per user and fetch; once reached, full windows are no longer split and are reported as truncated
+    MAX_FETCH_WINDOWS: parseInt(process.env.WHATSAPP_MAX_FETCH_WINDOWS) || 64,
+    REQUEST_TIMEOUT: 30000,
+    // Requests in flight overall and per userId (WhatsApp account)
+    MAX_CONCURRENCY: parseInt(process.env.WHATSAPP_MAX_CONCURRENCY) || 10,
+    MAX_CONCURRENCY_PER_USER: parseInt(process.env.WHATSAPP_MAX_CONCURRENCY_PER_USER) || 3,
+    MAX_RETRIES: 4, // Retries after the first attempt, on timeouts, network errors, 429 and 5xx
+    RETRY_BASE_DELAY: 1000, // Doubled on each retry, with jitter
+    MAX_RETRY_DELAY: 30000,
+    MAX_RETRY_AFTER: 120000, // A 429 asking to wait longer than this fails the request instead of stalling the run
+    CIRCUIT_FAILURE_THRESHOLD: 5, // Consecutive failed attempts that open a userId's circuit breaker
+    CIRCUIT_RESET_TIMEOUT: 60000 // How long an open breaker rejects requests before letting a probe through
   },
   
   // Matching Configuration
@@ -21,7 +33,54 @@ module.exports = {
     SIMILARITY_THRESHOLD: 0.90, // 90% similarity minimum
     MAX_SIMILARITY_THRESHOLD: 1.0, // 100% similarity maximum
     BATCH_SIZE: 100, // Process messages in batches
-    CACHE_TTL: 300000 // 5 minutes cache TTL
+    CANDIDATE_WINDOW: 86400000, // 24 hours after sent_date to look for a delivery (maximum delivery latency)
+    CLOCK_SKEW: 60000, // 1 minute before sent_date, for when our sender stamps sent_date after WhatsApp does
+    EXPECTED_LATENCY: 300000, // Deliveries within 5 minutes of sent_date keep full timing confidence
+    TIMING_WEIGHT: 0.1, // Share of the confidence score a late delivery can lose
+    DUPLICATE_WINDOW: 3600000, // 1 hour either side of a matched delivery to look for repeat sends
+    AMBIGUITY_MARGIN: 0.02, // A different candidate scoring within this of the chosen one makes a match ambiguous
+    CANDIDATE_BUCKET: 3600000, // 1 hour time buckets in the candidate index
+    NORMALIZATION_LOCALE: 'ms-MY', // Locale used for case folding
+    ASSIGNMENT_STRATEGIES: {
+      GREEDY: 'greedy', // Each DB message takes its best remaining candidate in order
+      OPTIMAL: 'optimal' // Maximum total similarity across the whole run, keeping time order
+    },
+    DEFAULT_ASSIGNMENT_STRATEGY: 'greedy',
+    DEFAULT_PROFILE: 'standard',
+    // Built-in matching profiles; businesses can add their own via /api/matching-profiles
+    PROFILES: {
+      standard: {
+        description: 'Same similarity threshold for every message type',
+        defaultThreshold: 0.90,
+        typeThresholds: {}
+      },
+      tiered: {
+        description: 'Strict on templated outbound messages, looser on free-text replies',
+        defaultThreshold: 0.90,
+        typeThresholds: {
+          first_message: 0.97,
+          payment_reminder: 0.95,
+          user_reply: 0.85
+        }
+      }
+    }
+  },
+  
+  // Media Configuration
+  MEDIA: {
+    // WhatsApp message types that name a media category differently
+    TYPE_ALIASES: {
+      ptt: 'audio',
+      voice: 'audio'
+    },
+    // File extensions by media category, for DB attachments without a mime type
+    EXTENSIONS: {
+      image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic'],
+      video: ['mp4', 'mov', '3gp', 'mkv'],
+      audio: ['mp3', 'ogg', 'opus', 'm4a', 'aac', 'wav', 'amr'],
+      document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv', 'txt', 'ppt', 'pptx', 'zip']
+    },
+    CATEGORIES: ['image', 'video', 'audio', 'document', 'sticker']
   },
   
   // Message Types
@@ -40,6 +99,25 @@ module.exports = {
     ADMIN: 'admin'
   },
   
+  // Message Directions
+  DIRECTIONS: {
+    INBOUND: 'inbound',
+    OUTBOUND: 'outbound',
+    // API roles that identify the direction of a WhatsApp message
+    INBOUND_ROLES: ['user', 'customer'],
+    OUTBOUND_ROLES: ['assistant', 'system', 'admin', 'agent', 'bot']
+  },
+  
+  // Verification outcomes written back onto Messages documents
+  VERIFICATION: {
+    STATUSES: {
+      VERIFIED: 'verified',
+      UNMATCHED: 'unmatched',
+      AMBIGUOUS: 'ambiguous'
+    },
+    PERSIST_BATCH_SIZE: 500
+  },
+  
   // Stage Types
   STAGES: [
     'engagement',
@@ -49,5 +127,233 @@ module.exports = {
     'hold',
     'closure',
     'escalation'
-  ]
+  ],
+
+  // Verification Job Configuration
+  JOBS: {
+    STATUSES: {
+      QUEUED: 'queued',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      FAILED: 'failed'
+    },
+    STEP_STATUSES: {
+      PENDING: 'pending',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      FAILED: 'failed',
+      SKIPPED: 'skipped'
+    },
+    // Pipeline steps in execution order
+    STEPS: [
+      'phone_discovery',
+      'db_fetch',
+      'api_fetch',
+      'matching',
+      'persist',
+      'report'
+    ],
+    DEFAULT_LIST_LIMIT: 20,
+    MAX_LIST_LIMIT: 100,
+    // A job is leased by the instance running it and renewed while it runs; jobs whose lease
+    // has expired belonged to an instance that died, and are failed by the recovery sweep
+    LEASE_DURATION: 5 * 60 * 1000,
+    LEASE_RENEW_INTERVAL: 60 * 1000,
+    RECOVERY_INTERVAL: 60 * 1000
+  },
+  
+  // Report export formats and their content types
+  EXPORT: {
+    FORMATS: {
+      json: 'application/json',
+      csv: 'text/csv',
+      ndjson: 'application/x-ndjson',
+      html: 'text/html'
+    }
+  },
+  
+  // Verification run history
+  RUNS: {
+    STATUSES: {
+      COMPLETED: 'completed',
+      FAILED: 'failed'
+    },
+    DETAIL_STATUSES: {
+      VERIFIED: 'verified',
+      AMBIGUOUS: 'ambiguous',
+      UNMATCHED: 'unmatched',
+      DUPLICATE: 'duplicate',
+      ORPHAN: 'orphan'
+    },
+    DEFAULT_LIST_LIMIT: 20,
+    MAX_LIST_LIMIT: 100,
+    DEFAULT_DETAIL_LIMIT: 100,
+    MAX_DETAIL_LIMIT: 1000,
+    DETAIL_BATCH_SIZE: 1000,
+    DETAIL_RETENTION_DAYS: 30
+  },
+  
+  // Recurring verification schedules
+  SCHEDULES: {
+    STATUSES: {
+      ACTIVE: 'active',
+      PAUSED: 'paused'
+    },
+    DEFAULT_TIMEZONE: 'UTC',
+    DEFAULT_WINDOW_HOURS: 24,
+    MAX_WINDOW_HOURS: 31 * 24,
+    // How often each instance looks for due schedules
+    POLL_INTERVAL: 30 * 1000,
+    // A claimed schedule is held for this long and renewed while its run continues,
+    // so a crashed instance releases it without help
+    LEASE_DURATION: 5 * 60 * 1000,
+    LEASE_RENEW_INTERVAL: 60 * 1000,
+    // Verification options a schedule may set, passed through to verifyMessages
+    OPTIONS: [
+      'matchingThreshold',
+      'matchingProfile',
+      'assignmentStrategy',
+      'candidateWindowHours',
+      'clockSkewSeconds',
+      'duplicateWindowMinutes',
+      'messageRole',
+      'includeDetails',
+      'persistResults',
+      'skipVerified'
+    ],
+    DEFAULT_LIST_LIMIT: 50,
+    MAX_LIST_LIMIT: 200
+  },
+  
+  // Alert rules evaluated after each run, and the webhooks they are delivered to
+  ALERTS: {
+    METRICS: {
+      MATCH_RATE_BELOW: 'match_rate_below',
+      FIRST_MESSAGE_UNMATCHED_RATE_ABOVE: 'first_message_unmatched_rate_above',
+      PHONE_UNMATCHED_COUNT_ABOVE: 'phone_unmatched_count_above'
+    },
+    EVENT: 'verification.alert',
+    DELIVERY_STATUSES: {
+      PENDING: 'pending',
+      DELIVERED: 'delivered',
+      FAILED: 'failed'
+    },
+    SIGNATURE_HEADER: 'X-Signature-256',
+    TIMESTAMP_HEADER: 'X-Webhook-Timestamp',
+    DELIVERY_HEADER: 'X-Webhook-Delivery',
+    REQUEST_TIMEOUT: 10 * 1000,
+    // Endpoints on loopback, private or link-local addresses are refused unless this is set
+    ALLOW_PRIVATE_ADDRESSES: process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true',
+    // Retries back off exponentially from the base delay, capped at the max delay
+    MAX_ATTEMPTS: 6,
+    RETRY_BASE_DELAY: 30 * 1000,
+    MAX_RETRY_DELAY: 60 * 60 * 1000,
+    RETRY_POLL_INTERVAL: 15 * 1000,
+    // A delivery claimed by an instance that dies is retried after this long
+    CLAIM_TIMEOUT: 60 * 1000,
+    DELIVERY_RETENTION_DAYS: 30,
+    DEFAULT_LIST_LIMIT: 50,
+    MAX_LIST_LIMIT: 200
+  },
+  
+  // API key authentication
+  AUTH: {
+    PERMISSIONS: {
+      READ: 'read',
+      VERIFY: 'verify',
+      MANAGE: 'manage',
+      ADMIN: 'admin'
+    },
+    // Permissions granted along with another; admin keys also see every tenant
+    IMPLIED_PERMISSIONS: {
+      verify: ['read'],
+      manage: ['read'],
+      admin: ['read', 'verify', 'manage']
+    },
+    HEADER: 'X-API-Key',
+    KEY_PREFIX: 'wvk_',
+    KEY_BYTES: 32,
+    // Leading characters of a key kept in clear so it can be recognised in listings
+    DISPLAY_PREFIX_LENGTH: 12,
+    LAST_USED_UPDATE_INTERVAL: 60 * 1000
+  },
+  
+  // WhatsApp API response cache
+  CACHE: {
+    BACKENDS: {
+      MEMORY: 'memory',
+      // Shared by every instance through the CacheEntry collection
+      MONGO: 'mongo'
+    },
+    BACKEND: process.env.CACHE_BACKEND || 'memory',
+    TTL: parseInt(process.env.CACHE_TTL_MS) || 5 * 60 * 1000,
+    // Least recently used entries are evicted beyond this
+    MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    DEFAULT_LIST_LIMIT: 50,
+    MAX_LIST_LIMIT: 500
+  },
+  
+  // Message source providers; each business can use a different one
+  PROVIDERS: {
+    NAMES: {
+      NOTOWA: 'notowa',
+      CLOUD_API: 'cloud_api',
+      MOCK: 'mock'
+    },
+    DEFAULT: process.env.MESSAGE_PROVIDER || 'notowa',
+    // Fixture conversations served by the mock provider, relative to the working directory
+    MOCK_FILE: process.env.MOCK_PROVIDER_FILE || 'fixtures/mockConversations.json',
+    // Fixture data would let a business fake its own audit, so the mock provider is off unless asked for
+    MOCK_ENABLED: process.env.MOCK_PROVIDER_ENABLED === 'true' ||
+      ['development', 'test'].includes(process.env.NODE_ENV),
+    CLOUD_API: {
+      VERIFY_TOKEN: process.env.WHATSAPP_CLOUD_VERIFY_TOKEN,
+      APP_SECRET: process.env.WHATSAPP_CLOUD_APP_SECRET,
+      SIGNATURE_HEADER: 'X-Hub-Signature-256',
+      WEBHOOK_PATH: '/api/providers/cloud-api/webhook',
+      // Outbound statuses that show the message left WhatsApp's servers
+      DELIVERED_STATUSES: ['sent', 'delivered', 'read'],
+      MEDIA_TYPES: ['image', 'video', 'audio', 'document', 'sticker'],
+      RETENTION_DAYS: 90
+    }
+  },
+  
+  // Phone number normalization to E.164 (+60165926432)
+  PHONE: {
+    // ISO 3166-1 country assumed for numbers written without a country code
+    DEFAULT_COUNTRY: process.env.DEFAULT_PHONE_COUNTRY || 'MY',
+    // Calling code, trunk prefix dialled before national numbers, and the shape of national numbers
+    COUNTRIES: {
+      MY: { callingCode: '60', trunkPrefix: '0', nationalPattern: /^(1\d{8,9}|3\d{8}|[4-9]\d{7})$/ },
+      SG: { callingCode: '65', trunkPrefix: '', nationalPattern: /^[689]\d{7}$/ },
+      ID: { callingCode: '62', trunkPrefix: '0', nationalPattern: /^(8\d{8,11}|[2-7]\d{7,10})$/ },
+      TH: { callingCode: '66', trunkPrefix: '0', nationalPattern: /^([689]\d{8}|[2-7]\d{7})$/ },
+      PH: { callingCode: '63', trunkPrefix: '0', nationalPattern: /^(9\d{9}|[2-8]\d{7,8})$/ },
+      BN: { callingCode: '673', trunkPrefix: '', nationalPattern: /^[2-8]\d{6}$/ },
+      IN: { callingCode: '91', trunkPrefix: '0', nationalPattern: /^[1-9]\d{9}$/ },
+      AU: { callingCode: '61', trunkPrefix: '0', nationalPattern: /^[2-478]\d{8}$/ },
+      GB: { callingCode: '44', trunkPrefix: '0', nationalPattern: /^[1-9]\d{8,9}$/ },
+      US: { callingCode: '1', trunkPrefix: '', nationalPattern: /^[2-9]\d{2}[2-9]\d{6}$/ }
+    },
+    // E.164 numbers have at most 15 digits including the country code
+    MIN_DIGITS: 8,
+    MAX_DIGITS: 15,
+    // Most numbers a phoneNumberRange may cover, and how many are looked up in Conversation at once
+    MAX_RANGE_SIZE: parseInt(process.env.MAX_PHONE_RANGE_SIZE) || 10000,
+    RANGE_LOOKUP_BATCH_SIZE: 500
+  },
+  
+  // WhatsApp "Export chat" files verified in place of API data
+  CHAT_EXPORT: {
+    SOURCE: 'chat_export',
+    MAX_FILES: 20,
+    // Text read from all the files of one upload together, zips extracted
+    MAX_TOTAL_BYTES: 50 * 1024 * 1024,
+    // Request body for /api/verify/export: MAX_TOTAL_BYTES base64-encoded, plus room for the rest of the JSON
+    MAX_REQUEST_BYTES: Math.ceil(50 * 1024 * 1024 * 4 / 3) + 1024 * 1024,
+    DATE_ORDERS: ['DMY', 'MDY', 'YMD'],
+    // For files whose dates read the same day or month first
+    DEFAULT_DATE_ORDER: process.env.CHAT_EXPORT_DATE_ORDER || 'DMY',
+    DEFAULT_TIMEZONE: process.env.CHAT_EXPORT_TIMEZONE || 'UTC'
+  }
 };
\ No newline at end of file
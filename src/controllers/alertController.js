@@ -0,0 +1,446 @@
+const mongoose = require('mongoose');
+const alertService = require('../services/alertService');
+const webhookService = require('../services/webhookService');
+const apiKeyService = require('../services/apiKeyService');
+const { findPrivateAddress } = require('../utils/privateAddress');
+const { ALERTS } = require('../config/constants');
+const { logger } = require('../config/database');
+
+/**
+ * Map camelCase request fields onto AlertRule document fields
+ */
+function toRuleFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.businessId !== undefined) fields.business_id = body.businessId;
+  if (body.metric !== undefined) fields.metric = body.metric;
+  if (body.threshold !== undefined) fields.threshold = body.threshold;
+  if (body.isActive !== undefined) fields.is_active = body.isActive;
+
+  return fields;
+}
+
+/**
+ * Map camelCase request fields onto WebhookEndpoint document fields
+ */
+function toWebhookFields(body) {
+  const fields = {};
+
+  if (body.businessId !== undefined) fields.business_id = body.businessId;
+  if (body.url !== undefined) fields.url = body.url;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.secret !== undefined) fields.secret = body.secret;
+  if (body.isActive !== undefined) fields.is_active = body.isActive;
+
+  return fields;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Say why a webhook URL cannot be used, or return null
+ */
+async function checkWebhookUrl(url) {
+  if (!isHttpUrl(url)) return 'url must be an http or https URL';
+
+  try {
+    const address = await findPrivateAddress(url);
+    return address ? `url must not point to a loopback, private or link-local address (${address})` : null;
+  } catch (error) {
+    return `url host could not be resolved: ${error.code || error.message}`;
+  }
+}
+
+/**
+ * Send a 400 unless a valid businessId was given
+ */
+function requireBusinessId(res, businessId) {
+  if (businessId && mongoose.Types.ObjectId.isValid(businessId)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'A valid businessId is required'
+  });
+  return true;
+}
+
+/**
+ * Send a 403 unless the caller may access the business
+ */
+async function rejectBusiness(req, res, businessId) {
+  if (await apiKeyService.canAccessBusiness(req.auth, businessId)) return false;
+
+  res.status(403).json({
+    success: false,
+    error: 'businessId is outside this API key\'s scope'
+  });
+  return true;
+}
+
+/**
+ * Whether a rule, webhook or delivery exists and belongs to a business the caller may access
+ */
+async function isAccessible(auth, doc) {
+  return Boolean(doc) && apiKeyService.canAccessBusiness(auth, doc.business_id);
+}
+
+/**
+ * Send a 400 for an invalid ID
+ */
+function rejectId(res, label) {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid ${label} ID`
+  });
+}
+
+/**
+ * Send a 400/409 for validation and duplicate-name errors, 500 otherwise
+ */
+function handleAlertError(res, error, context) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'An alert rule with this name already exists for the business'
+    });
+  }
+
+  logger.error(`${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+class AlertController {
+  /**
+   * List a business's alert rules
+   * GET /api/alerts/rules
+   */
+  async listRules(req, res) {
+    try {
+      const { businessId } = req.query;
+      if (requireBusinessId(res, businessId) || await rejectBusiness(req, res, businessId)) return;
+
+      const rules = await alertService.listRules(businessId);
+
+      res.json({
+        success: true,
+        count: rules.length,
+        rules
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'List alert rules error');
+    }
+  }
+
+  /**
+   * Create an alert rule
+   * POST /api/alerts/rules
+   */
+  async createRule(req, res) {
+    try {
+      const { name, businessId, metric, threshold } = req.body;
+      if (requireBusinessId(res, businessId) || await rejectBusiness(req, res, businessId)) return;
+
+      if (!name || !metric || typeof threshold !== 'number') {
+        return res.status(400).json({
+          success: false,
+          error: 'name, metric and a numeric threshold are required'
+        });
+      }
+
+      const rule = await alertService.createRule(toRuleFields(req.body));
+
+      res.status(201).json({
+        success: true,
+        rule
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'Create alert rule error');
+    }
+  }
+
+  /**
+   * Update an alert rule
+   * PUT /api/alerts/rules/:ruleId
+   */
+  async updateRule(req, res) {
+    try {
+      const { ruleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(ruleId)) return rejectId(res, 'rule');
+
+      // Rules stay with the business they were created for
+      const { business_id, ...fields } = toRuleFields(req.body);
+      const existing = await alertService.getRule(ruleId);
+      const rule = await isAccessible(req.auth, existing)
+        ? await alertService.updateRule(ruleId, fields)
+        : null;
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Alert rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        rule
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'Update alert rule error');
+    }
+  }
+
+  /**
+   * Delete an alert rule
+   * DELETE /api/alerts/rules/:ruleId
+   */
+  async deleteRule(req, res) {
+    try {
+      const { ruleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(ruleId)) return rejectId(res, 'rule');
+
+      const existing = await alertService.getRule(ruleId);
+      const rule = await isAccessible(req.auth, existing)
+        ? await alertService.deleteRule(ruleId)
+        : null;
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Alert rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Alert rule ${rule.name} deleted`
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'Delete alert rule error');
+    }
+  }
+
+  /**
+   * List a business's webhook endpoints
+   * GET /api/alerts/webhooks
+   */
+  async listWebhooks(req, res) {
+    try {
+      const { businessId } = req.query;
+      if (requireBusinessId(res, businessId) || await rejectBusiness(req, res, businessId)) return;
+
+      const webhooks = await webhookService.listWebhooks(businessId);
+
+      res.json({
+        success: true,
+        count: webhooks.length,
+        webhooks
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'List webhooks error');
+    }
+  }
+
+  /**
+   * Register a webhook endpoint; the response carries the signing secret
+   * POST /api/alerts/webhooks
+   */
+  async createWebhook(req, res) {
+    try {
+      const { businessId, url } = req.body;
+      if (requireBusinessId(res, businessId) || await rejectBusiness(req, res, businessId)) return;
+
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          error: urlError
+        });
+      }
+
+      const webhook = await webhookService.createWebhook(toWebhookFields(req.body));
+
+      res.status(201).json({
+        success: true,
+        webhook
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'Create webhook error');
+    }
+  }
+
+  /**
+   * Update a webhook endpoint
+   * PUT /api/alerts/webhooks/:webhookId
+   */
+  async updateWebhook(req, res) {
+    try {
+      const { webhookId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(webhookId)) return rejectId(res, 'webhook');
+
+      const urlError = req.body.url !== undefined ? await checkWebhookUrl(req.body.url) : null;
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          error: urlError
+        });
+      }
+
+      // Endpoints stay with the business they were created for
+      const { business_id, ...fields } = toWebhookFields(req.body);
+      const existing = await webhookService.getWebhook(webhookId);
+      const webhook = await isAccessible(req.auth, existing)
+        ? await webhookService.updateWebhook(webhookId, fields)
+        : null;
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        webhook
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'Update webhook error');
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint
+   * DELETE /api/alerts/webhooks/:webhookId
+   */
+  async deleteWebhook(req, res) {
+    try {
+      const { webhookId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(webhookId)) return rejectId(res, 'webhook');
+
+      const existing = await webhookService.getWebhook(webhookId);
+      const webhook = await isAccessible(req.auth, existing)
+        ? await webhookService.deleteWebhook(webhookId)
+        : null;
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Webhook ${webhook.url} deleted`
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'Delete webhook error');
+    }
+  }
+
+  /**
+   * List webhook deliveries, newest first
+   * GET /api/alerts/deliveries
+   */
+  async listDeliveries(req, res) {
+    try {
+      const { businessId, webhookId, runId, status, limit } = req.query;
+      if (requireBusinessId(res, businessId) || await rejectBusiness(req, res, businessId)) return;
+
+      if ((webhookId && !mongoose.Types.ObjectId.isValid(webhookId)) ||
+          (runId && !mongoose.Types.ObjectId.isValid(runId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhookId or runId'
+        });
+      }
+
+      if (status && !Object.values(ALERTS.DELIVERY_STATUSES).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(ALERTS.DELIVERY_STATUSES).join(', ')}`
+        });
+      }
+
+      const deliveries = await webhookService.listDeliveries({
+        businessId,
+        webhookId,
+        runId,
+        status,
+        limit
+      });
+
+      res.json({
+        success: true,
+        count: deliveries.length,
+        deliveries
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'List webhook deliveries error');
+    }
+  }
+
+  /**
+   * Get a webhook delivery with its payload
+   * GET /api/alerts/deliveries/:deliveryId
+   */
+  async getDelivery(req, res) {
+    try {
+      const { deliveryId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(deliveryId)) return rejectId(res, 'delivery');
+
+      const delivery = await webhookService.getDelivery(deliveryId);
+
+      if (!(await isAccessible(req.auth, delivery))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        delivery
+      });
+
+    } catch (error) {
+      handleAlertError(res, error, 'Get webhook delivery error');
+    }
+  }
+}
+
+module.exports = new AlertController();
\ No newline at end of file
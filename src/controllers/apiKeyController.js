@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/apiKeyService');
+const { AUTH } = require('../config/constants');
+const { logger } = require('../config/database');
+
+/**
+ * Check a key request; returns an error message or null
+ */
+function validateKey(body) {
+  const { name, permissions, organizationIds = [], businessIds = [], expiresAt } = body;
+  const validPermissions = Object.values(AUTH.PERMISSIONS);
+
+  if (!name || !Array.isArray(permissions) || permissions.length === 0) {
+    return 'name and a non-empty permissions array are required';
+  }
+
+  if (permissions.some(permission => !validPermissions.includes(permission))) {
+    return `permissions must be drawn from: ${validPermissions.join(', ')}`;
+  }
+
+  if (!Array.isArray(organizationIds) || !Array.isArray(businessIds) ||
+      [...organizationIds, ...businessIds].some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'organizationIds and businessIds must be arrays of valid IDs';
+  }
+
+  // Anything short of admin is tied to tenants
+  if (!permissions.includes(AUTH.PERMISSIONS.ADMIN) && organizationIds.length === 0 && businessIds.length === 0) {
+    return 'Non-admin keys need at least one organizationId or businessId';
+  }
+
+  if (expiresAt !== undefined && (isNaN(new Date(expiresAt)) || new Date(expiresAt) <= new Date())) {
+    return 'expiresAt must be a future date';
+  }
+
+  return null;
+}
+
+class ApiKeyController {
+  /**
+   * List API keys
+   * GET /api/keys
+   */
+  async listKeys(req, res) {
+    try {
+      const keys = await apiKeyService.listKeys(req.query.includeRevoked === 'true');
+
+      res.json({
+        success: true,
+        count: keys.length,
+        keys
+      });
+
+    } catch (error) {
+      logger.error('List API keys error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Issue an API key; the key itself is only returned in this response
+   * POST /api/keys
+   */
+  async issueKey(req, res) {
+    try {
+      const validationError = validateKey(req.body);
+
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const { name, permissions, organizationIds, businessIds, expiresAt } = req.body;
+      const { apiKey, key } = await apiKeyService.issueKey({
+        name,
+        permissions,
+        organizationIds,
+        businessIds,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+
+      res.status(201).json({
+        success: true,
+        key,
+        apiKey
+      });
+
+    } catch (error) {
+      logger.error('Issue API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/keys/:keyId
+   */
+  async revokeKey(req, res) {
+    try {
+      const { keyId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid key ID'
+        });
+      }
+
+      // Revoking the key in use would lock the caller out mid-request
+      if (String(req.auth.keyId) === keyId) {
+        return res.status(409).json({
+          success: false,
+          error: 'An API key cannot revoke itself'
+        });
+      }
+
+      const apiKey = await apiKeyService.revokeKey(keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `API key ${apiKey.name} revoked`
+      });
+
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
\ No newline at end of file
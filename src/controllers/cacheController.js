@@ -0,0 +1,102 @@
+const cacheService = require('../services/cacheService');
+const { logger } = require('../config/database');
+
+/**
+ * Send a 500 for an unexpected cache error
+ */
+function handleCacheError(res, error, context) {
+  logger.error(`${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+class CacheController {
+  /**
+   * Cache backend, size and hit/miss statistics
+   * GET /api/cache
+   */
+  async getStats(req, res) {
+    try {
+      const stats = await cacheService.getStats();
+
+      res.json({
+        success: true,
+        stats
+      });
+
+    } catch (error) {
+      handleCacheError(res, error, 'Get cache stats error');
+    }
+  }
+
+  /**
+   * List cache entries, most recently used first
+   * GET /api/cache/entries
+   */
+  async listEntries(req, res) {
+    try {
+      const { userId, phoneNumber, limit } = req.query;
+      const entries = await cacheService.listEntries({ userId, phoneNumber, limit });
+
+      res.json({
+        success: true,
+        count: entries.length,
+        entries
+      });
+
+    } catch (error) {
+      handleCacheError(res, error, 'List cache entries error');
+    }
+  }
+
+  /**
+   * Invalidate the entries for a userId and/or phone number
+   * DELETE /api/cache/entries
+   */
+  async invalidateEntries(req, res) {
+    try {
+      const { userId, phoneNumber } = req.query;
+
+      // Clearing everything has its own endpoint, so an empty filter is a mistake
+      if (!userId && !phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'userId or phoneNumber is required'
+        });
+      }
+
+      const deleted = await cacheService.invalidate({ userId, phoneNumber });
+
+      res.json({
+        success: true,
+        deleted
+      });
+
+    } catch (error) {
+      handleCacheError(res, error, 'Invalidate cache entries error');
+    }
+  }
+
+  /**
+   * Clear the cache
+   * DELETE /api/cache
+   */
+  async clearCache(req, res) {
+    try {
+      const deleted = await cacheService.clear();
+
+      res.json({
+        success: true,
+        deleted
+      });
+
+    } catch (error) {
+      handleCacheError(res, error, 'Clear cache error');
+    }
+  }
+}
+
+module.exports = new CacheController();
\ No newline at end of file
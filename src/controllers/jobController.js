@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const verificationJobService = require('../services/verificationJobService');
+const verificationRunService = require('../services/verificationRunService');
+const { JOBS, EXPORT } = require('../config/constants');
+const { logger } = require('../config/database');
+const { resolveExportFormat, sendReport } = require('../utils/reportExport');
+const { scopeFilter } = require('../utils/tenantScope');
+
+class JobController {
+  /**
+   * List recent verification jobs
+   * GET /api/jobs
+   */
+  async listJobs(req, res) {
+    try {
+      const { status, businessId, organizationId, limit } = req.query;
+
+      if (status && !Object.values(JOBS.STATUSES).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(JOBS.STATUSES).join(', ')}`
+        });
+      }
+
+      const jobs = await verificationJobService.listJobs({
+        status,
+        businessId,
+        organizationId,
+        limit,
+        scope: scopeFilter(req.auth)
+      });
+
+      res.json({
+        success: true,
+        count: jobs.length,
+        jobs
+      });
+
+    } catch (error) {
+      logger.error('List jobs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get job status and step progress
+   * GET /api/jobs/:jobId
+   */
+  async getJobStatus(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid job ID'
+        });
+      }
+
+      const job = await verificationJobService.getJob(jobId, false, scopeFilter(req.auth));
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        job
+      });
+
+    } catch (error) {
+      logger.error('Get job status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the report of a finished job
+   * GET /api/jobs/:jobId/report
+   */
+  async getJobReport(req, res) {
+    try {
+      const { jobId } = req.params;
+      const format = resolveExportFormat(req);
+
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${Object.keys(EXPORT.FORMATS).join(', ')}`
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid job ID'
+        });
+      }
+
+      const job = await verificationJobService.getJob(jobId, true, scopeFilter(req.auth));
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      if (job.status === JOBS.STATUSES.FAILED) {
+        return res.status(409).json({
+          success: false,
+          error: 'Job failed',
+          message: job.error
+        });
+      }
+
+      if (job.status !== JOBS.STATUSES.COMPLETED) {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${job.status}, report not available yet`,
+          currentStep: job.current_step
+        });
+      }
+
+      // Same shape as the synchronous POST /api/verify response; a job's run shares its ID
+      // and holds its report (older jobs kept a copy of the report themselves)
+      const run = await verificationRunService.getRun(job._id);
+
+      if (!run && !job.report) {
+        return res.status(404).json({
+          success: false,
+          error: 'The job\'s run was not recorded, so its report is not available'
+        });
+      }
+
+      await sendReport(res, {
+        success: true,
+        jobId: job._id,
+        report: run ? verificationRunService.getRunReport(run) : job.report,
+        errors: job.api_errors
+      }, format, `verification-${job._id}`, verificationRunService.streamDetails(job._id));
+
+    } catch (error) {
+      logger.error('Get job report error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new JobController();
\ No newline at end of file
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const matchingProfileService = require('../services/matchingProfileService');
+const apiKeyService = require('../services/apiKeyService');
+const { logger } = require('../config/database');
+
+/**
+ * Map camelCase request fields onto MatchingProfile document fields
+ */
+function toProfileFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.businessId !== undefined) fields.business_id = body.businessId;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.defaultThreshold !== undefined) fields.default_threshold = body.defaultThreshold;
+  if (body.typeThresholds !== undefined) fields.type_thresholds = body.typeThresholds;
+  if (body.isDefault !== undefined) fields.is_default = body.isDefault;
+
+  return fields;
+}
+
+/**
+ * Send a 403 unless the caller may access the business
+ */
+async function rejectBusiness(req, res, businessId) {
+  if (await apiKeyService.canAccessBusiness(req.auth, businessId)) return false;
+
+  res.status(403).json({
+    success: false,
+    error: 'businessId is outside this API key\'s scope'
+  });
+  return true;
+}
+
+/**
+ * Send a 400/409 for validation and duplicate-name errors, 500 otherwise
+ */
+function handleProfileError(res, error, context) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A profile with this name already exists for the business'
+    });
+  }
+
+  logger.error(`${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+class MatchingProfileController {
+  /**
+   * List built-in and business matching profiles
+   * GET /api/matching-profiles
+   */
+  async listProfiles(req, res) {
+    try {
+      const { businessId } = req.query;
+
+      if (businessId && !mongoose.Types.ObjectId.isValid(businessId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid businessId'
+        });
+      }
+
+      // Built-in profiles are open to every key; business profiles need access to the business
+      if (businessId && await rejectBusiness(req, res, businessId)) return;
+
+      const profiles = await matchingProfileService.listProfiles(businessId);
+
+      res.json({
+        success: true,
+        profiles
+      });
+
+    } catch (error) {
+      handleProfileError(res, error, 'List matching profiles error');
+    }
+  }
+
+  /**
+   * Create a matching profile for a business
+   * POST /api/matching-profiles
+   */
+  async createProfile(req, res) {
+    try {
+      const { name, businessId, defaultThreshold } = req.body;
+
+      if (!name || !businessId || defaultThreshold === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'name, businessId and defaultThreshold are required'
+        });
+      }
+
+      if (await rejectBusiness(req, res, businessId)) return;
+
+      const profile = await matchingProfileService.createProfile(toProfileFields(req.body));
+
+      res.status(201).json({
+        success: true,
+        profile
+      });
+
+    } catch (error) {
+      handleProfileError(res, error, 'Create matching profile error');
+    }
+  }
+
+  /**
+   * Update a matching profile
+   * PUT /api/matching-profiles/:profileId
+   */
+  async updateProfile(req, res) {
+    try {
+      const { profileId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(profileId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid profile ID'
+        });
+      }
+
+      const existing = await matchingProfileService.getProfile(profileId);
+      const profile = existing && await apiKeyService.canAccessBusiness(req.auth, existing.business_id)
+        ? await matchingProfileService.updateProfile(profileId, toProfileFields(req.body))
+        : null;
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Matching profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        profile
+      });
+
+    } catch (error) {
+      handleProfileError(res, error, 'Update matching profile error');
+    }
+  }
+
+  /**
+   * Delete a matching profile
+   * DELETE /api/matching-profiles/:profileId
+   */
+  async deleteProfile(req, res) {
+    try {
+      const { profileId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(profileId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid profile ID'
+        });
+      }
+
+      const existing = await matchingProfileService.getProfile(profileId);
+      const profile = existing && await apiKeyService.canAccessBusiness(req.auth, existing.business_id)
+        ? await matchingProfileService.deleteProfile(profileId)
+        : null;
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Matching profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Matching profile ${profile.name} deleted`
+      });
+
+    } catch (error) {
+      handleProfileError(res, error, 'Delete matching profile error');
+    }
+  }
+}
+
+module.exports = new MatchingProfileController();
\ No newline at end of file
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const providerService = require('../services/providerService');
+const cloudApiProvider = require('../services/providers/cloudApiProvider');
+const apiKeyService = require('../services/apiKeyService');
+const { PROVIDERS } = require('../config/constants');
+const { logger } = require('../config/database');
+
+/**
+ * Send a 400 unless businessId is a valid ObjectId
+ */
+function rejectBusinessId(res, businessId) {
+  if (mongoose.Types.ObjectId.isValid(businessId)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Invalid businessId'
+  });
+  return true;
+}
+
+/**
+ * Send a 403 unless the caller may access the business
+ */
+async function rejectBusiness(req, res, businessId) {
+  if (await apiKeyService.canAccessBusiness(req.auth, businessId)) return false;
+
+  res.status(403).json({
+    success: false,
+    error: 'businessId is outside this API key\'s scope'
+  });
+  return true;
+}
+
+/**
+ * Send a 400 for validation errors, 500 otherwise
+ */
+function handleProviderError(res, error, context) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: error.message
+    });
+  }
+
+  logger.error(`${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+class ProviderController {
+  /**
+   * List the message source providers and the default
+   * GET /api/providers
+   */
+  async listProviders(req, res) {
+    res.json({
+      success: true,
+      providers: providerService.listProviders(),
+      defaultProvider: providerService.getDefaultProvider().name
+    });
+  }
+
+  /**
+   * Get the provider a business is verified with
+   * GET /api/providers/businesses/:businessId
+   */
+  async getBusinessProvider(req, res) {
+    try {
+      const { businessId } = req.params;
+
+      if (rejectBusinessId(res, businessId)) return;
+      if (await rejectBusiness(req, res, businessId)) return;
+
+      const setting = await providerService.getSetting(businessId);
+
+      res.json({
+        success: true,
+        businessId,
+        provider: setting ? setting.provider : providerService.getDefaultProvider().name,
+        accountIds: setting ? setting.account_ids : [],
+        isDefault: !setting
+      });
+
+    } catch (error) {
+      handleProviderError(res, error, 'Get business provider error');
+    }
+  }
+
+  /**
+   * Choose the provider a business is verified with
+   * PUT /api/providers/businesses/:businessId
+   */
+  async setBusinessProvider(req, res) {
+    try {
+      const { businessId } = req.params;
+      const { provider, accountIds } = req.body;
+
+      if (rejectBusinessId(res, businessId)) return;
+
+      if (!providerService.getProvider(provider)) {
+        return res.status(400).json({
+          success: false,
+          error: `provider must be one of: ${providerService.listProviders().join(', ')}`
+        });
+      }
+
+      if (accountIds !== undefined &&
+          (!Array.isArray(accountIds) || accountIds.some(accountId => typeof accountId !== 'string' || !accountId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'accountIds must be an array of non-empty strings'
+        });
+      }
+
+      if (await rejectBusiness(req, res, businessId)) return;
+
+      const setting = await providerService.setSetting(businessId, provider, accountIds);
+
+      res.json({
+        success: true,
+        setting
+      });
+
+    } catch (error) {
+      handleProviderError(res, error, 'Set business provider error');
+    }
+  }
+
+  /**
+   * Return a business to the default provider
+   * DELETE /api/providers/businesses/:businessId
+   */
+  async deleteBusinessProvider(req, res) {
+    try {
+      const { businessId } = req.params;
+
+      if (rejectBusinessId(res, businessId)) return;
+      if (await rejectBusiness(req, res, businessId)) return;
+
+      const setting = await providerService.deleteSetting(businessId);
+
+      if (!setting) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business has no provider setting'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Business ${businessId} now uses the default provider`
+      });
+
+    } catch (error) {
+      handleProviderError(res, error, 'Delete business provider error');
+    }
+  }
+
+  /**
+   * Answer Meta's webhook verification challenge
+   * GET /api/providers/cloud-api/webhook
+   */
+  async verifyCloudApiWebhook(req, res) {
+    const verifyToken = PROVIDERS.CLOUD_API.VERIFY_TOKEN;
+
+    if (req.query['hub.mode'] === 'subscribe' && verifyToken &&
+        req.query['hub.verify_token'] === verifyToken) {
+      return res.status(200).send(req.query['hub.challenge']);
+    }
+
+    res.status(403).json({
+      success: false,
+      error: 'Webhook verification failed'
+    });
+  }
+
+  /**
+   * Record a Cloud API webhook notification
+   * POST /api/providers/cloud-api/webhook
+   */
+  async receiveCloudApiWebhook(req, res) {
+    try {
+      if (!PROVIDERS.CLOUD_API.APP_SECRET) {
+        return res.status(503).json({
+          success: false,
+          error: 'WHATSAPP_CLOUD_APP_SECRET is not configured'
+        });
+      }
+
+      if (!cloudApiProvider.verifySignature(req.rawBody, req.get(PROVIDERS.CLOUD_API.SIGNATURE_HEADER))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid webhook signature'
+        });
+      }
+
+      const recorded = await cloudApiProvider.ingestWebhook(req.body);
+
+      res.json({
+        success: true,
+        ...recorded
+      });
+
+    } catch (error) {
+      handleProviderError(res, error, 'Cloud API webhook error');
+    }
+  }
+}
+
+module.exports = new ProviderController();
\ No newline at end of file
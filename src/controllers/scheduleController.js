@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const scheduleService = require('../services/scheduleService');
+const apiKeyService = require('../services/apiKeyService');
+const matchingProfileService = require('../services/matchingProfileService');
+const { MATCHING, SCHEDULES } = require('../config/constants');
+const { logger } = require('../config/database');
+const { parseCron, nextCronTime, isValidTimeZone } = require('../utils/cronExpression');
+const { scopeFilter } = require('../utils/tenantScope');
+
+/**
+ * Check a new schedule's fields
+ * @returns {string|null} Error message, or null if valid
+ */
+async function validateSchedule(body) {
+  const { name, businessId, organizationId, cron, timezone = SCHEDULES.DEFAULT_TIMEZONE, windowHours, userIds, options = {} } = body;
+
+  if (!name || !cron) {
+    return 'name and cron are required';
+  }
+
+  if (!businessId && !organizationId) {
+    return 'Either businessId or organizationId is required';
+  }
+
+  if ((businessId && !mongoose.Types.ObjectId.isValid(businessId)) ||
+      (organizationId && !mongoose.Types.ObjectId.isValid(organizationId))) {
+    return 'Invalid businessId or organizationId';
+  }
+
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    return 'userIds array is required with at least one user ID';
+  }
+
+  if (!isValidTimeZone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+
+  let parsed;
+  try {
+    parsed = parseCron(cron);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (!nextCronTime(parsed, new Date(), timezone)) {
+    return `Cron expression never runs: ${cron}`;
+  }
+
+  if (windowHours !== undefined &&
+      !(typeof windowHours === 'number' && windowHours >= 1 && windowHours <= SCHEDULES.MAX_WINDOW_HOURS)) {
+    return `windowHours must be a number between 1 and ${SCHEDULES.MAX_WINDOW_HOURS}`;
+  }
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return 'options must be an object';
+  }
+
+  const unknownOptions = Object.keys(options).filter(key => !SCHEDULES.OPTIONS.includes(key));
+  if (unknownOptions.length > 0) {
+    return `Unsupported options: ${unknownOptions.join(', ')}`;
+  }
+
+  if (options.matchingThreshold !== undefined && (options.matchingThreshold < 0.9 || options.matchingThreshold > 1)) {
+    return 'matchingThreshold must be between 0.9 and 1.0';
+  }
+
+  const strategies = Object.values(MATCHING.ASSIGNMENT_STRATEGIES);
+  if (options.assignmentStrategy && !strategies.includes(options.assignmentStrategy)) {
+    return `assignmentStrategy must be one of: ${strategies.join(', ')}`;
+  }
+
+  if (options.matchingProfile && !(await matchingProfileService.findProfile(options.matchingProfile, businessId))) {
+    return `Unknown matchingProfile: ${options.matchingProfile}`;
+  }
+
+  return null;
+}
+
+/**
+ * Send a 400 for an invalid schedule ID
+ */
+function rejectScheduleId(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid schedule ID'
+  });
+}
+
+/**
+ * Send a 404 for a missing schedule
+ */
+function scheduleNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Schedule not found'
+  });
+}
+
+/**
+ * Send a 400 for validation errors, 500 otherwise
+ */
+function handleScheduleError(res, error, context) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: error.message
+    });
+  }
+
+  logger.error(`${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+class ScheduleController {
+  /**
+   * List verification schedules
+   * GET /api/schedules
+   */
+  async listSchedules(req, res) {
+    try {
+      const { status, businessId, organizationId, limit } = req.query;
+
+      if (status && !Object.values(SCHEDULES.STATUSES).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(SCHEDULES.STATUSES).join(', ')}`
+        });
+      }
+
+      if ((businessId && !mongoose.Types.ObjectId.isValid(businessId)) ||
+          (organizationId && !mongoose.Types.ObjectId.isValid(organizationId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid businessId or organizationId'
+        });
+      }
+
+      const schedules = await scheduleService.listSchedules({
+        status,
+        businessId,
+        organizationId,
+        limit,
+        scope: scopeFilter(req.auth)
+      });
+
+      res.json({
+        success: true,
+        count: schedules.length,
+        schedules
+      });
+
+    } catch (error) {
+      handleScheduleError(res, error, 'List schedules error');
+    }
+  }
+
+  /**
+   * Get a verification schedule with its next and last run times
+   * GET /api/schedules/:scheduleId
+   */
+  async getSchedule(req, res) {
+    try {
+      const { scheduleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(scheduleId)) return rejectScheduleId(res);
+
+      const schedule = await scheduleService.getSchedule(scheduleId, scopeFilter(req.auth));
+      if (!schedule) return scheduleNotFound(res);
+
+      res.json({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      handleScheduleError(res, error, 'Get schedule error');
+    }
+  }
+
+  /**
+   * Create a recurring verification schedule
+   * POST /api/schedules
+   */
+  async createSchedule(req, res) {
+    try {
+      const validationError = await validateSchedule(req.body);
+
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const { name, businessId, organizationId, cron, timezone, windowHours, userIds, options } = req.body;
+      const tenant = await apiKeyService.resolveVerificationScope(req.auth, { businessId, organizationId, userIds });
+
+      if (tenant.error) {
+        return res.status(403).json({
+          success: false,
+          error: tenant.error
+        });
+      }
+
+      const schedule = await scheduleService.createSchedule({
+        name,
+        business_id: tenant.businessId || null,
+        organization_id: tenant.organizationId || null,
+        cron,
+        timezone,
+        window_hours: windowHours,
+        user_ids: userIds,
+        options
+      });
+
+      res.status(201).json({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      handleScheduleError(res, error, 'Create schedule error');
+    }
+  }
+
+  /**
+   * Pause a verification schedule
+   * POST /api/schedules/:scheduleId/pause
+   */
+  async pauseSchedule(req, res) {
+    try {
+      const { scheduleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(scheduleId)) return rejectScheduleId(res);
+
+      const schedule = await scheduleService.pauseSchedule(scheduleId, scopeFilter(req.auth));
+      if (!schedule) return scheduleNotFound(res);
+
+      res.json({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      handleScheduleError(res, error, 'Pause schedule error');
+    }
+  }
+
+  /**
+   * Resume a paused verification schedule
+   * POST /api/schedules/:scheduleId/resume
+   */
+  async resumeSchedule(req, res) {
+    try {
+      const { scheduleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(scheduleId)) return rejectScheduleId(res);
+
+      const schedule = await scheduleService.resumeSchedule(scheduleId, scopeFilter(req.auth));
+      if (!schedule) return scheduleNotFound(res);
+
+      res.json({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      handleScheduleError(res, error, 'Resume schedule error');
+    }
+  }
+
+  /**
+   * Delete a verification schedule
+   * DELETE /api/schedules/:scheduleId
+   */
+  async deleteSchedule(req, res) {
+    try {
+      const { scheduleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(scheduleId)) return rejectScheduleId(res);
+
+      const schedule = await scheduleService.deleteSchedule(scheduleId, scopeFilter(req.auth));
+      if (!schedule) return scheduleNotFound(res);
+
+      res.json({
+        success: true,
+        message: `Schedule ${schedule.name} deleted`
+      });
+
+    } catch (error) {
+      handleScheduleError(res, error, 'Delete schedule error');
+    }
+  }
+}
+
+module.exports = new ScheduleController();
\ No newline at end of file
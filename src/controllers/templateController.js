@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const templateService = require('../services/templateService');
+const apiKeyService = require('../services/apiKeyService');
+const { logger } = require('../config/database');
+
+/**
+ * Map camelCase request fields onto MessageTemplate document fields
+ */
+function toTemplateFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.businessId !== undefined) fields.business_id = body.businessId;
+  if (body.typeOfMessage !== undefined) fields.type_of_message = body.typeOfMessage;
+  if (body.body !== undefined) fields.body = body.body;
+  if (body.placeholders !== undefined) {
+    // Accept plain names as well as { name, description } objects
+    fields.placeholders = body.placeholders.map(p => (typeof p === 'string' ? { name: p } : p));
+  }
+  if (body.isActive !== undefined) fields.is_active = body.isActive;
+
+  return fields;
+}
+
+/**
+ * Send a 403 unless the caller may manage templates of the business
+ * Shared templates (no business) can only be managed by admin keys.
+ */
+async function rejectBusiness(req, res, businessId) {
+  if (await apiKeyService.canAccessBusiness(req.auth, businessId)) return false;
+
+  res.status(403).json({
+    success: false,
+    error: businessId
+      ? 'businessId is outside this API key\'s scope'
+      : 'Shared templates can only be managed with an admin API key'
+  });
+  return true;
+}
+
+/**
+ * Send a 400/409 for validation and duplicate-name errors, 500 otherwise
+ */
+function handleTemplateError(res, error, context) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A template with this name already exists for the business'
+    });
+  }
+
+  logger.error(`${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+class TemplateController {
+  /**
+   * List message templates
+   * GET /api/templates
+   */
+  async listTemplates(req, res) {
+    try {
+      const { businessId, includeInactive } = req.query;
+
+      if (businessId && !mongoose.Types.ObjectId.isValid(businessId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid businessId'
+        });
+      }
+
+      if (businessId && await rejectBusiness(req, res, businessId)) return;
+
+      // Without a businessId, restricted keys see shared templates and their own businesses'
+      const templates = await templateService.listTemplates({
+        businessId,
+        businessIds: req.auth.unrestricted ? undefined : req.auth.businessIds,
+        includeInactive: includeInactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        count: templates.length,
+        templates
+      });
+
+    } catch (error) {
+      handleTemplateError(res, error, 'List templates error');
+    }
+  }
+
+  /**
+   * Get a message template
+   * GET /api/templates/:templateId
+   */
+  async getTemplate(req, res) {
+    try {
+      const { templateId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid template ID'
+        });
+      }
+
+      const template = await templateService.getTemplate(templateId);
+
+      // Shared templates are readable by every key
+      if (!template || (template.business_id &&
+          !(await apiKeyService.canAccessBusiness(req.auth, template.business_id)))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        template
+      });
+
+    } catch (error) {
+      handleTemplateError(res, error, 'Get template error');
+    }
+  }
+
+  /**
+   * Register a message template
+   * POST /api/templates
+   */
+  async createTemplate(req, res) {
+    try {
+      const { name, body, placeholders } = req.body;
+
+      if (!name || !body || !Array.isArray(placeholders)) {
+        return res.status(400).json({
+          success: false,
+          error: 'name, body and placeholders array are required'
+        });
+      }
+
+      if (await rejectBusiness(req, res, req.body.businessId)) return;
+
+      const template = await templateService.createTemplate(toTemplateFields(req.body));
+
+      res.status(201).json({
+        success: true,
+        template
+      });
+
+    } catch (error) {
+      handleTemplateError(res, error, 'Create template error');
+    }
+  }
+
+  /**
+   * Update a message template
+   * PUT /api/templates/:templateId
+   */
+  async updateTemplate(req, res) {
+    try {
+      const { templateId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid template ID'
+        });
+      }
+
+      if (req.body.placeholders !== undefined && !Array.isArray(req.body.placeholders)) {
+        return res.status(400).json({
+          success: false,
+          error: 'placeholders must be an array'
+        });
+      }
+
+      // Moving a template to another business needs access to that business too
+      if (req.body.businessId !== undefined && await rejectBusiness(req, res, req.body.businessId)) return;
+
+      const existing = await templateService.getTemplate(templateId);
+
+      // Shared templates are readable by every key, so refuse rather than report them missing
+      if (existing && !existing.business_id && await rejectBusiness(req, res, null)) return;
+
+      const template = existing && await apiKeyService.canAccessBusiness(req.auth, existing.business_id)
+        ? await templateService.updateTemplate(templateId, toTemplateFields(req.body))
+        : null;
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        template
+      });
+
+    } catch (error) {
+      handleTemplateError(res, error, 'Update template error');
+    }
+  }
+
+  /**
+   * Delete a message template
+   * DELETE /api/templates/:templateId
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const { templateId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid template ID'
+        });
+      }
+
+      const existing = await templateService.getTemplate(templateId);
+
+      // Shared templates are readable by every key, so refuse rather than report them missing
+      if (existing && !existing.business_id && await rejectBusiness(req, res, null)) return;
+
+      const template = existing && await apiKeyService.canAccessBusiness(req.auth, existing.business_id)
+        ? await templateService.deleteTemplate(templateId)
+        : null;
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Template ${template.name} deleted`
+      });
+
+    } catch (error) {
+      handleTemplateError(res, error, 'Delete template error');
+    }
+  }
+}
+
+module.exports = new TemplateController();
\ No newline at end of file
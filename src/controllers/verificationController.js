@@ -1,5 +1,73 @@
 const verificationService = require('../services/verificationService');
+const verificationJobService = require('../services/verificationJobService');
+const matchingProfileService = require('../services/matchingProfileService');
+const verificationRunService = require('../services/verificationRunService');
+const apiKeyService = require('../services/apiKeyService');
+const chatExportService = require('../services/chatExportService');
 const { logger } = require('../config/database');
+const { MATCHING, EXPORT, CHAT_EXPORT } = require('../config/constants');
+const { resolveExportFormat, sendReport } = require('../utils/reportExport');
+const { applyScope } = require('../utils/tenantScope');
+const { isValidTimeZone } = require('../utils/cronExpression');
+const { normalizePhoneNumber, normalizePhoneNumbers } = require('../utils/phoneNumber');
+const { parsePhoneNumberRanges } = require('../utils/phoneNumberRange');
+
+/**
+ * Send a 400 for an unknown export format
+ */
+function rejectFormat(res) {
+  return res.status(400).json({
+    success: false,
+    error: `format must be one of: ${Object.keys(EXPORT.FORMATS).join(', ')}`
+  });
+}
+
+/**
+ * Detail entries for a CSV or NDJSON export of a run just completed
+ * Read from the stored run, or from memory if the details could not be stored.
+ */
+function reportDetails(result) {
+  return result.details || verificationRunService.streamDetails(result.runId);
+}
+
+/**
+ * Check the files of a chat export upload
+ * @returns {string|null} Error message, or null if the files are usable
+ */
+function validateExportFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    return 'files array is required with at least one file';
+  }
+
+  if (files.length > CHAT_EXPORT.MAX_FILES) {
+    return `At most ${CHAT_EXPORT.MAX_FILES} files can be uploaded at once`;
+  }
+
+  if (files.some(file => !file || typeof file.filename !== 'string' || !file.filename ||
+      typeof file.content !== 'string' || !file.content)) {
+    return 'Each file needs a filename and base64 content';
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the tenant to verify for the caller, sending a 403 if it is outside their API key's scope
+ * @returns {Object|null} { businessId, organizationId, scope }, or null once the 403 is sent
+ */
+async function resolveTenant(req, res, businessId, organizationId, userIds) {
+  const tenant = await apiKeyService.resolveVerificationScope(req.auth, { businessId, organizationId, userIds });
+
+  if (tenant.error) {
+    res.status(403).json({
+      success: false,
+      error: tenant.error
+    });
+    return null;
+  }
+
+  return tenant;
+}
 
 class VerificationController {
   /**
@@ -15,12 +83,23 @@ class VerificationController {
         phoneNumberRange,
         businessId,
         organizationId,
-        matchingThreshold = 0.9,
+        matchingThreshold,
+        matchingProfile,
+        assignmentStrategy,
+        candidateWindowHours,
+        clockSkewSeconds,
+        duplicateWindowMinutes,
         messageRole = 'both',
         includeDetails = true,
-        userIds
+        persistResults = false,
+        skipVerified = false,
+        userIds,
+        async: runAsJob = false
       } = req.body;
       
+      const format = resolveExportFormat(req);
+      if (!format) return rejectFormat(res);
+      
       // Validate required parameters
       if (!dateFrom || !dateTo) {
         return res.status(400).json({
@@ -44,6 +123,37 @@ class VerificationController {
         });
       }
       
+      // Unparseable numbers are reported with the run, but a list of nothing else would verify every number
+      if (phoneNumbers !== undefined && !Array.isArray(phoneNumbers)) {
+        return res.status(400).json({
+          success: false,
+          error: 'phoneNumbers must be an array'
+        });
+      }
+      
+      if (phoneNumbers?.length > 0) {
+        const { valid, invalid } = normalizePhoneNumbers(phoneNumbers);
+        
+        if (valid.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'None of the phoneNumbers can be parsed',
+            invalidPhoneNumbers: invalid
+          });
+        }
+      }
+      
+      // Checked up front so an oversized range is refused before a job is queued
+      if (phoneNumberRange) {
+        const { error: rangeError } = parsePhoneNumberRanges(phoneNumberRange);
+        if (rangeError) {
+          return res.status(400).json({
+            success: false,
+            error: rangeError
+          });
+        }
+      }
+      
       // Validate date format
       const fromDate = new Date(dateFrom);
       const toDate = new Date(dateTo);
@@ -63,13 +173,65 @@ class VerificationController {
       }
       
       // Validate matching threshold
-      if (matchingThreshold < 0.9 || matchingThreshold > 1) {
+      if (matchingThreshold !== undefined && (matchingThreshold < 0.9 || matchingThreshold > 1)) {
         return res.status(400).json({
           success: false,
           error: 'matchingThreshold must be between 0.9 and 1.0'
         });
       }
       
+      // Validate matching profile
+      if (matchingProfile && !(await matchingProfileService.findProfile(matchingProfile, businessId))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown matchingProfile: ${matchingProfile}`
+        });
+      }
+      
+      // Validate assignment strategy
+      const strategies = Object.values(MATCHING.ASSIGNMENT_STRATEGIES);
+      if (assignmentStrategy && !strategies.includes(assignmentStrategy)) {
+        return res.status(400).json({
+          success: false,
+          error: `assignmentStrategy must be one of: ${strategies.join(', ')}`
+        });
+      }
+      
+      // Validate candidate window
+      if (candidateWindowHours !== undefined && !(typeof candidateWindowHours === 'number' && candidateWindowHours > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'candidateWindowHours must be a positive number'
+        });
+      }
+      
+      // Validate clock-skew allowance
+      if (clockSkewSeconds !== undefined && !(typeof clockSkewSeconds === 'number' && clockSkewSeconds >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'clockSkewSeconds must be a non-negative number'
+        });
+      }
+      
+      // Validate duplicate window
+      if (duplicateWindowMinutes !== undefined && !(typeof duplicateWindowMinutes === 'number' && duplicateWindowMinutes > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'duplicateWindowMinutes must be a positive number'
+        });
+      }
+      
+      // Validate persistence flags
+      if (typeof persistResults !== 'boolean' || typeof skipVerified !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'persistResults and skipVerified must be booleans'
+        });
+      }
+      
+      const tenant = await resolveTenant(req, res, businessId, organizationId, userIds);
+      if (!tenant) return;
+      
       logger.info('Starting message verification', {
         dateFrom,
         dateTo,
@@ -77,21 +239,45 @@ class VerificationController {
         phoneNumberRange
       });
       
-      // Call verification service
-      const result = await verificationService.verifyMessages({
+      const params = {
         dateFrom,
         dateTo,
         phoneNumbers,
         phoneNumberRange,
-        businessId,
-        organizationId,
+        businessId: tenant.businessId,
+        organizationId: tenant.organizationId,
+        scope: tenant.scope,
         matchingThreshold,
+        matchingProfile,
+        assignmentStrategy,
+        candidateWindowHours,
+        clockSkewSeconds,
+        duplicateWindowMinutes,
         messageRole,
         includeDetails,
+        persistResults,
+        skipVerified,
         userIds
-      });
+      };
+      
+      // Job mode: queue the run and let the client poll for the result
+      if (runAsJob) {
+        const job = await verificationJobService.createJob(params);
+        
+        return res.status(202).json({
+          success: true,
+          jobId: job._id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job._id}`,
+          reportUrl: `/api/jobs/${job._id}/report`
+        });
+      }
+      
+      // Call verification service
+      const result = await verificationService.verifyMessages(params);
       
-      res.json(result);
+      await sendReport(res, result, format, `verification-${result.runId}`,
+        reportDetails(result));
       
     } catch (error) {
       logger.error('Verification controller error:', error);
@@ -113,10 +299,16 @@ class VerificationController {
         phoneNumber,
         dateFrom,
         dateTo,
+        businessId,
+        organizationId,
         includeDetails = true,
+        matchingProfile,
         userIds
       } = req.body;
       
+      const format = resolveExportFormat(req);
+      if (!format) return rejectFormat(res);
+      
       if (!phoneNumber) {
         return res.status(400).json({
           success: false,
@@ -124,6 +316,14 @@ class VerificationController {
         });
       }
       
+      const { e164, error: phoneError } = normalizePhoneNumber(phoneNumber);
+      if (phoneError) {
+        return res.status(400).json({
+          success: false,
+          error: phoneError
+        });
+      }
+      
       if (!userIds || userIds.length === 0) {
         return res.status(400).json({
           success: false,
@@ -131,17 +331,31 @@ class VerificationController {
         });
       }
       
+      if (matchingProfile && !(await matchingProfileService.findProfile(matchingProfile, businessId))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown matchingProfile: ${matchingProfile}`
+        });
+      }
+      
+      const tenant = await resolveTenant(req, res, businessId, organizationId, userIds);
+      if (!tenant) return;
+      
       const result = await verificationService.verifyMessages({
         dateFrom,
         dateTo,
-        phoneNumbers: [phoneNumber],
+        phoneNumbers: [e164],
+        businessId: tenant.businessId,
+        organizationId: tenant.organizationId,
+        scope: tenant.scope,
         includeDetails,
-        matchingThreshold: 0.9,
+        matchingProfile,
         messageRole: 'both',
         userIds
       });
       
-      res.json(result);
+      await sendReport(res, result, format, `verification-${e164.slice(1)}-${result.runId}`,
+        reportDetails(result));
       
     } catch (error) {
       logger.error('Single verification error:', error);
@@ -153,6 +367,167 @@ class VerificationController {
     }
   }
   
+  /**
+   * Verify a phone number's messages against uploaded WhatsApp "Export chat" files
+   * POST /api/verify/export
+   */
+  async verifyChatExport(req, res) {
+    try {
+      const {
+        phoneNumber,
+        files,
+        businessSender,
+        dateOrder,
+        timezone = CHAT_EXPORT.DEFAULT_TIMEZONE,
+        dateFrom,
+        dateTo,
+        businessId,
+        organizationId,
+        matchingProfile,
+        candidateWindowHours,
+        clockSkewSeconds,
+        messageRole = 'both',
+        includeDetails = true,
+        persistResults = false
+      } = req.body;
+      
+      const format = resolveExportFormat(req);
+      if (!format) return rejectFormat(res);
+      
+      if (!phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'phoneNumber is required'
+        });
+      }
+      
+      const { e164, error: phoneError } = normalizePhoneNumber(phoneNumber);
+      if (phoneError) {
+        return res.status(400).json({
+          success: false,
+          error: phoneError
+        });
+      }
+      
+      const filesError = validateExportFiles(files);
+      if (filesError) {
+        return res.status(400).json({
+          success: false,
+          error: filesError
+        });
+      }
+      
+      if (businessSender !== undefined && (typeof businessSender !== 'string' || !businessSender.trim())) {
+        return res.status(400).json({
+          success: false,
+          error: 'businessSender must be a non-empty string'
+        });
+      }
+      
+      if (dateOrder !== undefined && !CHAT_EXPORT.DATE_ORDERS.includes(dateOrder)) {
+        return res.status(400).json({
+          success: false,
+          error: `dateOrder must be one of: ${CHAT_EXPORT.DATE_ORDERS.join(', ')}`
+        });
+      }
+      
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown timezone: ${timezone}`
+        });
+      }
+      
+      // The period defaults to the span of the exported messages
+      if ((dateFrom && isNaN(new Date(dateFrom).getTime())) || (dateTo && isNaN(new Date(dateTo).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format. Please use ISO 8601 format'
+        });
+      }
+      
+      if (candidateWindowHours !== undefined && !(typeof candidateWindowHours === 'number' && candidateWindowHours > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'candidateWindowHours must be a positive number'
+        });
+      }
+      
+      if (clockSkewSeconds !== undefined && !(typeof clockSkewSeconds === 'number' && clockSkewSeconds >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'clockSkewSeconds must be a non-negative number'
+        });
+      }
+      
+      if (typeof persistResults !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'persistResults must be a boolean'
+        });
+      }
+      
+      if (matchingProfile && !(await matchingProfileService.findProfile(matchingProfile, businessId))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown matchingProfile: ${matchingProfile}`
+        });
+      }
+      
+      const tenant = await resolveTenant(req, res, businessId, organizationId);
+      if (!tenant) return;
+      
+      const chatExport = chatExportService.parseUploads(files, { phoneNumber: e164, businessSender, dateOrder, timezone });
+      if (chatExport.error) {
+        return res.status(400).json({
+          success: false,
+          error: chatExport.error
+        });
+      }
+      
+      // Messages exported without seconds may be stamped up to a minute before they were sent
+      const minutePrecision = chatExport.evidence.files.some(file => file.timePrecision === 'minute');
+      const precisionMs = minutePrecision ? 60000 : 1000;
+      const defaultSkewSeconds = (MATCHING.CLOCK_SKEW + precisionMs) / 1000;
+      
+      const fromDate = dateFrom ? new Date(dateFrom) : chatExport.evidence.from;
+      const toDate = dateTo ? new Date(dateTo) : new Date(chatExport.evidence.to.getTime() + precisionMs);
+      
+      if (fromDate > toDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'dateFrom cannot be after dateTo'
+        });
+      }
+      
+      const result = await verificationService.verifyMessages({
+        dateFrom: fromDate.toISOString(),
+        dateTo: toDate.toISOString(),
+        phoneNumbers: [e164],
+        businessId: tenant.businessId,
+        organizationId: tenant.organizationId,
+        scope: tenant.scope,
+        matchingProfile,
+        candidateWindowHours,
+        clockSkewSeconds: clockSkewSeconds ?? defaultSkewSeconds,
+        messageRole,
+        includeDetails,
+        persistResults
+      }, { chatExport });
+      
+      await sendReport(res, result, format, `verification-export-${e164.slice(1)}-${result.runId}`,
+        reportDetails(result));
+      
+    } catch (error) {
+      logger.error('Chat export verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
   /**
    * Get verification report for first messages
    * POST /api/verify/first-messages
@@ -164,9 +539,13 @@ class VerificationController {
         dateTo,
         businessId,
         organizationId,
+        matchingProfile,
         userIds
       } = req.body;
       
+      const format = resolveExportFormat(req);
+      if (!format) return rejectFormat(res);
+      
       if (!dateFrom || !dateTo) {
         return res.status(400).json({
           success: false,
@@ -181,6 +560,16 @@ class VerificationController {
         });
       }
       
+      if (matchingProfile && !(await matchingProfileService.findProfile(matchingProfile, businessId))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown matchingProfile: ${matchingProfile}`
+        });
+      }
+      
+      const tenant = await resolveTenant(req, res, businessId, organizationId, userIds);
+      if (!tenant) return;
+      
       // Fetch all first messages from database
       const Messages = require('../models/Messages');
       const query = {
@@ -191,10 +580,10 @@ class VerificationController {
         type_of_message: 'first_message'
       };
       
-      if (businessId) query.business_id = businessId;
-      if (organizationId) query.organization_id = organizationId;
+      if (tenant.businessId) query.business_id = tenant.businessId;
+      if (tenant.organizationId) query.organization_id = tenant.organizationId;
       
-      const firstMessages = await Messages.find(query).lean();
+      const firstMessages = await Messages.find(applyScope(query, tenant.scope)).lean();
       
       // Get unique phone numbers
       const uniquePhoneNumbers = [...new Set(firstMessages.map(m => m.phone_number))];
@@ -204,9 +593,10 @@ class VerificationController {
         dateFrom,
         dateTo,
         phoneNumbers: uniquePhoneNumbers,
-        businessId,
-        organizationId,
-        matchingThreshold: 0.9,
+        businessId: tenant.businessId,
+        organizationId: tenant.organizationId,
+        scope: tenant.scope,
+        matchingProfile,
         messageRole: 'assistant',
         includeDetails: true,
         userIds
@@ -220,7 +610,8 @@ class VerificationController {
         failureRate: ((result.report.summary.firstMessageStats.unmatched / firstMessages.length) * 100).toFixed(2) + '%'
       };
       
-      res.json(result);
+      await sendReport(res, result, format, `first-messages-${result.runId}`,
+        reportDetails(result));
       
     } catch (error) {
       logger.error('First messages verification error:', error);
@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const verificationRunService = require('../services/verificationRunService');
+const { RUNS, EXPORT } = require('../config/constants');
+const { logger } = require('../config/database');
+const { resolveExportFormat, sendReport } = require('../utils/reportExport');
+const { scopeFilter } = require('../utils/tenantScope');
+
+class VerificationRunController {
+  /**
+   * List recent verification runs
+   * GET /api/runs
+   */
+  async listRuns(req, res) {
+    try {
+      const { status, businessId, organizationId, limit } = req.query;
+
+      if (status && !Object.values(RUNS.STATUSES).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(RUNS.STATUSES).join(', ')}`
+        });
+      }
+
+      if ((businessId && !mongoose.Types.ObjectId.isValid(businessId)) ||
+          (organizationId && !mongoose.Types.ObjectId.isValid(organizationId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid businessId or organizationId'
+        });
+      }
+
+      const runs = await verificationRunService.listRuns({
+        status,
+        businessId,
+        organizationId,
+        limit,
+        scope: scopeFilter(req.auth)
+      });
+
+      res.json({
+        success: true,
+        count: runs.length,
+        runs
+      });
+
+    } catch (error) {
+      logger.error('List runs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a verification run
+   * GET /api/runs/:runId
+   */
+  async getRun(req, res) {
+    try {
+      const { runId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(runId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid run ID'
+        });
+      }
+
+      const run = await verificationRunService.getRun(runId, req.query.includeOutcomes === 'true', scopeFilter(req.auth));
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: 'Run not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        run
+      });
+
+    } catch (error) {
+      logger.error('Get run error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the report of a stored run, optionally exported
+   * GET /api/runs/:runId/report
+   */
+  async getRunReport(req, res) {
+    try {
+      const { runId } = req.params;
+      const format = resolveExportFormat(req);
+
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${Object.keys(EXPORT.FORMATS).join(', ')}`
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(runId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid run ID'
+        });
+      }
+
+      const run = await verificationRunService.getRun(runId, false, scopeFilter(req.auth));
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: 'Run not found'
+        });
+      }
+
+      if (run.status === RUNS.STATUSES.FAILED) {
+        return res.status(409).json({
+          success: false,
+          error: 'Run failed',
+          message: run.error
+        });
+      }
+
+      await sendReport(res, {
+        success: true,
+        runId: run._id,
+        report: verificationRunService.getRunReport(run)
+      }, format, `verification-${run._id}`, verificationRunService.streamDetails(run._id));
+
+    } catch (error) {
+      logger.error('Get run report error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Page through or stream the entries of a stored run
+   * JSON is paginated (page/limit, or after= the last seq seen); CSV and NDJSON
+   * stream every entry matching the filters.
+   * GET /api/runs/:runId/details
+   */
+  async getRunDetails(req, res) {
+    try {
+      const { runId } = req.params;
+      const { phoneNumber, type, dateFrom, dateTo, after, page, limit } = req.query;
+      const format = resolveExportFormat(req);
+      const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+      const detailStatuses = Object.values(RUNS.DETAIL_STATUSES);
+
+      if (!format || format === 'html') {
+        return res.status(400).json({
+          success: false,
+          error: 'format must be one of: json, csv, ndjson'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(runId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid run ID'
+        });
+      }
+
+      if (statuses && statuses.some(status => !detailStatuses.includes(status))) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one or more of: ${detailStatuses.join(', ')}`
+        });
+      }
+
+      if ((dateFrom && isNaN(Date.parse(dateFrom))) || (dateTo && isNaN(Date.parse(dateTo)))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format. Use ISO 8601 format'
+        });
+      }
+
+      if (after !== undefined && !/^\d+$/.test(after)) {
+        return res.status(400).json({
+          success: false,
+          error: 'after must be a non-negative integer'
+        });
+      }
+
+      const run = await verificationRunService.getRun(runId, false, scopeFilter(req.auth));
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: 'Run not found'
+        });
+      }
+
+      const filters = { status: statuses, phoneNumber, type, dateFrom, dateTo, after };
+
+      if (format === 'json') {
+        const result = await verificationRunService.listDetails(runId, filters, { page, limit });
+
+        return res.json({
+          success: true,
+          runId: run._id,
+          ...result
+        });
+      }
+
+      await sendReport(res, {
+        success: true,
+        runId: run._id,
+        report: { summary: run.summary }
+      }, format, `verification-${run._id}-details`, verificationRunService.streamDetails(runId, filters));
+
+    } catch (error) {
+      logger.error('Get run details error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Compare a run with a later one
+   * GET /api/runs/:runId/compare/:otherRunId
+   */
+  async compareRuns(req, res) {
+    try {
+      const { runId, otherRunId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(runId) || !mongoose.Types.ObjectId.isValid(otherRunId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid run ID'
+        });
+      }
+
+      const comparison = await verificationRunService.compareRuns(runId, otherRunId, scopeFilter(req.auth));
+
+      if (!comparison) {
+        return res.status(404).json({
+          success: false,
+          error: 'Run not found'
+        });
+      }
+
+      if (comparison.error) {
+        return res.status(comparison.expired ? 410 : 409).json({
+          success: false,
+          error: comparison.error
+        });
+      }
+
+      res.json({
+        success: true,
+        comparison
+      });
+
+    } catch (error) {
+      logger.error('Compare runs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new VerificationRunController();
\ No newline at end of file
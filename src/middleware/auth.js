@@ -0,0 +1,62 @@
+const apiKeyService = require('../services/apiKeyService');
+const { AUTH } = require('../config/constants');
+const { logger } = require('../config/database');
+
+class AuthMiddleware {
+  /**
+   * Require a valid API key in the X-API-Key header (or as a Bearer token)
+   * and attach the caller to req.auth
+   */
+  async authenticate(req, res, next) {
+    try {
+      const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+      const key = req.get(AUTH.HEADER) || bearer?.[1];
+
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          error: `API key required in the ${AUTH.HEADER} header`
+        });
+      }
+
+      const auth = await apiKeyService.authenticate(key);
+
+      if (!auth) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid, expired or revoked API key'
+        });
+      }
+
+      req.auth = auth;
+      next();
+
+    } catch (error) {
+      logger.error('Authentication error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Require a permission (see AUTH.PERMISSIONS) of the authenticated caller
+   * @param {string} permission - Permission name
+   */
+  requirePermission(permission) {
+    return (req, res, next) => {
+      if (!req.auth?.permissions.includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key lacks the ${permission} permission`
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = new AuthMiddleware();
\ No newline at end of file
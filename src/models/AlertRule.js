@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { ALERTS } = require('../config/constants');
+
+const AlertRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      required: [true, 'Rule name is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    business_id: {
+      required: [true, 'Business ID is required, cannot be null or empty'],
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    metric: {
+      required: [true, 'Metric is required, cannot be null or empty'],
+      type: String,
+      enum: Object.values(ALERTS.METRICS),
+    },
+    // Percentage for the rate metrics, message count for phone_unmatched_count_above
+    threshold: {
+      required: [true, 'Threshold is required, cannot be null or empty'],
+      type: Number,
+      min: [0, 'Threshold cannot be below 0'],
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+AlertRuleSchema.index({ business_id: 1, name: 1 }, { name: 'queryBy_business_name', unique: true });
+
+module.exports = mongoose.model('AlertRule', AlertRuleSchema);
\ No newline at end of file
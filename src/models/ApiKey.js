@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { AUTH } = require('../config/constants');
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      required: [true, 'Key name is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    // SHA-256 of the key; the key itself is only shown when issued
+    key_hash: {
+      required: [true, 'Key hash is required, cannot be null or empty'],
+      type: String,
+      select: false,
+    },
+    key_prefix: {
+      required: [true, 'Key prefix is required, cannot be null or empty'],
+      type: String,
+    },
+    permissions: {
+      type: [{ type: String, enum: Object.values(AUTH.PERMISSIONS) }],
+      validate: {
+        validator: (permissions) => permissions.length > 0,
+        message: 'At least one permission is required',
+      },
+    },
+    // Tenants the key may access; admin keys are not limited
+    organization_ids: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    business_ids: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+ApiKeySchema.index({ key_hash: 1 }, { name: 'queryBy_keyHash', unique: true });
+ApiKeySchema.index({ created_at: -1 }, { name: 'queryBy_createdAt' });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const CacheEntrySchema = new mongoose.Schema(
+  {
+    key: {
+      required: [true, 'Key is required, cannot be null or empty'],
+      type: String,
+    },
+    // JSON of the cached API response; API payloads may hold keys MongoDB cannot store
+    value: {
+      required: [true, 'Value is required, cannot be null or empty'],
+      type: String,
+    },
+    user_id: {
+      type: String,
+      default: null,
+    },
+    // Phone numbers the response covers, for invalidating by phone
+    phone_numbers: [
+      {
+        type: String,
+      },
+    ],
+    expires_at: {
+      required: [true, 'Expiry is required, cannot be null or empty'],
+      type: Date,
+    },
+    last_accessed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+CacheEntrySchema.index({ key: 1 }, { name: 'queryBy_key', unique: true });
+CacheEntrySchema.index({ user_id: 1 }, { name: 'queryBy_userId' });
+CacheEntrySchema.index({ phone_numbers: 1 }, { name: 'queryBy_phoneNumbers' });
+CacheEntrySchema.index({ last_accessed_at: 1 }, { name: 'queryBy_lastAccessedAt' });
+CacheEntrySchema.index({ expires_at: 1 }, { name: 'expireBy_expiresAt', expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', CacheEntrySchema);
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { DIRECTIONS, PROVIDERS } = require('../config/constants');
+
+const CloudApiMessageSchema = new mongoose.Schema(
+  {
+    // WhatsApp message ID (wamid)
+    message_id: {
+      required: [true, 'Message ID is required, cannot be null or empty'],
+      type: String,
+    },
+    // Business phone number the message was sent from or to
+    phone_number_id: {
+      required: [true, 'Phone number ID is required, cannot be null or empty'],
+      type: String,
+    },
+    customer_phone: {
+      required: [true, 'Customer phone is required, cannot be null or empty'],
+      type: String,
+    },
+    direction: {
+      required: [true, 'Direction is required, cannot be null or empty'],
+      type: String,
+      enum: [DIRECTIONS.INBOUND, DIRECTIONS.OUTBOUND],
+    },
+    type: {
+      type: String,
+      default: null,
+    },
+    // Inbound text or caption; status webhooks carry no text for outbound messages
+    body: {
+      type: String,
+      default: null,
+    },
+    has_media: {
+      type: Boolean,
+      default: false,
+    },
+    filename: {
+      type: String,
+      default: null,
+    },
+    mimetype: {
+      type: String,
+      default: null,
+    },
+    // Inbound: when the customer sent it. Outbound: the earliest status received
+    timestamp: {
+      required: [true, 'Timestamp is required, cannot be null or empty'],
+      type: Date,
+    },
+    statuses: [
+      {
+        type: String,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+CloudApiMessageSchema.index({ message_id: 1 }, { name: 'queryBy_messageId', unique: true });
+CloudApiMessageSchema.index(
+  { phone_number_id: 1, timestamp: 1 },
+  { name: 'queryBy_phoneNumberId_timestamp' }
+);
+CloudApiMessageSchema.index(
+  { phone_number_id: 1, customer_phone: 1, timestamp: 1 },
+  { name: 'queryBy_phoneNumberId_customerPhone_timestamp' }
+);
+CloudApiMessageSchema.index(
+  { created_at: 1 },
+  { name: 'expireBy_createdAt', expireAfterSeconds: PROVIDERS.CLOUD_API.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('CloudApiMessage', CloudApiMessageSchema);
\ No newline at end of file
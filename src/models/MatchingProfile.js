@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const thresholdField = {
+  type: Number,
+  min: [0, 'Threshold cannot be below 0'],
+  max: [1, 'Threshold cannot be above 1'],
+};
+
+const MatchingProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      required: [true, 'Profile name is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    business_id: {
+      required: [true, 'Business ID is required, cannot be null or empty'],
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    default_threshold: {
+      ...thresholdField,
+      required: [true, 'Default threshold is required, cannot be null or empty'],
+    },
+    type_thresholds: {
+      first_message: thresholdField,
+      follow_up: thresholdField,
+      payment_reminder: thresholdField,
+      user_reply: thresholdField,
+    },
+    is_default: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+MatchingProfileSchema.index({ business_id: 1, name: 1 }, { name: 'queryBy_business_name', unique: true });
+MatchingProfileSchema.index({ business_id: 1, is_default: 1 }, { name: 'queryBy_business_default' });
+
+module.exports = mongoose.model('MatchingProfile', MatchingProfileSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { extractPlaceholders, hasAdjacentPlaceholders } = require('../utils/messageTemplate');
+
+const MessageTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      required: [true, 'Template name is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    // null makes the template available to every business
+    business_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    type_of_message: {
+      type: String,
+      enum: ['first_message', 'follow_up', 'payment_reminder', 'user_reply'],
+    },
+    // Template text with {{placeholder}} markers, e.g. "Hi {{name}}, RM{{amount}} is due"
+    body: {
+      required: [true, 'Template body is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    placeholders: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        description: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Every {{placeholder}} in the body must be declared, and every declared placeholder used
+MessageTemplateSchema.pre('validate', function () {
+  if (!this.body) return;
+
+  const used = new Set(extractPlaceholders(this.body));
+  const declared = new Set(this.placeholders.map(p => p.name));
+  const undeclared = [...used].filter(name => !declared.has(name));
+  const unused = [...declared].filter(name => !used.has(name));
+
+  if (used.size === 0) {
+    this.invalidate('body', 'Template body must contain at least one {{placeholder}}');
+  } else if (undeclared.length > 0) {
+    this.invalidate('placeholders', `Undeclared placeholders in body: ${undeclared.join(', ')}`);
+  } else if (unused.length > 0) {
+    this.invalidate('placeholders', `Declared placeholders not used in body: ${unused.join(', ')}`);
+  } else if (hasAdjacentPlaceholders(this.body)) {
+    this.invalidate('body', 'Placeholders must be separated by fixed text');
+  }
+});
+
+MessageTemplateSchema.index({ business_id: 1, name: 1 }, { name: 'queryBy_business_name', unique: true });
+MessageTemplateSchema.index({ business_id: 1, is_active: 1 }, { name: 'queryBy_business_active' });
+
+module.exports = mongoose.model('MessageTemplate', MessageTemplateSchema);
\ No newline at end of file
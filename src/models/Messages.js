@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { VERIFICATION } = require('../config/constants');
 
 const MessagesSchema = new mongoose.Schema(
   {
@@ -47,7 +48,6 @@ const MessagesSchema = new mongoose.Schema(
     external_message_id: {
       type: String,
       trim: true,
-      sparse: true,
     },
     status_updates: {
       sent: Date,
@@ -83,6 +83,27 @@ const MessagesSchema = new mongoose.Schema(
       enum: ['verification', 'negotiation', 'legal', 'dispute', 'followup', 'closure', 'escalation'],
       sparse: true,
     },
+    verification: {
+      status: {
+        type: String,
+        enum: Object.values(VERIFICATION.STATUSES),
+      },
+      confidence_score: {
+        type: Number,
+      },
+      whatsapp_timestamp: {
+        type: Date,
+      },
+      run_id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      user_id: {
+        type: String,
+      },
+      verified_at: {
+        type: Date,
+      },
+    },
     stage_context: {
       stage: {
         type: String,
@@ -112,5 +133,9 @@ MessagesSchema.index({ 'stage_context.stage': 1 }, { name: 'queryBy_stage' });
 MessagesSchema.index({ conversation_id: 1, sent_date: -1 });
 MessagesSchema.index({ phone_number: 1, sent_date: -1 });
 MessagesSchema.index({ type_of_message: 1, sent_date: -1 });
+MessagesSchema.index({ 'verification.status': 1, sent_date: -1 }, { name: 'queryBy_verificationStatus' });
+MessagesSchema.index({ 'verification.run_id': 1 }, { name: 'queryBy_verificationRun', sparse: true });
+// Cloud API outbound statuses are joined to their text by wamid
+MessagesSchema.index({ external_message_id: 1 }, { name: 'queryBy_externalMessageId', sparse: true });
 
 module.exports = mongoose.model('Messages', MessagesSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { PROVIDERS } = require('../config/constants');
+
+const ProviderSettingSchema = new mongoose.Schema(
+  {
+    business_id: {
+      required: [true, 'Business ID is required, cannot be null or empty'],
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    provider: {
+      required: [true, 'Provider is required, cannot be null or empty'],
+      type: String,
+      enum: Object.values(PROVIDERS.NAMES),
+    },
+    // The business's own accounts at the provider that are not WhatsApp account ObjectIds,
+    // e.g. Cloud API phone number IDs; restricted API keys may only fetch with these
+    account_ids: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+ProviderSettingSchema.index({ business_id: 1 }, { name: 'queryBy_business', unique: true });
+
+module.exports = mongoose.model('ProviderSetting', ProviderSettingSchema);
\ No newline at end of file
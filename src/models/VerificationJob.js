@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { JOBS } = require('../config/constants');
+
+const VerificationJobSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(JOBS.STATUSES),
+      default: JOBS.STATUSES.QUEUED,
+      index: true,
+    },
+    params: {
+      required: [true, 'Job parameters are required, cannot be null or empty'],
+      type: mongoose.Schema.Types.Mixed,
+    },
+    business_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    organization_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Set when the job was started by a recurring schedule
+    schedule_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    current_step: {
+      type: String,
+      enum: [...JOBS.STEPS, null],
+      default: null,
+    },
+    steps: [
+      {
+        name: {
+          type: String,
+          enum: JOBS.STEPS,
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: Object.values(JOBS.STEP_STATUSES),
+          default: JOBS.STEP_STATUSES.PENDING,
+        },
+        started_at: { type: Date },
+        completed_at: { type: Date },
+        details: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    // Only on jobs completed before reports were read from the job's run
+    report: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    api_errors: [
+      {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    error: {
+      type: String,
+    },
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+    // Held by the instance running the job; expires if that instance dies
+    lease: {
+      owner: { type: String, default: null },
+      expires_at: { type: Date, default: null },
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+VerificationJobSchema.index({ created_at: -1 }, { name: 'queryBy_createdAt' });
+VerificationJobSchema.index({ status: 1, 'lease.expires_at': 1 }, { name: 'queryBy_status_leaseExpiry' });
+VerificationJobSchema.index({ business_id: 1, created_at: -1 }, { name: 'queryBy_business_createdAt' });
+VerificationJobSchema.index({ organization_id: 1, created_at: -1 }, { name: 'queryBy_organization_createdAt' });
+
+module.exports = mongoose.model('VerificationJob', VerificationJobSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { RUNS } = require('../config/constants');
+
+const VerificationRunSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(RUNS.STATUSES),
+      required: [true, 'Run status is required, cannot be null or empty'],
+    },
+    params: {
+      required: [true, 'Run parameters are required, cannot be null or empty'],
+      type: mongoose.Schema.Types.Mixed,
+    },
+    job_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    business_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    organization_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Unmatched counts by type, phone number and date
+    analysis: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Whether the run's details (and with them its outcome lists) were stored, and when they expire
+    details_stored: {
+      type: Boolean,
+      default: false,
+    },
+    details_expire_at: {
+      type: Date,
+      default: null,
+    },
+    // Milliseconds spent in each pipeline step
+    step_timings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    error: {
+      type: String,
+    },
+    started_at: {
+      type: Date,
+    },
+    completed_at: {
+      type: Date,
+    },
+    duration_ms: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+VerificationRunSchema.index({ created_at: -1 }, { name: 'queryBy_createdAt' });
+VerificationRunSchema.index({ business_id: 1, created_at: -1 }, { name: 'queryBy_business_createdAt' });
+VerificationRunSchema.index({ organization_id: 1, created_at: -1 }, { name: 'queryBy_organization_createdAt' });
+
+module.exports = mongoose.model('VerificationRun', VerificationRunSchema);
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { RUNS } = require('../config/constants');
+
+// One matched, unmatched, duplicate or orphan entry of a verification run
+const VerificationRunDetailSchema = new mongoose.Schema(
+  {
+    run_id: {
+      required: [true, 'Run ID is required, cannot be null or empty'],
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Position in the run, for stable paging
+    seq: {
+      required: [true, 'Sequence is required, cannot be null or empty'],
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: Object.values(RUNS.DETAIL_STATUSES),
+      required: [true, 'Detail status is required, cannot be null or empty'],
+    },
+    phone_number: {
+      type: String,
+    },
+    type_of_message: {
+      type: String,
+    },
+    // DB sent_date, or the WhatsApp timestamp for orphans
+    sent_date: {
+      type: Date,
+    },
+    entry: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: false },
+  },
+);
+
+VerificationRunDetailSchema.index({ run_id: 1, seq: 1 }, { name: 'queryBy_run' });
+VerificationRunDetailSchema.index({ run_id: 1, status: 1, seq: 1 }, { name: 'queryBy_run_status' });
+VerificationRunDetailSchema.index({ run_id: 1, phone_number: 1, seq: 1 }, { name: 'queryBy_run_phone' });
+VerificationRunDetailSchema.index({ run_id: 1, type_of_message: 1, seq: 1 }, { name: 'queryBy_run_type' });
+VerificationRunDetailSchema.index({ run_id: 1, sent_date: 1 }, { name: 'queryBy_run_sentDate' });
+VerificationRunDetailSchema.index(
+  { created_at: 1 },
+  { name: 'expireBy_createdAt', expireAfterSeconds: RUNS.DETAIL_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('VerificationRunDetail', VerificationRunDetailSchema);
\ No newline at end of file
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { SCHEDULES } = require('../config/constants');
+
+const VerificationScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      required: [true, 'Schedule name is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    business_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    organization_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    cron: {
+      required: [true, 'Cron expression is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    timezone: {
+      type: String,
+      default: SCHEDULES.DEFAULT_TIMEZONE,
+    },
+    // Each run verifies the hours leading up to its start
+    window_hours: {
+      type: Number,
+      default: SCHEDULES.DEFAULT_WINDOW_HOURS,
+      min: [1, 'Window cannot be shorter than 1 hour'],
+      max: [SCHEDULES.MAX_WINDOW_HOURS, `Window cannot be longer than ${SCHEDULES.MAX_WINDOW_HOURS} hours`],
+    },
+    user_ids: {
+      type: [String],
+      validate: {
+        validator: (userIds) => userIds.length > 0,
+        message: 'At least one user ID is required',
+      },
+    },
+    // Verification options (SCHEDULES.OPTIONS) passed to each run
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: Object.values(SCHEDULES.STATUSES),
+      default: SCHEDULES.STATUSES.ACTIVE,
+    },
+    next_run_at: {
+      type: Date,
+      default: null,
+    },
+    last_run_at: {
+      type: Date,
+      default: null,
+    },
+    last_job_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    last_status: {
+      type: String,
+      default: null,
+    },
+    last_error: {
+      type: String,
+    },
+    // Held by the instance running the schedule; expires if that instance dies
+    lease: {
+      owner: { type: String, default: null },
+      expires_at: { type: Date, default: null },
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+VerificationScheduleSchema.index({ status: 1, next_run_at: 1 }, { name: 'queryBy_status_nextRun' });
+VerificationScheduleSchema.index({ business_id: 1 }, { name: 'queryBy_business' });
+VerificationScheduleSchema.index({ organization_id: 1 }, { name: 'queryBy_organization' });
+
+module.exports = mongoose.model('VerificationSchedule', VerificationScheduleSchema);
\ No newline at end of file
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { ALERTS } = require('../config/constants');
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook_id: {
+      required: [true, 'Webhook ID is required, cannot be null or empty'],
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    business_id: {
+      required: [true, 'Business ID is required, cannot be null or empty'],
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    run_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    event: {
+      type: String,
+      default: ALERTS.EVENT,
+    },
+    // Exact JSON body sent (and signed) on every attempt
+    payload: {
+      required: [true, 'Payload is required, cannot be null or empty'],
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: Object.values(ALERTS.DELIVERY_STATUSES),
+      default: ALERTS.DELIVERY_STATUSES.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    next_attempt_at: {
+      type: Date,
+      default: null,
+    },
+    last_attempt_at: {
+      type: Date,
+      default: null,
+    },
+    last_response_status: {
+      type: Number,
+      default: null,
+    },
+    last_error: {
+      type: String,
+    },
+    delivered_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+WebhookDeliverySchema.index({ status: 1, next_attempt_at: 1 }, { name: 'queryBy_status_nextAttempt' });
+WebhookDeliverySchema.index({ business_id: 1, created_at: -1 }, { name: 'queryBy_business_createdAt' });
+WebhookDeliverySchema.index({ webhook_id: 1, created_at: -1 }, { name: 'queryBy_webhook_createdAt' });
+WebhookDeliverySchema.index({ run_id: 1 }, { name: 'queryBy_run' });
+WebhookDeliverySchema.index(
+  { created_at: 1 },
+  { name: 'expireBy_createdAt', expireAfterSeconds: ALERTS.DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
\ No newline at end of file
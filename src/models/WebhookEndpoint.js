@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const WebhookEndpointSchema = new mongoose.Schema(
+  {
+    business_id: {
+      required: [true, 'Business ID is required, cannot be null or empty'],
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    url: {
+      required: [true, 'Webhook URL is required, cannot be null or empty'],
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // HMAC key for payload signatures; only returned when the endpoint is created
+    secret: {
+      required: [true, 'Webhook secret is required, cannot be null or empty'],
+      type: String,
+      select: false,
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+WebhookEndpointSchema.index({ business_id: 1, is_active: 1 }, { name: 'queryBy_business_active' });
+
+module.exports = mongoose.model('WebhookEndpoint', WebhookEndpointSchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+const canRead = auth.requirePermission(AUTH.PERMISSIONS.READ);
+const canManage = auth.requirePermission(AUTH.PERMISSIONS.MANAGE);
+
+// Every route needs an API key
+router.use(auth.authenticate);
+
+// Alert rules evaluated after each run
+router.get('/rules', canRead, alertController.listRules);
+router.post('/rules', canManage, alertController.createRule);
+router.put('/rules/:ruleId', canManage, alertController.updateRule);
+router.delete('/rules/:ruleId', canManage, alertController.deleteRule);
+
+// Webhook endpoints alerts are delivered to
+router.get('/webhooks', canRead, alertController.listWebhooks);
+router.post('/webhooks', canManage, alertController.createWebhook);
+router.put('/webhooks/:webhookId', canManage, alertController.updateWebhook);
+router.delete('/webhooks/:webhookId', canManage, alertController.deleteWebhook);
+
+// Delivery log
+router.get('/deliveries', canRead, alertController.listDeliveries);
+router.get('/deliveries/:deliveryId', canRead, alertController.getDelivery);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+// Key management is for admin keys only
+router.use(auth.authenticate, auth.requirePermission(AUTH.PERMISSIONS.ADMIN));
+
+// List API keys
+router.get('/', apiKeyController.listKeys);
+
+// Issue an API key
+router.post('/', apiKeyController.issueKey);
+
+// Revoke an API key
+router.delete('/:keyId', apiKeyController.revokeKey);
+
+module.exports = router;
\ No newline at end of file
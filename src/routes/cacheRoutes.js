@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const cacheController = require('../controllers/cacheController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+// Cache administration is for admin keys only
+router.use(auth.authenticate, auth.requirePermission(AUTH.PERMISSIONS.ADMIN));
+
+// Backend, size and hit/miss statistics
+router.get('/', cacheController.getStats);
+
+// Clear the whole cache
+router.delete('/', cacheController.clearCache);
+
+// Entries without their values, filtered by userId and/or phoneNumber
+router.get('/entries', cacheController.listEntries);
+
+// Invalidate the entries for a userId and/or phoneNumber
+router.delete('/entries', cacheController.invalidateEntries);
+
+module.exports = router;
\ No newline at end of file
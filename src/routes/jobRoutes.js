@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+const canRead = auth.requirePermission(AUTH.PERMISSIONS.READ);
+
+// Every route needs an API key
+router.use(auth.authenticate);
+
+// List recent verification jobs
+router.get('/', canRead, jobController.listJobs);
+
+// Job status and step progress
+router.get('/:jobId', canRead, jobController.getJobStatus);
+
+// Finished job report
+router.get('/:jobId/report', canRead, jobController.getJobReport);
+
+module.exports = router;
\ No newline at end of file
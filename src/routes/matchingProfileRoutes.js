@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const matchingProfileController = require('../controllers/matchingProfileController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+const canRead = auth.requirePermission(AUTH.PERMISSIONS.READ);
+const canManage = auth.requirePermission(AUTH.PERMISSIONS.MANAGE);
+
+// Every route needs an API key
+router.use(auth.authenticate);
+
+// Built-in and business matching profiles
+router.get('/', canRead, matchingProfileController.listProfiles);
+
+// Create a business profile
+router.post('/', canManage, matchingProfileController.createProfile);
+
+// Update a business profile
+router.put('/:profileId', canManage, matchingProfileController.updateProfile);
+
+// Delete a business profile
+router.delete('/:profileId', canManage, matchingProfileController.deleteProfile);
+
+module.exports = router;
\ No newline at end of file
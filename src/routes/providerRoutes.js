@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const providerController = require('../controllers/providerController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+const canRead = auth.requirePermission(AUTH.PERMISSIONS.READ);
+const canManage = auth.requirePermission(AUTH.PERMISSIONS.MANAGE);
+
+// Meta calls the webhook without an API key; POSTs are checked against the app secret instead
+router.get('/cloud-api/webhook', providerController.verifyCloudApiWebhook);
+router.post('/cloud-api/webhook', providerController.receiveCloudApiWebhook);
+
+// Every other route needs an API key
+router.use(auth.authenticate);
+
+// List message source providers
+router.get('/', canRead, providerController.listProviders);
+
+// Get a business's provider
+router.get('/businesses/:businessId', canRead, providerController.getBusinessProvider);
+
+// Choose a business's provider
+router.put('/businesses/:businessId', canManage, providerController.setBusinessProvider);
+
+// Return a business to the default provider
+router.delete('/businesses/:businessId', canManage, providerController.deleteBusinessProvider);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/scheduleController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+const canRead = auth.requirePermission(AUTH.PERMISSIONS.READ);
+const canManage = auth.requirePermission(AUTH.PERMISSIONS.MANAGE);
+
+// Every route needs an API key
+router.use(auth.authenticate);
+
+// List verification schedules
+router.get('/', canRead, scheduleController.listSchedules);
+
+// Create a recurring verification schedule
+router.post('/', canManage, scheduleController.createSchedule);
+
+// Schedule with its next and last run times
+router.get('/:scheduleId', canRead, scheduleController.getSchedule);
+
+// Stop starting new runs
+router.post('/:scheduleId/pause', canManage, scheduleController.pauseSchedule);
+
+// Start running again from the next cron time
+router.post('/:scheduleId/resume', canManage, scheduleController.resumeSchedule);
+
+// Delete a verification schedule
+router.delete('/:scheduleId', canManage, scheduleController.deleteSchedule);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+const canRead = auth.requirePermission(AUTH.PERMISSIONS.READ);
+const canManage = auth.requirePermission(AUTH.PERMISSIONS.MANAGE);
+
+// Every route needs an API key
+router.use(auth.authenticate);
+
+// List message templates
+router.get('/', canRead, templateController.listTemplates);
+
+// Register a message template
+router.post('/', canManage, templateController.createTemplate);
+
+// Get a message template
+router.get('/:templateId', canRead, templateController.getTemplate);
+
+// Update a message template
+router.put('/:templateId', canManage, templateController.updateTemplate);
+
+// Delete a message template
+router.delete('/:templateId', canManage, templateController.deleteTemplate);
+
+module.exports = router;
\ No newline at end of file
@@ -1,17 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const verificationController = require('../controllers/verificationController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+// Mounted at /api alongside the other routers, so authentication is per route here
+const canVerify = [auth.authenticate, auth.requirePermission(AUTH.PERMISSIONS.VERIFY)];
 
 // Main verification endpoint
-router.post('/verify', verificationController.verifyMessages);
+router.post('/verify', canVerify, verificationController.verifyMessages);
 
 // Single phone number verification
-router.post('/verify/single', verificationController.verifySingleNumber);
+router.post('/verify/single', canVerify, verificationController.verifySingleNumber);
+
+// Verification against uploaded WhatsApp chat exports
+router.post('/verify/export', canVerify, verificationController.verifyChatExport);
 
 // First messages verification
-router.post('/verify/first-messages', verificationController.verifyFirstMessages);
+router.post('/verify/first-messages', canVerify, verificationController.verifyFirstMessages);
 
-// Health check
+// Health check, open for load balancers
 router.get('/health', verificationController.healthCheck);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const verificationRunController = require('../controllers/verificationRunController');
+const auth = require('../middleware/auth');
+const { AUTH } = require('../config/constants');
+
+const canRead = auth.requirePermission(AUTH.PERMISSIONS.READ);
+
+// Every route needs an API key
+router.use(auth.authenticate);
+
+// List recent verification runs
+router.get('/', canRead, verificationRunController.listRuns);
+
+// Run parameters, summary and timings
+router.get('/:runId', canRead, verificationRunController.getRun);
+
+// Run report, as JSON, CSV, NDJSON or HTML
+router.get('/:runId/report', canRead, verificationRunController.getRunReport);
+
+// Run entries, filterable by status, phone number, type and date: paginated JSON or streamed CSV/NDJSON
+router.get('/:runId/details', canRead, verificationRunController.getRunDetails);
+
+// Compare a run with a later one
+router.get('/:runId/compare/:otherRunId', canRead, verificationRunController.compareRuns);
+
+module.exports = router;
\ No newline at end of file
@@ -1,5 +1,8 @@
 const app = require('./app');
 const { connectDB, logger } = require('./config/database');
+const verificationJobService = require('./services/verificationJobService');
+const scheduleService = require('./services/scheduleService');
+const webhookService = require('./services/webhookService');
 
 const PORT = process.env.PORT || 3000;
 
@@ -9,6 +12,17 @@ async function startServer() {
     // Connect to MongoDB
     await connectDB();
     
+    // Jobs whose instance stopped cannot resume; fail them now and whenever another instance dies
+    await verificationJobService.start();
+    
+    // Run recurring verification schedules; set SCHEDULER_ENABLED=false on instances that should not
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      scheduleService.start();
+    }
+    
+    // Send queued alert webhooks and retry failed ones
+    webhookService.start();
+    
     // Start Express server
     const server = app.listen(PORT, () => {
       logger.info(`WhatsApp Verification Service running on port ${PORT}`);
@@ -18,6 +32,9 @@ async function startServer() {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       logger.info('SIGTERM signal received: closing HTTP server');
+      scheduleService.stop();
+      webhookService.stop();
+      verificationJobService.stop();
       server.close(() => {
         logger.info('HTTP server closed');
         process.exit(0);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const AlertRule = require('../models/AlertRule');
+const webhookService = require('./webhookService');
+const { ALERTS } = require('../config/constants');
+const { logger } = require('../config/database');
+
+class AlertService {
+  /**
+   * List a business's alert rules
+   * @param {string} businessId - Business ID
+   */
+  async listRules(businessId) {
+    return AlertRule.find({ business_id: businessId })
+      .sort({ name: 1 })
+      .lean();
+  }
+
+  /**
+   * Get an alert rule by ID
+   * @param {string} ruleId - Rule ID
+   */
+  async getRule(ruleId) {
+    return AlertRule.findById(ruleId).lean();
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} data - Rule fields
+   */
+  async createRule(data) {
+    return AlertRule.create(data);
+  }
+
+  /**
+   * Update an alert rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} data - Fields to update
+   */
+  async updateRule(ruleId, data) {
+    const rule = await AlertRule.findById(ruleId);
+    if (!rule) return null;
+
+    rule.set(data);
+    return rule.save();
+  }
+
+  /**
+   * Delete an alert rule
+   * @param {string} ruleId - Rule ID
+   */
+  async deleteRule(ruleId) {
+    return AlertRule.findByIdAndDelete(ruleId).lean();
+  }
+
+  /**
+   * Check one rule against a run
+   * @param {Object} rule - Alert rule
+   * @param {Object} summary - Report summary
+   * @param {Object} unmatchedByPhoneNumber - Unmatched counts per phone number ({ count })
+   * @returns {Object|null} The fired alert, or null
+   */
+  evaluateRule(rule, summary, unmatchedByPhoneNumber) {
+    const alert = {
+      ruleId: rule._id,
+      name: rule.name,
+      metric: rule.metric,
+      threshold: rule.threshold
+    };
+
+    switch (rule.metric) {
+      case ALERTS.METRICS.MATCH_RATE_BELOW: {
+        // No DB messages means no rate to judge
+        const value = parseFloat(summary.matchRate);
+        return summary.totalMessagesInDB > 0 && value < rule.threshold ? { ...alert, value } : null;
+      }
+
+      case ALERTS.METRICS.FIRST_MESSAGE_UNMATCHED_RATE_ABOVE: {
+        const value = parseFloat(summary.firstMessageStats?.unmatchedRate);
+        return summary.firstMessageStats?.total > 0 && value > rule.threshold ? { ...alert, value } : null;
+      }
+
+      case ALERTS.METRICS.PHONE_UNMATCHED_COUNT_ABOVE: {
+        const phoneNumbers = Object.entries(unmatchedByPhoneNumber)
+          .filter(([, group]) => group.count > rule.threshold)
+          .map(([phoneNumber, group]) => ({ phoneNumber, unmatched: group.count }))
+          .sort((a, b) => b.unmatched - a.unmatched);
+
+        return phoneNumbers.length > 0 ? { ...alert, value: phoneNumbers.length, phoneNumbers } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Evaluate a business's active rules against a completed run and send any alerts
+   * Failures are logged rather than thrown, so alerting never breaks a run.
+   * @param {Object} run - runId, businessId, summary and unmatchedByPhoneNumber
+   * @returns {Array} Fired alerts
+   */
+  async evaluateRun(run) {
+    if (!mongoose.Types.ObjectId.isValid(run.businessId)) return [];
+
+    try {
+      const rules = await AlertRule.find({ business_id: run.businessId, is_active: true }).lean();
+      const alerts = rules
+        .map(rule => this.evaluateRule(rule, run.summary, run.unmatchedByPhoneNumber))
+        .filter(Boolean);
+
+      if (alerts.length === 0) return [];
+
+      logger.warn(`Run ${run.runId} fired ${alerts.length} alert rules for business ${run.businessId}`);
+
+      await webhookService.enqueue(run.businessId, run.runId, {
+        event: ALERTS.EVENT,
+        runId: run.runId,
+        businessId: run.businessId,
+        firedAt: new Date(),
+        alerts,
+        summary: {
+          verificationPeriod: run.summary.verificationPeriod,
+          totalMessagesInDB: run.summary.totalMessagesInDB,
+          matchedMessages: run.summary.matchedMessages,
+          unmatchedMessages: run.summary.unmatchedMessages,
+          matchRate: run.summary.matchRate,
+          firstMessageStats: run.summary.firstMessageStats
+        },
+        reportUrl: `/api/runs/${run.runId}/report`
+      });
+
+      return alerts;
+    } catch (error) {
+      logger.warn(`Failed to evaluate alert rules for run ${run.runId}:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = new AlertService();
\ No newline at end of file
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const Conversation = require('../models/Conversation');
+const providerService = require('./providerService');
+const { AUTH } = require('../config/constants');
+const { logger } = require('../config/database');
+const { applyScope, scopeFilter } = require('../utils/tenantScope');
+
+class ApiKeyService {
+  /**
+   * SHA-256 of a key, hex encoded
+   * Keys are long random strings, so a fast hash is enough to make a leaked table useless.
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} data - name, permissions, organizationIds, businessIds and optional expiresAt
+   * @returns {Object} { apiKey, key } - the stored key (without hash) and the key itself, shown only now
+   */
+  async issueKey(data) {
+    const key = AUTH.KEY_PREFIX + crypto.randomBytes(AUTH.KEY_BYTES).toString('base64url');
+
+    const apiKey = await ApiKey.create({
+      name: data.name,
+      key_hash: this.hashKey(key),
+      key_prefix: key.slice(0, AUTH.DISPLAY_PREFIX_LENGTH),
+      permissions: data.permissions,
+      organization_ids: data.organizationIds || [],
+      business_ids: data.businessIds || [],
+      expires_at: data.expiresAt || null
+    });
+
+    const { key_hash, ...fields } = apiKey.toObject();
+    logger.info(`API key ${apiKey._id} (${apiKey.name}) issued`);
+
+    return { apiKey: fields, key };
+  }
+
+  /**
+   * List keys, newest first
+   * @param {boolean} includeRevoked - Whether to include revoked keys
+   */
+  async listKeys(includeRevoked = false) {
+    const query = includeRevoked ? {} : { revoked_at: null };
+
+    return ApiKey.find(query)
+      .sort({ created_at: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke a key; it stops working immediately but stays listed
+   * @param {string} keyId - Key ID
+   */
+  async revokeKey(keyId) {
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) return null;
+
+    if (!apiKey.revoked_at) {
+      apiKey.revoked_at = new Date();
+      await apiKey.save();
+      logger.info(`API key ${apiKey._id} (${apiKey.name}) revoked`);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Look up the caller behind a key
+   * @param {string} key - Key from the request
+   * @returns {Object|null} Caller (see toAuth), or null for an unknown, revoked or expired key
+   */
+  async authenticate(key) {
+    if (!key || !String(key).startsWith(AUTH.KEY_PREFIX)) return null;
+
+    const now = new Date();
+    const apiKey = await ApiKey.findOne({ key_hash: this.hashKey(key), revoked_at: null }).lean();
+
+    if (!apiKey || (apiKey.expires_at && apiKey.expires_at <= now)) return null;
+
+    // Recording every request would put a write on each call
+    if (!apiKey.last_used_at || now - apiKey.last_used_at > AUTH.LAST_USED_UPDATE_INTERVAL) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: now } }).catch(error => {
+        logger.warn(`Failed to record use of API key ${apiKey._id}:`, error.message);
+      });
+    }
+
+    return this.toAuth(apiKey);
+  }
+
+  /**
+   * The caller as seen by route handlers: expanded permissions and tenant scope
+   */
+  toAuth(apiKey) {
+    const permissions = new Set(apiKey.permissions);
+
+    for (const permission of apiKey.permissions) {
+      for (const implied of AUTH.IMPLIED_PERMISSIONS[permission] || []) {
+        permissions.add(implied);
+      }
+    }
+
+    return {
+      keyId: apiKey._id,
+      name: apiKey.name,
+      permissions: [...permissions],
+      unrestricted: permissions.has(AUTH.PERMISSIONS.ADMIN),
+      organizationIds: (apiKey.organization_ids || []).map(String),
+      businessIds: (apiKey.business_ids || []).map(String)
+    };
+  }
+
+  /**
+   * Check a verification request's businessId/organizationId against the caller's scope
+   * Restricted callers must name a tenant. A business outside the key's businesses is allowed
+   * when its conversations belong to one of the key's organizations; the organization is then
+   * added to the request. Every query is also narrowed to the key's tenants, and userIds
+   * must be WhatsApp accounts that conversations in scope are held on.
+   * @param {Object} auth - Caller from authenticate
+   * @param {Object} tenant - Requested businessId and organizationId, and the userIds to fetch with
+   * @returns {Object} { businessId, organizationId, scope } to verify with, or { error }
+   */
+  async resolveVerificationScope(auth, { businessId, organizationId, userIds }) {
+    if (auth.unrestricted) {
+      return { businessId, organizationId, scope: null };
+    }
+
+    if (!businessId && !organizationId) {
+      return { error: 'businessId or organizationId is required with this API key' };
+    }
+
+    if (organizationId && !auth.organizationIds.includes(String(organizationId))) {
+      return { error: 'organizationId is outside this API key\'s scope' };
+    }
+
+    if (businessId && !auth.businessIds.includes(String(businessId))) {
+      const conversation = auth.organizationIds.length > 0 && mongoose.Types.ObjectId.isValid(businessId)
+        ? await Conversation.findOne({ business_id: businessId }).select('organization_id').lean()
+        : null;
+      const businessOrganization = conversation?.organization_id ? String(conversation.organization_id) : null;
+
+      if (!businessOrganization || !auth.organizationIds.includes(businessOrganization) ||
+          (organizationId && String(organizationId) !== businessOrganization)) {
+        return { error: 'businessId is outside this API key\'s scope' };
+      }
+
+      organizationId = businessOrganization;
+    }
+
+    const scope = scopeFilter(auth);
+
+    if (userIds) {
+      const outside = await this.findUserIdsOutsideScope([].concat(userIds), scope, businessId);
+
+      if (outside.length > 0) {
+        return { error: `userIds outside this API key's scope: ${outside.join(', ')}` };
+      }
+    }
+
+    return { businessId, organizationId, scope };
+  }
+
+  /**
+   * userIds that are neither held by a conversation in scope (Conversation.whatsapp_account_id)
+   * nor listed as the business's account IDs in its provider setting (e.g. Cloud API phone number IDs)
+   * Without this, a restricted key could read every chat of another tenant's WhatsApp account.
+   * @param {Array<string>} userIds - WhatsApp account IDs to fetch with
+   * @param {Object} scope - Filter from scopeFilter
+   * @param {string} [businessId] - Business being verified, whose provider accounts are allowed
+   * @returns {Array<string>} The userIds the caller may not use
+   */
+  async findUserIdsOutsideScope(userIds, scope, businessId = null) {
+    const accountIds = userIds.filter(userId => mongoose.Types.ObjectId.isValid(userId));
+    const allowed = accountIds.length > 0
+      ? await Conversation.distinct('whatsapp_account_id', applyScope({ whatsapp_account_id: { $in: accountIds } }, scope))
+      : [];
+    const allowedIds = new Set(allowed.map(String));
+    const outside = userIds.filter(userId => !allowedIds.has(String(userId)));
+
+    if (outside.length === 0 || !businessId) return outside;
+
+    const setting = await providerService.getSetting(businessId);
+    const providerAccountIds = new Set(setting?.account_ids || []);
+
+    return outside.filter(userId => !providerAccountIds.has(String(userId)));
+  }
+
+  /**
+   * Whether the caller may manage records owned by a business (rules, webhooks, profiles, templates)
+   * @param {Object} auth - Caller from authenticate
+   * @param {string} businessId - Owning business; null for shared records, which only admins manage
+   */
+  async canAccessBusiness(auth, businessId) {
+    if (auth.unrestricted) return true;
+    if (!businessId) return false;
+
+    const tenant = await this.resolveVerificationScope(auth, { businessId });
+    return !tenant.error;
+  }
+}
+
+module.exports = new ApiKeyService();
\ No newline at end of file
@@ -0,0 +1,217 @@
+const CacheEntry = require('../models/CacheEntry');
+const { CACHE } = require('../config/constants');
+const { logger } = require('../config/database');
+const { LruCache } = require('../utils/lruCache');
+const { toE164 } = require('../utils/phoneNumber');
+
+/**
+ * Cache for WhatsApp API responses
+ * Entries are tagged with the userId and phone numbers they cover so they can be invalidated
+ * by either. The memory backend is per process; the mongo backend is shared by every instance
+ * and evicts by last access the same way. Cache errors are logged and treated as misses,
+ * so a cache outage only costs API calls. Hit and miss counts are per process.
+ */
+class CacheService {
+  constructor() {
+    this.backend = CACHE.BACKEND === CACHE.BACKENDS.MONGO ? CACHE.BACKENDS.MONGO : CACHE.BACKENDS.MEMORY;
+    this.memory = new LruCache({ maxEntries: CACHE.MAX_ENTRIES, ttl: CACHE.TTL });
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, invalidations: 0 };
+  }
+
+  isShared() {
+    return this.backend === CACHE.BACKENDS.MONGO;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {*} The value, or undefined on a miss
+   */
+  async get(key) {
+    let value;
+
+    try {
+      if (this.isShared()) {
+        const now = new Date();
+        const entry = await CacheEntry.findOneAndUpdate(
+          { key, expires_at: { $gt: now } },
+          { $set: { last_accessed_at: now } }
+        ).select('value').lean();
+        value = entry ? JSON.parse(entry.value) : undefined;
+      } else {
+        value = this.memory.get(key)?.value;
+      }
+    } catch (error) {
+      logger.warn(`Cache read failed for ${key}:`, error.message);
+      value = undefined;
+    }
+
+    if (value === undefined) {
+      this.stats.misses++;
+    } else {
+      this.stats.hits++;
+    }
+
+    return value;
+  }
+
+  /**
+   * Cache a value for CACHE.TTL
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serialisable value
+   * @param {Object} tags - userId and phoneNumbers the value covers
+   */
+  async set(key, value, { userId = null, phoneNumbers = [] } = {}) {
+    try {
+      if (this.isShared()) {
+        const now = new Date();
+        await CacheEntry.updateOne(
+          { key },
+          {
+            $set: {
+              value: JSON.stringify(value),
+              user_id: userId,
+              phone_numbers: phoneNumbers,
+              expires_at: new Date(now.getTime() + CACHE.TTL),
+              last_accessed_at: now
+            }
+          },
+          { upsert: true }
+        );
+        this.stats.evictions += await this.evictShared();
+      } else {
+        this.stats.evictions += this.memory.set(key, value, { userId, phoneNumbers });
+      }
+
+      this.stats.sets++;
+    } catch (error) {
+      logger.warn(`Cache write failed for ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Trim the shared cache to CACHE.MAX_ENTRIES, least recently used first
+   * @returns {number} Entries evicted
+   */
+  async evictShared() {
+    const excess = await CacheEntry.countDocuments() - CACHE.MAX_ENTRIES;
+    if (excess <= 0) return 0;
+
+    const oldest = await CacheEntry.find()
+      .sort({ last_accessed_at: 1 })
+      .limit(excess)
+      .select('_id')
+      .lean();
+
+    const result = await CacheEntry.deleteMany({ _id: { $in: oldest.map(entry => entry._id) } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Drop the entries for a userId and/or phone number
+   * @param {Object} filters - userId and/or phoneNumber; both must match when both are given
+   * @returns {number} Entries deleted
+   */
+  async invalidate({ userId, phoneNumber }) {
+    let deleted;
+
+    if (this.isShared()) {
+      const result = await CacheEntry.deleteMany(this.toQuery({ userId, phoneNumber }));
+      deleted = result.deletedCount;
+    } else {
+      deleted = this.memory.deleteWhere(entry => this.matches(entry, { userId, phoneNumber }));
+    }
+
+    this.stats.invalidations += deleted;
+    logger.info(`Invalidated ${deleted} cache entries (userId: ${userId || 'any'}, phone: ${phoneNumber || 'any'})`);
+    return deleted;
+  }
+
+  /**
+   * Drop every entry
+   * @returns {number} Entries deleted
+   */
+  async clear() {
+    let deleted;
+
+    if (this.isShared()) {
+      const result = await CacheEntry.deleteMany({});
+      deleted = result.deletedCount;
+    } else {
+      deleted = this.memory.clear();
+    }
+
+    this.stats.invalidations += deleted;
+    logger.info(`Cache cleared (${deleted} entries)`);
+    return deleted;
+  }
+
+  /**
+   * List entries, most recently used first, without their values
+   * @param {Object} filters - Optional userId, phoneNumber and limit
+   */
+  async listEntries(filters = {}) {
+    const limit = Math.min(
+      parseInt(filters.limit) || CACHE.DEFAULT_LIST_LIMIT,
+      CACHE.MAX_LIST_LIMIT
+    );
+
+    if (this.isShared()) {
+      const entries = await CacheEntry.find(this.toQuery(filters))
+        .select('-value')
+        .sort({ last_accessed_at: -1 })
+        .limit(limit)
+        .lean();
+
+      return entries.map(entry => ({
+        key: entry.key,
+        userId: entry.user_id,
+        phoneNumbers: entry.phone_numbers,
+        expiresAt: entry.expires_at,
+        lastAccessedAt: entry.last_accessed_at
+      }));
+    }
+
+    return this.memory.list()
+      .filter(entry => this.matches(entry, filters))
+      .slice(0, limit)
+      .map(entry => ({
+        key: entry.key,
+        userId: entry.userId,
+        phoneNumbers: entry.phoneNumbers,
+        expiresAt: new Date(entry.expiresAt),
+        lastAccessedAt: new Date(entry.lastAccessedAt)
+      }));
+  }
+
+  /**
+   * Backend, limits, size and hit/miss counts
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      backend: this.backend,
+      ttl: CACHE.TTL,
+      maxEntries: CACHE.MAX_ENTRIES,
+      entries: this.isShared() ? await CacheEntry.countDocuments() : this.memory.size,
+      ...this.stats,
+      hitRate: lookups > 0 ? ((this.stats.hits / lookups) * 100).toFixed(2) + '%' : '0%'
+    };
+  }
+
+  // Entries are tagged with E.164 numbers, so a filter may write the number any way
+  toQuery({ userId, phoneNumber }) {
+    const query = {};
+    if (userId) query.user_id = userId;
+    if (phoneNumber) query.phone_numbers = toE164(phoneNumber) || phoneNumber;
+    return query;
+  }
+
+  matches(entry, { userId, phoneNumber }) {
+    return (!userId || entry.userId === userId) &&
+      (!phoneNumber || (entry.phoneNumbers || []).includes(toE164(phoneNumber) || phoneNumber));
+  }
+}
+
+module.exports = new CacheService();
\ No newline at end of file
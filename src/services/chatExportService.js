@@ -0,0 +1,128 @@
+const { readZipEntries } = require('../utils/zipArchive');
+const { parseChatExport } = require('../utils/chatExport');
+const { CHAT_EXPORT } = require('../config/constants');
+const { logger } = require('../config/database');
+
+/**
+ * Chat text files inside a zip: WhatsApp names them _chat.txt (iOS) or "WhatsApp Chat with ....txt" (Android).
+ * Media files next to them are not read, nor macOS resource forks.
+ */
+function isChatFile(name) {
+  return name.toLowerCase().endsWith('.txt') && !name.split('/').includes('__MACOSX');
+}
+
+class ChatExportService {
+  /**
+   * Read the chat text out of uploaded files, opening zips
+   * @param {Array} files - [{ filename, content }] with base64 content
+   * @returns {Object} { chats: [{ source, text }] }, or { error } for a file that cannot be read
+   */
+  extractChats(files) {
+    const chats = [];
+    let totalBytes = 0;
+
+    for (const file of files) {
+      const data = Buffer.from(file.content, 'base64');
+      const isZip = data.length >= 4 && data.readUInt32LE(0) === 0x04034b50;
+
+      if (!isZip) {
+        totalBytes += data.length;
+        if (totalBytes > CHAT_EXPORT.MAX_TOTAL_BYTES) {
+          return { error: `Uploads exceed ${CHAT_EXPORT.MAX_TOTAL_BYTES} bytes of chat text` };
+        }
+
+        chats.push({ source: file.filename, text: data.toString('utf8') });
+        continue;
+      }
+
+      let entries;
+      try {
+        entries = readZipEntries(data, { filter: isChatFile, maxBytes: CHAT_EXPORT.MAX_TOTAL_BYTES - totalBytes });
+      } catch (error) {
+        return { error: `${file.filename}: ${error.message}` };
+      }
+
+      if (entries.length === 0) {
+        return { error: `${file.filename} contains no chat .txt file` };
+      }
+
+      for (const entry of entries) {
+        totalBytes += entry.data.length;
+        chats.push({ source: `${file.filename}/${entry.name}`, text: entry.data.toString('utf8') });
+      }
+    }
+
+    return { chats };
+  }
+
+  /**
+   * Parse uploaded chat exports into what whatsappApi.fetchMessagesForPhoneNumbers returns,
+   * so they can stand in for the API in verificationService.verifyMessages
+   * @param {Array} files - [{ filename, content }] with base64 content
+   * @param {Object} options - phoneNumber the chats are with, and businessSender, dateOrder and timezone
+   *   (see parseChatExport)
+   * @returns {Object} { messages, errors, completeness, evidence }, or { error } if the files
+   *   cannot be read or hold no messages
+   */
+  parseUploads(files, options) {
+    const { phoneNumber, businessSender, dateOrder, timezone = CHAT_EXPORT.DEFAULT_TIMEZONE } = options;
+    const extracted = this.extractChats(files);
+    if (extracted.error) return extracted;
+
+    const messages = [];
+    const evidenceFiles = [];
+
+    for (const chat of extracted.chats) {
+      const parsed = parseChatExport(chat.text, {
+        source: chat.source,
+        phoneNumber,
+        businessSender,
+        dateOrder,
+        fallbackDateOrder: CHAT_EXPORT.DEFAULT_DATE_ORDER,
+        timeZone: timezone
+      });
+
+      if (parsed.messages.length === 0) {
+        return { error: `${chat.source} has no messages in a WhatsApp export format` };
+      }
+
+      messages.push(...parsed.messages);
+      evidenceFiles.push({
+        file: chat.source,
+        messages: parsed.messages.length,
+        skippedLines: parsed.skipped,
+        dateOrder: parsed.dateOrder,
+        dateOrderInferred: parsed.dateOrderInferred,
+        timePrecision: parsed.hasSeconds ? 'second' : 'minute',
+        from: parsed.messages[0].timestamp,
+        to: parsed.messages[parsed.messages.length - 1].timestamp,
+        senders: parsed.senders
+      });
+    }
+
+    const times = messages.map(msg => msg.timestamp.getTime());
+    const from = times.reduce((min, time) => Math.min(min, time), Infinity);
+    const to = times.reduce((max, time) => Math.max(max, time), -Infinity);
+    logger.info(`Parsed ${messages.length} messages from ${evidenceFiles.length} chat export files for ${phoneNumber}`);
+
+    return {
+      messages: [{
+        phoneNumber,
+        messages: messages.map(msg => ({ ...msg, message: msg.body, userId: null })),
+        success: true
+      }],
+      errors: [],
+      // An export holds whatever was on the phone, so whether it is complete cannot be told
+      completeness: null,
+      evidence: {
+        type: CHAT_EXPORT.SOURCE,
+        timezone,
+        from: new Date(from),
+        to: new Date(to),
+        files: evidenceFiles
+      }
+    };
+  }
+}
+
+module.exports = new ChatExportService();
\ No newline at end of file
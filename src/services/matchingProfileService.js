@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const MatchingProfile = require('../models/MatchingProfile');
+const { MATCHING } = require('../config/constants');
+const { logger } = require('../config/database');
+
+class MatchingProfileService {
+  /**
+   * Resolve the profile to use for a verification run
+   * Order: requested profile name, the business default, then the built-in default.
+   * An explicit matchingThreshold replaces the profile's default threshold.
+   * @param {Object} options - matchingProfile name, matchingThreshold and businessId
+   * @returns {Object} Resolved profile { name, source, defaultThreshold, typeThresholds }
+   */
+  async resolveProfile({ matchingProfile, matchingThreshold, businessId } = {}) {
+    let profile = null;
+
+    if (matchingProfile) {
+      profile = await this.findProfile(matchingProfile, businessId);
+
+      if (!profile) {
+        throw new Error(`Unknown matching profile: ${matchingProfile}`);
+      }
+    } else if (businessId && mongoose.Types.ObjectId.isValid(businessId)) {
+      const businessDefault = await MatchingProfile.findOne({
+        business_id: businessId,
+        is_default: true
+      }).lean();
+
+      if (businessDefault) {
+        profile = this.toResolvedProfile(businessDefault);
+      }
+    }
+
+    if (!profile) {
+      profile = this.getBuiltInProfile(MATCHING.DEFAULT_PROFILE);
+    }
+
+    if (matchingThreshold !== undefined && matchingThreshold !== null) {
+      profile.defaultThreshold = Number(matchingThreshold);
+    }
+
+    logger.info('Resolved matching profile', profile);
+    return profile;
+  }
+
+  /**
+   * Find a profile by name, preferring the business's own profile over a built-in one
+   * @param {string} name - Profile name
+   * @param {string} businessId - Optional business ID
+   * @returns {Object|null} Resolved profile
+   */
+  async findProfile(name, businessId) {
+    if (businessId && mongoose.Types.ObjectId.isValid(businessId)) {
+      const businessProfile = await MatchingProfile.findOne({
+        business_id: businessId,
+        name
+      }).lean();
+
+      if (businessProfile) {
+        return this.toResolvedProfile(businessProfile);
+      }
+    }
+
+    return this.getBuiltInProfile(name);
+  }
+
+  /**
+   * Get a copy of a built-in profile from constants
+   * @param {string} name - Profile name
+   */
+  getBuiltInProfile(name) {
+    const builtIn = MATCHING.PROFILES[name];
+    if (!builtIn) return null;
+
+    return {
+      name,
+      source: 'builtin',
+      description: builtIn.description,
+      defaultThreshold: builtIn.defaultThreshold,
+      typeThresholds: { ...builtIn.typeThresholds }
+    };
+  }
+
+  /**
+   * Convert a MatchingProfile document to the shape used by the matcher
+   */
+  toResolvedProfile(doc) {
+    const typeThresholds = {};
+
+    for (const [type, threshold] of Object.entries(doc.type_thresholds || {})) {
+      if (threshold !== undefined && threshold !== null) {
+        typeThresholds[type] = threshold;
+      }
+    }
+
+    return {
+      name: doc.name,
+      source: 'business',
+      profileId: doc._id,
+      description: doc.description,
+      defaultThreshold: doc.default_threshold,
+      typeThresholds
+    };
+  }
+
+  /**
+   * List built-in profiles plus those configured for a business
+   * @param {string} businessId - Optional business ID
+   */
+  async listProfiles(businessId) {
+    const builtIn = Object.keys(MATCHING.PROFILES).map(name => this.getBuiltInProfile(name));
+
+    if (!businessId) {
+      return { builtIn, business: [] };
+    }
+
+    const business = await MatchingProfile.find({ business_id: businessId })
+      .sort({ name: 1 })
+      .lean();
+
+    return { builtIn, business };
+  }
+
+  /**
+   * Get a business matching profile by ID
+   * @param {string} profileId - Profile ID
+   */
+  async getProfile(profileId) {
+    return MatchingProfile.findById(profileId).lean();
+  }
+
+  /**
+   * Create a business matching profile
+   * @param {Object} data - Profile fields
+   */
+  async createProfile(data) {
+    if (data.is_default) {
+      await this.clearBusinessDefault(data.business_id);
+    }
+
+    return MatchingProfile.create(data);
+  }
+
+  /**
+   * Update a business matching profile
+   * @param {string} profileId - Profile ID
+   * @param {Object} data - Fields to update
+   */
+  async updateProfile(profileId, data) {
+    const profile = await MatchingProfile.findById(profileId);
+    if (!profile) return null;
+
+    if (data.is_default) {
+      await this.clearBusinessDefault(profile.business_id, profile._id);
+    }
+
+    // business_id is fixed once the profile is created
+    const { business_id, ...updates } = data;
+    profile.set(updates);
+    return profile.save();
+  }
+
+  /**
+   * Delete a business matching profile
+   * @param {string} profileId - Profile ID
+   */
+  async deleteProfile(profileId) {
+    return MatchingProfile.findByIdAndDelete(profileId).lean();
+  }
+
+  /**
+   * Unset the default flag on all other profiles of a business
+   */
+  async clearBusinessDefault(businessId, exceptId = null) {
+    const query = { business_id: businessId, is_default: true };
+
+    if (exceptId) {
+      query._id = { $ne: exceptId };
+    }
+
+    await MatchingProfile.updateMany(query, { $set: { is_default: false } });
+  }
+}
+
+module.exports = new MatchingProfileService();
\ No newline at end of file
@@ -1,6 +1,11 @@
 const stringSimilarity = require('string-similarity');
-const { MATCHING, MESSAGE_TYPES } = require('../config/constants');
+const { MATCHING, MEDIA, MESSAGE_TYPES, MESSAGE_ROLES, DIRECTIONS, VERIFICATION } = require('../config/constants');
 const { logger } = require('../config/database');
+const { solveMaxWeightAssignment } = require('../utils/bipartiteMatching');
+const CandidateIndex = require('../utils/candidateIndex');
+const { parseWithTemplate } = require('../utils/messageTemplate');
+const { normalizeText } = require('../utils/textNormalization');
+const { toPhoneKey } = require('../utils/phoneNumber');
 
 class MessageMatcher {
   /**
@@ -16,135 +21,1016 @@ class MessageMatcher {
     const normalizedDb = this.normalizeMessage(dbMessage);
     const normalizedApi = this.normalizeMessage(apiMessage);
     
+    // Messages of only punctuation or symbols normalize to nothing; only an exact copy counts
+    if (!normalizedDb || !normalizedApi) {
+      return dbMessage.trim() === apiMessage.trim() ? 1 : 0;
+    }
+    
     // Use string-similarity library for matching
     return stringSimilarity.compareTwoStrings(normalizedDb, normalizedApi);
   }
   
   /**
    * Normalize message for comparison
+   * Keeps letters of every script and emoji; see utils/textNormalization for the pipeline.
    * @param {string} message - Message to normalize
    * @returns {string} Normalized message
    */
   normalizeMessage(message) {
-    return message
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .replace(/[^\w\s]/g, '')
-      .trim();
+    return normalizeText(message, MATCHING.NORMALIZATION_LOCALE);
   }
   
   /**
-   * Match database messages with WhatsApp API messages
+   * Get the similarity threshold for a DB message under a matching profile
+   * @param {Object} dbMessage - Message from database
+   * @param {Object} profile - Resolved matching profile
+   * @returns {number} Minimum similarity score required for a match
+   */
+  getThreshold(dbMessage, profile) {
+    if (!profile) return MATCHING.SIMILARITY_THRESHOLD;
+    
+    const typeThreshold = profile.typeThresholds?.[dbMessage.type_of_message];
+    return typeThreshold ?? profile.defaultThreshold ?? MATCHING.SIMILARITY_THRESHOLD;
+  }
+  
+  /**
+   * Fill in timing settings left unset with the defaults
+   * @param {Object} [timing] - { clockSkewMs, maxLatencyMs, expectedLatencyMs }
+   */
+  resolveTiming(timing = {}) {
+    return {
+      clockSkewMs: timing.clockSkewMs ?? MATCHING.CLOCK_SKEW,
+      maxLatencyMs: timing.maxLatencyMs ?? MATCHING.CANDIDATE_WINDOW,
+      expectedLatencyMs: timing.expectedLatencyMs ?? MATCHING.EXPECTED_LATENCY
+    };
+  }
+  
+  /**
+   * Work out how plausibly an API message's timing fits a DB message
+   * The API message may be stamped up to clockSkewMs before sent_date and at most
+   * maxLatencyMs after it. Within the expected latency timing is fully trusted; beyond
+   * that the timing score falls linearly to 0 at the maximum latency.
+   * @param {Object} dbMessage - Message from database
+   * @param {Object} apiMessage - Message from WhatsApp API
+   * @param {Object} timing - Resolved timing settings
+   * @returns {Object|null} { delayMs, score }, or null if the API message is outside the window
+   */
+  getTiming(dbMessage, apiMessage, timing) {
+    const dbTime = new Date(dbMessage.sent_date).getTime();
+    const apiTime = new Date(apiMessage.timestamp || apiMessage.sent_date).getTime();
+    const delayMs = apiTime - dbTime;
+    
+    // Also rules out missing or unparseable dates (NaN)
+    if (!(delayMs >= -timing.clockSkewMs && delayMs <= timing.maxLatencyMs)) return null;
+    
+    if (delayMs <= timing.expectedLatencyMs) {
+      return { delayMs, score: 1 };
+    }
+    
+    const lateSpan = timing.maxLatencyMs - timing.expectedLatencyMs;
+    const score = lateSpan > 0 ? 1 - (delayMs - timing.expectedLatencyMs) / lateSpan : 1;
+    
+    return { delayMs, score };
+  }
+  
+  /**
+   * Build a phone/time index over API messages
+   * @param {Array} apiMessages - Messages from WhatsApp API, tagged with phoneNumber
+   * @param {Object} timing - Resolved timing settings
+   */
+  buildCandidateIndex(apiMessages, timing) {
+    return new CandidateIndex(apiMessages, {
+      clockSkewMs: timing.clockSkewMs,
+      maxLatencyMs: timing.maxLatencyMs,
+      bucketMs: MATCHING.CANDIDATE_BUCKET
+    });
+  }
+  
+  /**
+   * Recognise which registered template a message was rendered from
+   * @param {string} text - Message text
+   * @param {Array} templates - Compiled templates, most specific first
+   * @returns {Object|null} { template, slots } or null if no template fits
+   */
+  identifyTemplate(text, templates) {
+    if (!text || !templates || templates.length === 0) return null;
+    
+    const normalized = this.normalizeMessage(text);
+    
+    for (const template of templates) {
+      const slots = parseWithTemplate(template, normalized);
+      if (slots) return { template, slots };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Recognise the template of a DB message; media captions are not matched against templates
+   */
+  identifyDbTemplate(dbMsg, templates) {
+    if (this.isMediaMessage(dbMsg)) return null;
+    
+    return this.identifyTemplate(dbMsg.message, templates);
+  }
+  
+  /**
+   * Compare two messages rendered from the same template
+   * The fixed text already matched exactly, so only the slot values are compared.
+   * The score weights fixed text and each slot by character length. slotScore is the lowest
+   * slot similarity, so a changed amount or name is not outweighed by the text around it.
+   * @param {Object} template - Compiled template
+   * @param {Object} dbSlots - Slot values from the DB message
+   * @param {Object} apiSlots - Slot values from the API message
+   * @param {number} threshold - Similarity each slot value must reach
+   * @returns {Object} { score, slotScore, slotsDiffered, slotsBelowThreshold, slots }
+   */
+  compareTemplateSlots(template, dbSlots, apiSlots, threshold) {
+    const slots = {};
+    const slotsDiffered = [];
+    const slotsBelowThreshold = [];
+    let slotWeightedScore = 0;
+    let slotWeight = 0;
+    let slotScore = 1;
+    
+    for (const name of new Set(template.slotNames)) {
+      const dbValue = dbSlots[name];
+      const apiValue = apiSlots[name];
+      const matched = dbValue === apiValue;
+      const weight = Math.max(dbValue.length, apiValue.length, 1);
+      const similarity = matched ? 1 : stringSimilarity.compareTwoStrings(dbValue, apiValue);
+      
+      if (!matched) slotsDiffered.push(name);
+      if (similarity < threshold) slotsBelowThreshold.push(name);
+      
+      slots[name] = { db: dbValue, api: apiValue, matched };
+      slotWeightedScore += similarity * weight;
+      slotWeight += weight;
+      slotScore = Math.min(slotScore, similarity);
+    }
+    
+    const totalWeight = template.fixedLength + slotWeight;
+    
+    return {
+      score: totalWeight > 0 ? (template.fixedLength + slotWeightedScore) / totalWeight : 1,
+      slotScore,
+      slotsDiffered,
+      slotsBelowThreshold,
+      slots
+    };
+  }
+  
+  /**
+   * Whether a DB message carries media rather than plain text
+   */
+  isMediaMessage(dbMsg) {
+    return dbMsg.type === 'media' || (dbMsg.attachments?.length || 0) > 0;
+  }
+  
+  /**
+   * Map a WhatsApp type, mime type or file name to a media category
+   * @param {string} value - e.g. 'ptt', 'image/jpeg' or 'invoice.pdf'
+   * @returns {string|null} One of MEDIA.CATEGORIES, or null if unknown
+   */
+  getMediaCategory(value) {
+    if (!value) return null;
+    
+    const lower = String(value).toLowerCase().trim();
+    
+    if (MEDIA.CATEGORIES.includes(lower)) return lower;
+    if (MEDIA.TYPE_ALIASES[lower]) return MEDIA.TYPE_ALIASES[lower];
+    
+    // Mime type: image/*, video/* and audio/* map directly, anything else is a document
+    if (lower.includes('/')) {
+      const [major] = lower.split('/');
+      return ['image', 'video', 'audio'].includes(major) ? major : 'document';
+    }
+    
+    const extension = lower.includes('.') ? lower.split('.').pop() : lower;
+    for (const [category, extensions] of Object.entries(MEDIA.EXTENSIONS)) {
+      if (extensions.includes(extension)) return category;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Extract media category, file name and caption from a DB message
+   */
+  getDbMediaInfo(dbMsg) {
+    const attachment = dbMsg.attachments?.[0] || {};
+    const url = attachment.file_url || dbMsg.media_url || '';
+    const fileName = attachment.file_name || this.decodeFileName(url.split('?')[0].split('/').pop() || '');
+    
+    return {
+      mediaType: this.getMediaCategory(attachment.file_type) || this.getMediaCategory(fileName),
+      fileName: fileName || null,
+      caption: dbMsg.message || ''
+    };
+  }
+  
+  /**
+   * URL-decode a file name taken from a URL path
+   * A stray % (e.g. 100%off.pdf) is not valid encoding, so the segment is kept as it is.
+   */
+  decodeFileName(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+  
+  /**
+   * Extract media category, file name and caption from an API message
+   */
+  getApiMediaInfo(apiMsg) {
+    return {
+      mediaType: this.getMediaCategory(apiMsg.type) || this.getMediaCategory(apiMsg.mimetype) || this.getMediaCategory(apiMsg.filename),
+      fileName: apiMsg.filename || null,
+      caption: apiMsg.message || apiMsg.body || ''
+    };
+  }
+  
+  /**
+   * Score an API media message against a DB media message
+   * Caption, media type and file name are each compared where both sides have them,
+   * and the score is their average. A media type mismatch rules the pair out.
+   * @returns {Object} { score, eligible, media }
+   */
+  scoreMediaCandidate(dbMsg, apiMsg, threshold) {
+    const db = this.getDbMediaInfo(dbMsg);
+    const api = this.getApiMediaInfo(apiMsg);
+    const media = {};
+    const scores = [];
+    
+    if (db.mediaType && api.mediaType) {
+      media.mediaType = { db: db.mediaType, api: api.mediaType, matched: db.mediaType === api.mediaType };
+      
+      if (!media.mediaType.matched) {
+        return { score: 0, eligible: false, media };
+      }
+      scores.push(1);
+    }
+    
+    if (db.fileName && api.fileName) {
+      const similarity = this.calculateSimilarity(db.fileName, api.fileName);
+      media.fileName = { db: db.fileName, api: api.fileName, similarity };
+      scores.push(similarity);
+    }
+    
+    // Media is often sent without a caption; two empty captions agree
+    const captionSimilarity = !db.caption.trim() && !api.caption.trim()
+      ? 1
+      : this.calculateSimilarity(db.caption, api.caption);
+    media.caption = { db: db.caption, api: api.caption, similarity: captionSimilarity };
+    scores.push(captionSimilarity);
+    
+    const score = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+    
+    return { score, eligible: score >= threshold, media };
+  }
+  
+  /**
+   * Direction of a DB message: debtor replies are inbound, everything we send is outbound
+   */
+  getDbDirection(dbMsg) {
+    return dbMsg.role === MESSAGE_ROLES.USER ? DIRECTIONS.INBOUND : DIRECTIONS.OUTBOUND;
+  }
+  
+  /**
+   * Direction of an API message from fromMe, role, or from/to against the conversation's phone
+   * @returns {string|null} 'inbound', 'outbound', or null when the payload does not say
+   */
+  getApiDirection(apiMsg) {
+    if (typeof apiMsg.fromMe === 'boolean') {
+      return apiMsg.fromMe ? DIRECTIONS.OUTBOUND : DIRECTIONS.INBOUND;
+    }
+    
+    const role = String(apiMsg.role || '').toLowerCase();
+    if (DIRECTIONS.INBOUND_ROLES.includes(role)) return DIRECTIONS.INBOUND;
+    if (DIRECTIONS.OUTBOUND_ROLES.includes(role)) return DIRECTIONS.OUTBOUND;
+    
+    const customerKey = toPhoneKey(apiMsg.phoneNumber);
+    if (customerKey) {
+      if (toPhoneKey(apiMsg.from) === customerKey) return DIRECTIONS.INBOUND;
+      if (toPhoneKey(apiMsg.to) === customerKey) return DIRECTIONS.OUTBOUND;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Score an API message as a candidate for a DB message
+   * The API message must travel in the same direction as the DB message. When it does
+   * not but would otherwise have been eligible, `directionMismatch` is set so the
+   * report can show it as its own diagnostic.
+   *
+   * Eligibility is decided on content alone; timing then scales the confidence score
+   * by up to MATCHING.TIMING_WEIGHT, so of two equally similar candidates the one
+   * delivered closer to sent_date wins.
+   * @param {Object} timing - { delayMs, score } from getTiming
+   * @returns {Object} { score, contentScore, timing, eligible, directionMatched, directionMismatch, apiDirection, template, media }
+   */
+  scoreCandidate(dbMsg, dbTemplateMatch, apiMsg, apiTemplateMatch, threshold, timing) {
+    const candidate = this.scoreContent(dbMsg, dbTemplateMatch, apiMsg, apiTemplateMatch, threshold);
+    const apiDirection = this.getApiDirection(apiMsg);
+    
+    // Unknown direction is not held against the pair
+    const directionMatched = !apiDirection || apiDirection === this.getDbDirection(dbMsg);
+    
+    return {
+      ...candidate,
+      score: candidate.score * (1 - MATCHING.TIMING_WEIGHT * (1 - timing.score)),
+      contentScore: candidate.score,
+      timing,
+      eligible: candidate.eligible && directionMatched,
+      directionMatched,
+      directionMismatch: !directionMatched && candidate.eligible,
+      apiDirection
+    };
+  }
+  
+  /**
+   * Score the content of an API message against a DB message
+   * Media DB messages only pair with API messages that carry media, and text with text.
+   * A DB message recognised as a template only pairs with API messages whose fixed
+   * text matches the same template, and only if every slot value reaches the threshold.
+   * Other messages fall back to plain similarity against the threshold.
+   * @returns {Object} { score, eligible, template, media }
+   */
+  scoreContent(dbMsg, dbTemplateMatch, apiMsg, apiTemplateMatch, threshold) {
+    const dbIsMedia = this.isMediaMessage(dbMsg);
+    
+    if (dbIsMedia !== Boolean(apiMsg.hasMedia)) {
+      return { score: 0, eligible: false, template: null };
+    }
+    
+    if (dbIsMedia) {
+      return { ...this.scoreMediaCandidate(dbMsg, apiMsg, threshold), template: null };
+    }
+    
+    if (dbTemplateMatch) {
+      const sameTemplate = apiTemplateMatch
+        && String(apiTemplateMatch.template.id) === String(dbTemplateMatch.template.id);
+      
+      if (!sameTemplate) {
+        return { score: 0, eligible: false, template: null };
+      }
+      
+      const comparison = this.compareTemplateSlots(
+        dbTemplateMatch.template,
+        dbTemplateMatch.slots,
+        apiTemplateMatch.slots,
+        threshold
+      );
+      
+      return {
+        score: comparison.score,
+        eligible: comparison.slotScore >= threshold,
+        template: {
+          id: dbTemplateMatch.template.id,
+          name: dbTemplateMatch.template.name,
+          slotsDiffered: comparison.slotsDiffered,
+          slotsBelowThreshold: comparison.slotsBelowThreshold,
+          slots: comparison.slots
+        }
+      };
+    }
+    
+    const similarity = this.calculateSimilarity(dbMsg.message, apiMsg.message || apiMsg.body);
+    return { score: similarity, eligible: similarity >= threshold, template: null };
+  }
+  
+  /**
+   * Human-readable outcome of a template match
+   */
+  describeTemplateMatch(template) {
+    if (template.slotsDiffered.length === 0) {
+      return `template ${template.name} matched, all slots identical`;
+    }
+    
+    const slotWord = template.slotsDiffered.length === 1 ? 'slot' : 'slots';
+    return `template ${template.name} matched, ${slotWord} ${template.slotsDiffered.join(', ')} differed`;
+  }
+  
+  /**
+   * Why a copy with the same fixed text was rejected
+   */
+  describeSlotsBelowThreshold(template) {
+    const slotWord = template.slotsBelowThreshold.length === 1 ? 'slot' : 'slots';
+    return `template ${template.name} fixed text matched, ${slotWord} ${template.slotsBelowThreshold.join(', ')} below the similarity threshold`;
+  }
+  
+  /**
+   * Create an empty results structure
    * @param {Array} dbMessages - Messages from database
    * @param {Array} apiMessages - Messages from WhatsApp API
-   * @returns {Object} Matching results
    */
-  matchMessages(dbMessages, apiMessages) {
-    const results = {
+  createResults(dbMessages, apiMessages) {
+    return {
       matched: [],
       unmatched: [],
+      matchedApiIndices: [],
+      duplicates: [],
+      duplicateApiIndices: [],
+      orphanApiMessages: [],
       statistics: {
         totalDbMessages: dbMessages.length,
         totalApiMessages: apiMessages.length,
         matchedCount: 0,
         unmatchedCount: 0,
+        ambiguousCount: 0,
+        contentNotIndependentCount: 0,
+        orphanCount: 0,
+        duplicateStats: {
+          total: 0,
+          byPhoneNumber: {},
+          byBusiness: {},
+          byTypeOfMessage: {}
+        },
+        directionMismatchCount: 0,
         averageConfidence: 0,
+        timingStats: {
+          averageDelayMs: null,
+          medianDelayMs: null,
+          maxDelayMs: null,
+          beforeSentDate: 0
+        },
         firstMessageStats: {
           total: 0,
           matched: 0,
           unmatched: 0
+        },
+        templateStats: {
+          recognized: 0,
+          matched: 0,
+          matchedWithSlotDifferences: 0,
+          unmatched: 0,
+          slotDifferences: {},
+          slotsBelowThreshold: {}
+        },
+        textStats: {
+          total: 0,
+          matched: 0,
+          unmatched: 0
+        },
+        mediaStats: {
+          total: 0,
+          matched: 0,
+          unmatched: 0,
+          byMediaType: {}
         }
       }
     };
+  }
+  
+  /**
+   * Add one batch's results into the run's results
+   */
+  mergeResults(target, source) {
+    target.matched.push(...source.matched);
+    target.unmatched.push(...source.unmatched);
+    target.matchedApiIndices.push(...source.matchedApiIndices);
     
-    const apiMessagesCopy = [...apiMessages];
-    const matchedApiIndices = new Set();
+    const stats = target.statistics;
+    const batchStats = source.statistics;
     
-    for (const dbMsg of dbMessages) {
-      let bestMatch = null;
-      let bestScore = 0;
-      let bestIndex = -1;
+    stats.matchedCount += batchStats.matchedCount;
+    stats.unmatchedCount += batchStats.unmatchedCount;
+    stats.ambiguousCount += batchStats.ambiguousCount;
+    stats.contentNotIndependentCount += batchStats.contentNotIndependentCount;
+    stats.directionMismatchCount += batchStats.directionMismatchCount;
+    stats.firstMessageStats.total += batchStats.firstMessageStats.total;
+    stats.firstMessageStats.matched += batchStats.firstMessageStats.matched;
+    stats.firstMessageStats.unmatched += batchStats.firstMessageStats.unmatched;
+    stats.templateStats.recognized += batchStats.templateStats.recognized;
+    stats.templateStats.matched += batchStats.templateStats.matched;
+    stats.templateStats.matchedWithSlotDifferences += batchStats.templateStats.matchedWithSlotDifferences;
+    stats.templateStats.unmatched += batchStats.templateStats.unmatched;
+    
+    for (const [slot, count] of Object.entries(batchStats.templateStats.slotDifferences)) {
+      stats.templateStats.slotDifferences[slot] = (stats.templateStats.slotDifferences[slot] || 0) + count;
+    }
+    
+    for (const [slot, count] of Object.entries(batchStats.templateStats.slotsBelowThreshold)) {
+      stats.templateStats.slotsBelowThreshold[slot] = (stats.templateStats.slotsBelowThreshold[slot] || 0) + count;
+    }
+    
+    for (const key of ['total', 'matched', 'unmatched']) {
+      stats.textStats[key] += batchStats.textStats[key];
+      stats.mediaStats[key] += batchStats.mediaStats[key];
+    }
+    
+    for (const [mediaType, counts] of Object.entries(batchStats.mediaStats.byMediaType)) {
+      const target = this.getMediaTypeStats(stats, mediaType);
+      target.total += counts.total;
+      target.matched += counts.matched;
+      target.unmatched += counts.unmatched;
+    }
+  }
+  
+  /**
+   * Get (creating if needed) the per-media-type counters
+   */
+  getMediaTypeStats(statistics, mediaType) {
+    const key = mediaType || 'unknown';
+    
+    if (!statistics.mediaStats.byMediaType[key]) {
+      statistics.mediaStats.byMediaType[key] = { total: 0, matched: 0, unmatched: 0 };
+    }
+    
+    return statistics.mediaStats.byMediaType[key];
+  }
+  
+  /**
+   * Count a DB message as delivered or not, separately for text and media
+   */
+  recordDeliveryKind(results, dbMsg, outcome) {
+    if (this.isMediaMessage(dbMsg)) {
+      const mediaTypeStats = this.getMediaTypeStats(results.statistics, this.getDbMediaInfo(dbMsg).mediaType);
       
-      // Track first messages
-      if (dbMsg.type_of_message === MESSAGE_TYPES.FIRST_MESSAGE) {
-        results.statistics.firstMessageStats.total++;
+      results.statistics.mediaStats.total++;
+      results.statistics.mediaStats[outcome]++;
+      mediaTypeStats.total++;
+      mediaTypeStats[outcome]++;
+    } else {
+      results.statistics.textStats.total++;
+      results.statistics.textStats[outcome]++;
+    }
+  }
+  
+  /**
+   * Summarize an API message for the report
+   */
+  describeApiMessage(apiMsg, direction) {
+    const description = {
+      id: apiMsg.id || null,
+      message: apiMsg.message || apiMsg.body,
+      timestamp: apiMsg.timestamp || apiMsg.sent_date,
+      direction: direction || null,
+      userId: apiMsg.userId || null
+    };
+    
+    // Messages from an uploaded chat export name the file and line they were read from
+    if (apiMsg.sourceFile) {
+      description.sourceFile = apiMsg.sourceFile;
+      description.sourceLine = apiMsg.sourceLine;
+    }
+    
+    // Bodies the provider took from our own records (Cloud API outbound messages)
+    if (apiMsg.contentIndependent === false) {
+      description.contentIndependent = false;
+    }
+    
+    return description;
+  }
+  
+  /**
+   * Summarize a DB message for the report
+   */
+  describeDbMessage(dbMsg) {
+    return {
+      id: dbMsg._id,
+      message: dbMsg.message,
+      phoneNumber: dbMsg.phone_number,
+      sentDate: dbMsg.sent_date,
+      role: dbMsg.role,
+      type: dbMsg.type_of_message,
+      businessId: dbMsg.business_id
+    };
+  }
+  
+  /**
+   * Check whether the best alternative to a chosen match leaves the match in doubt
+   * It does when a different message (not an identical repeat of the chosen one)
+   * scored within MATCHING.AMBIGUITY_MARGIN of the chosen candidate.
+   * @param {Object} apiMsg - Chosen API message
+   * @param {Object} candidate - Chosen candidate
+   * @param {Object} [alternative] - Best other eligible { apiMsg, candidate }
+   * @returns {Object|null} The alternative, described for the report, or null
+   */
+  findAmbiguity(apiMsg, candidate, alternative) {
+    if (!alternative) return null;
+    if (alternative.candidate.score < candidate.score - MATCHING.AMBIGUITY_MARGIN) return null;
+    if (this.scoreDuplicate(apiMsg, alternative.apiMsg) === 1) return null;
+    
+    return {
+      confidenceScore: alternative.candidate.score,
+      apiMessage: this.describeApiMessage(alternative.apiMsg, alternative.candidate.apiDirection)
+    };
+  }
+  
+  /**
+   * Record a matched pair and update statistics
+   * @param {Object} candidate - Result of scoreCandidate for the chosen API message
+   * @param {Object} [alternative] - Best other eligible { apiMsg, candidate } for the DB message
+   */
+  recordMatch(results, dbMsg, apiMsg, apiIndex, candidate, threshold, alternative) {
+    const ambiguity = this.findAmbiguity(apiMsg, candidate, alternative);
+    const entry = {
+      dbMessage: this.describeDbMessage(dbMsg),
+      apiMessage: this.describeApiMessage(apiMsg, candidate.apiDirection),
+      verificationStatus: ambiguity ? VERIFICATION.STATUSES.AMBIGUOUS : VERIFICATION.STATUSES.VERIFIED,
+      confidenceScore: candidate.score,
+      similarityPercentage: (candidate.contentScore * 100).toFixed(2) + '%',
+      threshold,
+      timing: {
+        observedDelayMs: candidate.timing.delayMs,
+        score: candidate.timing.score
       }
+    };
+    
+    if (candidate.media) {
+      entry.media = candidate.media;
+    }
+    
+    if (ambiguity) {
+      entry.ambiguousWith = ambiguity;
+      results.statistics.ambiguousCount++;
+    }
+    
+    // The content score compared the DB with itself; only the delivery was confirmed independently
+    if (apiMsg.contentIndependent === false) {
+      entry.contentIndependent = false;
+      results.statistics.contentNotIndependentCount++;
+    }
+    
+    if (candidate.template) {
+      const templateStats = results.statistics.templateStats;
       
-      // Find best matching API message
-      for (let i = 0; i < apiMessagesCopy.length; i++) {
-        if (matchedApiIndices.has(i)) continue;
-        
-        const apiMsg = apiMessagesCopy[i];
-        
-        // Check if DB message was sent before API message
-        const dbDate = new Date(dbMsg.sent_date);
-        const apiDate = new Date(apiMsg.timestamp || apiMsg.sent_date);
+      entry.template = candidate.template;
+      entry.verdict = this.describeTemplateMatch(candidate.template);
+      
+      templateStats.recognized++;
+      templateStats.matched++;
+      
+      if (candidate.template.slotsDiffered.length > 0) {
+        templateStats.matchedWithSlotDifferences++;
+        for (const slot of candidate.template.slotsDiffered) {
+          templateStats.slotDifferences[slot] = (templateStats.slotDifferences[slot] || 0) + 1;
+        }
+      }
+    }
+    
+    results.matched.push(entry);
+    results.matchedApiIndices.push(apiIndex);
+    results.statistics.matchedCount++;
+    this.recordDeliveryKind(results, dbMsg, 'matched');
+    
+    if (dbMsg.type_of_message === MESSAGE_TYPES.FIRST_MESSAGE) {
+      results.statistics.firstMessageStats.total++;
+      results.statistics.firstMessageStats.matched++;
+    }
+  }
+  
+  /**
+   * Record an unmatched DB message and update statistics
+   * @param {Object} details - Why the message went unmatched
+   * @param {number} details.bestScore - Best score among same-direction candidates
+   * @param {Object} [details.bestCandidate] - The { apiMsg, candidate } that scored bestScore
+   * @param {number} details.threshold - Threshold the message was judged against
+   * @param {string} [details.reason] - Explicit reason, otherwise derived
+   * @param {Object} [details.dbTemplateMatch] - Template the DB message was recognised as
+   * @param {Object} [details.directionMismatch] - Best candidate that only failed on direction
+   */
+  recordUnmatched(results, dbMsg, details) {
+    const { bestScore, bestCandidate, threshold, reason, dbTemplateMatch, directionMismatch } = details;
+    const entry = {
+      dbMessage: this.describeDbMessage(dbMsg),
+      verificationStatus: VERIFICATION.STATUSES.UNMATCHED,
+      bestMatchScore: bestScore,
+      threshold,
+      reason: reason || (bestScore > 0 ? 'Below similarity threshold' : 'No matching message found')
+    };
+    
+    if (bestCandidate) {
+      entry.bestCandidate = this.describeApiMessage(bestCandidate.apiMsg, bestCandidate.candidate.apiDirection);
+    }
+    
+    if (dbTemplateMatch) {
+      const templateStats = results.statistics.templateStats;
+      // Only same-template candidates score above 0, so the best one is the closest same-template copy
+      const comparison = bestCandidate?.candidate.template;
+      
+      if (comparison) {
+        entry.template = { ...comparison };
         
-        if (dbDate > apiDate) {
-          continue; // DB message should exist before API message
+        for (const slot of comparison.slotsBelowThreshold) {
+          templateStats.slotsBelowThreshold[slot] = (templateStats.slotsBelowThreshold[slot] || 0) + 1;
         }
+      } else {
+        entry.template = {
+          id: dbTemplateMatch.template.id,
+          name: dbTemplateMatch.template.name,
+          slots: dbTemplateMatch.slots
+        };
+      }
+      
+      if (!reason && !comparison) {
+        entry.reason = `template ${dbTemplateMatch.template.name} recognised, no message with the same fixed text found`;
+      } else if (!reason && comparison.slotsBelowThreshold.length > 0) {
+        entry.reason = this.describeSlotsBelowThreshold(comparison);
+      }
+      
+      templateStats.recognized++;
+      templateStats.unmatched++;
+    }
+    
+    if (this.isMediaMessage(dbMsg)) {
+      entry.media = this.getDbMediaInfo(dbMsg);
+      
+      if (!reason && bestScore === 0) {
+        entry.reason = 'No media message of a matching type found';
+      }
+    }
+    
+    if (directionMismatch) {
+      entry.diagnostic = 'direction_mismatch';
+      entry.directionMismatch = directionMismatch;
+      entry.reason = `Matching ${directionMismatch.apiMessage.direction} message found for ${this.getDbDirection(dbMsg)} DB message`;
+      results.statistics.directionMismatchCount++;
+    }
+    
+    results.unmatched.push(entry);
+    results.statistics.unmatchedCount++;
+    this.recordDeliveryKind(results, dbMsg, 'unmatched');
+    
+    if (dbMsg.type_of_message === MESSAGE_TYPES.FIRST_MESSAGE) {
+      results.statistics.firstMessageStats.total++;
+      results.statistics.firstMessageStats.unmatched++;
+    }
+  }
+  
+  /**
+   * Detect repeat deliveries of matched messages
+   * When the sender retries, the customer receives the same message more than once
+   * but only one copy is matched. Any unmatched API message in the same conversation,
+   * in the same direction and within windowMs of a matched copy, whose content is as
+   * similar to that copy as the match threshold requires, is recorded as a duplicate
+   * of the matched DB message. Must run before detectOrphanApiMessages so duplicates
+   * are not also reported as orphans.
+   * @param {Object} results - Matching results to record duplicates on
+   * @param {Array} apiMessages - The API messages that were matched against
+   * @param {Object} [options] - Detection options
+   * @param {number} [options.windowMs] - How far from the matched copy a repeat can be
+   */
+  detectDuplicateDeliveries(results, apiMessages, options = {}) {
+    const { windowMs = MATCHING.DUPLICATE_WINDOW } = options;
+    const claimed = new Set(results.matchedApiIndices);
+    const byPhone = new Map();
+    
+    // Unmatched API messages per conversation are the only possible duplicates
+    apiMessages.forEach((apiMsg, index) => {
+      if (claimed.has(index)) return;
+      
+      const phoneKey = toPhoneKey(apiMsg.phoneNumber);
+      if (!byPhone.has(phoneKey)) byPhone.set(phoneKey, []);
+      byPhone.get(phoneKey).push(index);
+    });
+    
+    results.matched.forEach((match, matchIndex) => {
+      const original = apiMessages[results.matchedApiIndices[matchIndex]];
+      const originalTime = new Date(original.timestamp || original.sent_date).getTime();
+      const originalDirection = this.getApiDirection(original);
+      
+      for (const index of byPhone.get(toPhoneKey(original.phoneNumber)) || []) {
+        if (claimed.has(index)) continue;
         
-        const similarity = this.calculateSimilarity(dbMsg.message, apiMsg.message || apiMsg.body);
+        const apiMsg = apiMessages[index];
+        const gapMs = new Date(apiMsg.timestamp || apiMsg.sent_date).getTime() - originalTime;
+        if (!(Math.abs(gapMs) <= windowMs)) continue;
+        if (this.getApiDirection(apiMsg) !== originalDirection) continue;
         
-        if (similarity > bestScore && similarity >= MATCHING.SIMILARITY_THRESHOLD) {
-          bestScore = similarity;
-          bestMatch = apiMsg;
-          bestIndex = i;
-        }
+        const similarity = this.scoreDuplicate(original, apiMsg);
+        if (similarity < match.threshold) continue;
+        
+        claimed.add(index);
+        this.recordDuplicate(results, match, apiMsg, index, similarity, gapMs);
       }
+    });
+    
+    return results;
+  }
+  
+  /**
+   * Similarity between two API messages, for duplicate detection
+   * Media only repeats media of the same type, compared on caption and file name.
+   */
+  scoreDuplicate(original, apiMsg) {
+    if (Boolean(original.hasMedia) !== Boolean(apiMsg.hasMedia)) return 0;
+    
+    const similarity = this.calculateSimilarity(original.message || original.body, apiMsg.message || apiMsg.body);
+    if (!original.hasMedia) return similarity;
+    
+    const originalMedia = this.getApiMediaInfo(original);
+    const media = this.getApiMediaInfo(apiMsg);
+    if (originalMedia.mediaType !== media.mediaType) return 0;
+    if (originalMedia.fileName && media.fileName && originalMedia.fileName !== media.fileName) return 0;
+    
+    return similarity;
+  }
+  
+  /**
+   * Record a repeat delivery of a matched DB message and update statistics
+   */
+  recordDuplicate(results, match, apiMsg, apiIndex, similarity, gapMs) {
+    const stats = results.statistics.duplicateStats;
+    const { phoneNumber, businessId, type } = match.dbMessage;
+    const increment = (counts, key) => {
+      const name = key ? String(key) : 'unknown';
+      counts[name] = (counts[name] || 0) + 1;
+    };
+    
+    results.duplicates.push({
+      dbMessage: match.dbMessage,
+      originalApiMessage: match.apiMessage,
+      duplicateApiMessage: this.describeApiMessage(apiMsg, this.getApiDirection(apiMsg)),
+      similarityPercentage: (similarity * 100).toFixed(2) + '%',
+      gapMs
+    });
+    results.duplicateApiIndices.push(apiIndex);
+    
+    stats.total++;
+    increment(stats.byPhoneNumber, phoneNumber);
+    increment(stats.byBusiness, businessId);
+    increment(stats.byTypeOfMessage, type);
+  }
+  
+  /**
+   * Reverse verification: collect API messages that no DB message was matched to
+   * These are sends with no Messages record (ghost or manual sends, lost writes) and
+   * inbound replies that were never ingested. Only API messages that the DB side could
+   * have covered are considered: inside the verification period, and in a direction
+   * the fetched DB roles include. Messages of unknown direction are always considered.
+   * @param {Object} results - Matching results to record orphans on
+   * @param {Array} apiMessages - The API messages that were matched against
+   * @param {Object} [options] - Scope of the DB fetch
+   * @param {Array<string>} [options.directions] - Directions covered by the DB messages
+   * @param {Date|string} [options.dateFrom] - Start of the verification period
+   * @param {Date|string} [options.dateTo] - End of the verification period
+   */
+  detectOrphanApiMessages(results, apiMessages, options = {}) {
+    const { directions = [DIRECTIONS.INBOUND, DIRECTIONS.OUTBOUND], dateFrom, dateTo } = options;
+    const matchedApiIndices = new Set(results.matchedApiIndices);
+    const duplicateApiIndices = new Set(results.duplicateApiIndices);
+    const from = dateFrom ? new Date(dateFrom).getTime() : -Infinity;
+    const to = dateTo ? new Date(dateTo).getTime() : Infinity;
+    
+    apiMessages.forEach((apiMsg, index) => {
+      if (matchedApiIndices.has(index) || duplicateApiIndices.has(index)) return;
       
-      if (bestMatch && bestScore >= MATCHING.SIMILARITY_THRESHOLD) {
-        matchedApiIndices.add(bestIndex);
-        
-        results.matched.push({
-          dbMessage: {
-            id: dbMsg._id,
-            message: dbMsg.message,
-            phoneNumber: dbMsg.phone_number,
-            sentDate: dbMsg.sent_date,
-            role: dbMsg.role,
-            type: dbMsg.type_of_message
-          },
-          apiMessage: {
-            message: bestMatch.message || bestMatch.body,
-            timestamp: bestMatch.timestamp || bestMatch.sent_date
-          },
-          confidenceScore: bestScore,
-          similarityPercentage: (bestScore * 100).toFixed(2) + '%'
-        });
+      const time = new Date(apiMsg.timestamp || apiMsg.sent_date).getTime();
+      if (time < from || time > to) return;
+      
+      const direction = this.getApiDirection(apiMsg);
+      if (direction && !directions.includes(direction)) return;
+      
+      results.orphanApiMessages.push({
+        phoneNumber: apiMsg.phoneNumber,
+        userId: apiMsg.userId || null,
+        role: apiMsg.role || null,
+        apiMessage: this.describeApiMessage(apiMsg, direction)
+      });
+    });
+    
+    results.statistics.orphanCount = results.orphanApiMessages.length;
+    return results;
+  }
+  
+  /**
+   * Summarize a candidate that was rejected only because of its direction
+   */
+  describeDirectionMismatch(apiMsg, candidate) {
+    return {
+      score: candidate.score,
+      apiMessage: this.describeApiMessage(apiMsg, candidate.apiDirection)
+    };
+  }
+  
+  /**
+   * Calculate average confidence over matched messages
+   */
+  finalizeStatistics(results) {
+    if (results.matched.length > 0) {
+      const totalConfidence = results.matched.reduce((sum, match) => sum + match.confidenceScore, 0);
+      results.statistics.averageConfidence = (totalConfidence / results.matched.length * 100).toFixed(2) + '%';
+      results.statistics.timingStats = this.getTimingStats(results.matched);
+    }
+  }
+  
+  /**
+   * Summarize observed delivery delays over matched messages
+   * beforeSentDate counts deliveries accepted only thanks to the clock-skew allowance.
+   */
+  getTimingStats(matched) {
+    const delays = matched
+      .map(match => match.timing.observedDelayMs)
+      .sort((a, b) => a - b);
+    const middle = Math.floor(delays.length / 2);
+    
+    return {
+      averageDelayMs: Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length),
+      medianDelayMs: delays.length % 2 ? delays[middle] : Math.round((delays[middle - 1] + delays[middle]) / 2),
+      maxDelayMs: delays[delays.length - 1],
+      beforeSentDate: delays.filter(delay => delay < 0).length
+    };
+  }
+  
+  /**
+   * Template recognition for API messages, computed once per message and shared across batches
+   * @param {Array} apiMessages - Messages from WhatsApp API
+   * @param {Array} templates - Compiled templates
+   * @returns {Function} (apiIndex) => template match or null
+   */
+  createApiTemplateLookup(apiMessages, templates) {
+    const cache = new Map();
+    
+    return (apiIndex) => {
+      if (!cache.has(apiIndex)) {
+        const apiMsg = apiMessages[apiIndex];
+        cache.set(apiIndex, this.identifyTemplate(apiMsg.message || apiMsg.body, templates));
+      }
+      return cache.get(apiIndex);
+    };
+  }
+  
+  /**
+   * Match database messages with WhatsApp API messages
+   * Greedy: each DB message takes its best remaining API message in input order.
+   * @param {Array} dbMessages - Messages from database
+   * @param {Array} apiMessages - Messages from WhatsApp API
+   * @param {Object} [options] - Matching options
+   * @param {Object} [options.profile] - Resolved matching profile with per-type thresholds
+   * @param {Array} [options.templates] - Compiled message templates
+   * @param {Set} [options.claimedApiIndices] - API indices already matched, shared across batches
+   * @param {Object} [options.timing] - Clock-skew allowance and latency settings
+   * @param {CandidateIndex} [options.candidateIndex] - Prebuilt index over apiMessages, shared across batches
+   * @param {Function} [options.getApiTemplateMatch] - Shared API template lookup
+   * @returns {Object} Matching results
+   */
+  matchMessages(dbMessages, apiMessages, options = {}) {
+    const {
+      profile,
+      templates = [],
+      claimedApiIndices = new Set(),
+      timing = this.resolveTiming(options.timing),
+      candidateIndex = this.buildCandidateIndex(apiMessages, timing),
+      getApiTemplateMatch = this.createApiTemplateLookup(apiMessages, templates)
+    } = options;
+    const results = this.createResults(dbMessages, apiMessages);
+    
+    for (const dbMsg of dbMessages) {
+      let best = null;
+      let runnerUp = null;
+      let bestScore = 0;
+      let bestCandidate = null;
+      let directionMismatch = null;
+      const threshold = this.getThreshold(dbMsg, profile);
+      const dbTemplateMatch = this.identifyDbTemplate(dbMsg, templates);
+      
+      // Find best matching API message among the same conversation's candidates
+      for (const i of candidateIndex.getCandidates(dbMsg)) {
+        if (claimedApiIndices.has(i)) continue;
+        
+        const apiMsg = apiMessages[i];
         
-        results.statistics.matchedCount++;
+        const apiTiming = this.getTiming(dbMsg, apiMsg, timing);
+        if (!apiTiming) continue;
         
-        if (dbMsg.type_of_message === MESSAGE_TYPES.FIRST_MESSAGE) {
-          results.statistics.firstMessageStats.matched++;
+        const candidate = this.scoreCandidate(dbMsg, dbTemplateMatch, apiMsg, getApiTemplateMatch(i), threshold, apiTiming);
+        
+        if (!candidate.directionMatched) {
+          if (candidate.directionMismatch && (!directionMismatch || candidate.score > directionMismatch.score)) {
+            directionMismatch = this.describeDirectionMismatch(apiMsg, candidate);
+          }
+          continue;
         }
-      } else {
-        results.unmatched.push({
-          dbMessage: {
-            id: dbMsg._id,
-            message: dbMsg.message,
-            phoneNumber: dbMsg.phone_number,
-            sentDate: dbMsg.sent_date,
-            role: dbMsg.role,
-            type: dbMsg.type_of_message
-          },
-          bestMatchScore: bestScore,
-          reason: bestScore > 0 ? 'Below similarity threshold' : 'No matching message found'
-        });
         
-        results.statistics.unmatchedCount++;
+        if (candidate.contentScore > bestScore) {
+          bestScore = candidate.contentScore;
+          bestCandidate = { apiMsg, candidate };
+        }
+        
+        if (!candidate.eligible) continue;
         
-        if (dbMsg.type_of_message === MESSAGE_TYPES.FIRST_MESSAGE) {
-          results.statistics.firstMessageStats.unmatched++;
+        if (!best || candidate.score > best.candidate.score) {
+          runnerUp = best;
+          best = { index: i, apiMsg, candidate };
+        } else if (!runnerUp || candidate.score > runnerUp.candidate.score) {
+          runnerUp = { index: i, apiMsg, candidate };
         }
       }
+      
+      if (best) {
+        claimedApiIndices.add(best.index);
+        this.recordMatch(results, dbMsg, best.apiMsg, best.index, best.candidate, threshold, runnerUp);
+      } else {
+        this.recordUnmatched(results, dbMsg, { bestScore, bestCandidate, threshold, dbTemplateMatch, directionMismatch });
+      }
     }
     
-    // Calculate average confidence
-    if (results.matched.length > 0) {
-      const totalConfidence = results.matched.reduce((sum, match) => sum + match.confidenceScore, 0);
-      results.statistics.averageConfidence = (totalConfidence / results.matched.length * 100).toFixed(2) + '%';
-    }
+    this.finalizeStatistics(results);
     
     // Log summary
     logger.info('Message matching completed', {
@@ -156,52 +1042,166 @@ class MessageMatcher {
     return results;
   }
   
+  /**
+   * Match database messages with WhatsApp API messages using a globally optimal
+   * one-to-one assignment that maximises total similarity over the whole run
+   * without pairing a later DB message with an earlier API message
+   * @param {Array} dbMessages - Messages from database
+   * @param {Array} apiMessages - Messages from WhatsApp API
+   * @param {Object} [options] - Matching options
+   * @param {Object} [options.profile] - Resolved matching profile with per-type thresholds
+   * @param {Array} [options.templates] - Compiled message templates
+   * @param {Object} [options.timing] - Clock-skew allowance and latency settings
+   * @param {CandidateIndex} [options.candidateIndex] - Prebuilt index over apiMessages
+   * @returns {Object} Matching results
+   */
+  matchMessagesOptimal(dbMessages, apiMessages, options = {}) {
+    const {
+      profile,
+      templates = [],
+      timing = this.resolveTiming(options.timing),
+      candidateIndex = this.buildCandidateIndex(apiMessages, timing)
+    } = options;
+    const results = this.createResults(dbMessages, apiMessages);
+    const getApiTemplateMatch = this.createApiTemplateLookup(apiMessages, templates);
+    const thresholds = dbMessages.map(dbMsg => this.getThreshold(dbMsg, profile));
+    const dbTemplateMatches = dbMessages.map(dbMsg => this.identifyDbTemplate(dbMsg, templates));
+    const bestScores = new Array(dbMessages.length).fill(0);
+    const bestCandidates = new Array(dbMessages.length).fill(null);
+    const eligibleByDb = dbMessages.map(() => []);
+    const directionMismatches = new Array(dbMessages.length).fill(null);
+    const candidates = new Map();
+    const edges = [];
+    
+    // Only eligible pairs (time window plus threshold or template) can be assigned
+    dbMessages.forEach((dbMsg, dbIndex) => {
+      for (const apiIndex of candidateIndex.getCandidates(dbMsg)) {
+        const apiMsg = apiMessages[apiIndex];
+        
+        const apiTiming = this.getTiming(dbMsg, apiMsg, timing);
+        if (!apiTiming) continue;
+        
+        const candidate = this.scoreCandidate(
+          dbMsg,
+          dbTemplateMatches[dbIndex],
+          apiMsg,
+          getApiTemplateMatch(apiIndex),
+          thresholds[dbIndex],
+          apiTiming
+        );
+        
+        if (!candidate.directionMatched) {
+          const current = directionMismatches[dbIndex];
+          if (candidate.directionMismatch && (!current || candidate.score > current.score)) {
+            directionMismatches[dbIndex] = this.describeDirectionMismatch(apiMsg, candidate);
+          }
+          continue;
+        }
+        
+        if (candidate.contentScore > bestScores[dbIndex]) {
+          bestScores[dbIndex] = candidate.contentScore;
+          bestCandidates[dbIndex] = { apiMsg, candidate };
+        }
+        
+        if (candidate.eligible) {
+          edges.push({ left: dbIndex, right: apiIndex, weight: candidate.score, group: toPhoneKey(dbMsg.phone_number) });
+          candidates.set(`${dbIndex}:${apiIndex}`, candidate);
+          eligibleByDb[dbIndex].push({ index: apiIndex, apiMsg, candidate });
+        }
+      }
+    });
+    
+    const assignment = solveMaxWeightAssignment(edges, {
+      leftTime: dbIndex => new Date(dbMessages[dbIndex].sent_date).getTime(),
+      rightTime: apiIndex => new Date(apiMessages[apiIndex].timestamp || apiMessages[apiIndex].sent_date).getTime()
+    });
+    
+    dbMessages.forEach((dbMsg, dbIndex) => {
+      const pair = assignment.get(dbIndex);
+      
+      const hadEligible = eligibleByDb[dbIndex].length > 0;
+      
+      if (pair) {
+        const candidate = candidates.get(`${dbIndex}:${pair.right}`);
+        const alternative = eligibleByDb[dbIndex]
+          .filter(other => other.index !== pair.right)
+          .reduce((top, other) => (!top || other.candidate.score > top.candidate.score ? other : top), null);
+        this.recordMatch(results, dbMsg, apiMessages[pair.right], pair.right, candidate, thresholds[dbIndex], alternative);
+      } else {
+        this.recordUnmatched(results, dbMsg, {
+          bestScore: bestScores[dbIndex],
+          bestCandidate: bestCandidates[dbIndex],
+          threshold: thresholds[dbIndex],
+          reason: hadEligible ? 'Candidate assigned to a better-matching message or out of time order' : null,
+          dbTemplateMatch: dbTemplateMatches[dbIndex],
+          directionMismatch: hadEligible ? null : directionMismatches[dbIndex]
+        });
+      }
+    });
+    
+    this.finalizeStatistics(results);
+    
+    logger.info('Optimal message matching completed', {
+      candidatePairs: edges.length,
+      matched: results.statistics.matchedCount,
+      unmatched: results.statistics.unmatchedCount,
+      firstMessageStats: results.statistics.firstMessageStats
+    });
+    
+    return results;
+  }
+  
   /**
    * Batch process messages for matching
    * @param {Array} dbMessages - Database messages
    * @param {Array} apiMessages - API messages
-   * @param {number} batchSize - Size of each batch
+   * @param {Object} [options] - Matching options
+   * @param {number} [options.batchSize] - Size of each batch
+   * @param {Object} [options.profile] - Resolved matching profile with per-type thresholds
+   * @param {Array} [options.templates] - Compiled message templates
+   * @param {string} [options.assignmentStrategy] - 'greedy' or 'optimal'
+   * @param {Object} [options.timing] - { clockSkewMs, maxLatencyMs, expectedLatencyMs }
    */
-  async batchMatchMessages(dbMessages, apiMessages, batchSize = MATCHING.BATCH_SIZE) {
-    const allResults = {
-      matched: [],
-      unmatched: [],
-      statistics: {
-        totalDbMessages: dbMessages.length,
-        totalApiMessages: apiMessages.length,
-        matchedCount: 0,
-        unmatchedCount: 0,
-        averageConfidence: 0,
-        firstMessageStats: {
-          total: 0,
-          matched: 0,
-          unmatched: 0
-        }
-      }
-    };
+  async batchMatchMessages(dbMessages, apiMessages, options = {}) {
+    const {
+      batchSize = MATCHING.BATCH_SIZE,
+      profile,
+      templates = [],
+      assignmentStrategy = MATCHING.DEFAULT_ASSIGNMENT_STRATEGY
+    } = options;
+    const timing = this.resolveTiming(options.timing);
+    
+    // Index once for the whole run instead of per batch
+    const candidateIndex = this.buildCandidateIndex(apiMessages, timing);
+    
+    // The optimal assignment needs every candidate at once, so it is not batched
+    if (assignmentStrategy === MATCHING.ASSIGNMENT_STRATEGIES.OPTIMAL) {
+      return this.matchMessagesOptimal(dbMessages, apiMessages, { profile, templates, timing, candidateIndex });
+    }
+    
+    const allResults = this.createResults(dbMessages, apiMessages);
+    
+    // Shared so an API message claimed in one batch is not reused by a later one
+    const claimedApiIndices = new Set();
+    const getApiTemplateMatch = this.createApiTemplateLookup(apiMessages, templates);
     
     // Process in batches
     for (let i = 0; i < dbMessages.length; i += batchSize) {
       const batch = dbMessages.slice(i, i + batchSize);
-      const batchResults = this.matchMessages(batch, apiMessages);
-      
-      // Merge batch results
-      allResults.matched.push(...batchResults.matched);
-      allResults.unmatched.push(...batchResults.unmatched);
+      const batchResults = this.matchMessages(batch, apiMessages, {
+        profile,
+        templates,
+        claimedApiIndices,
+        timing,
+        candidateIndex,
+        getApiTemplateMatch
+      });
       
-      // Update statistics
-      allResults.statistics.matchedCount += batchResults.statistics.matchedCount;
-      allResults.statistics.unmatchedCount += batchResults.statistics.unmatchedCount;
-      allResults.statistics.firstMessageStats.total += batchResults.statistics.firstMessageStats.total;
-      allResults.statistics.firstMessageStats.matched += batchResults.statistics.firstMessageStats.matched;
-      allResults.statistics.firstMessageStats.unmatched += batchResults.statistics.firstMessageStats.unmatched;
+      this.mergeResults(allResults, batchResults);
     }
     
     // Recalculate average confidence
-    if (allResults.matched.length > 0) {
-      const totalConfidence = allResults.matched.reduce((sum, match) => sum + match.confidenceScore, 0);
-      allResults.statistics.averageConfidence = (totalConfidence / allResults.matched.length * 100).toFixed(2) + '%';
-    }
+    this.finalizeStatistics(allResults);
     
     return allResults;
   }
@@ -0,0 +1,98 @@
+const ProviderSetting = require('../models/ProviderSetting');
+const notowaProvider = require('./providers/notowaProvider');
+const cloudApiProvider = require('./providers/cloudApiProvider');
+const mockProvider = require('./providers/mockProvider');
+const { PROVIDERS } = require('../config/constants');
+const { logger } = require('../config/database');
+
+/**
+ * Message source providers and the choice of provider for each business
+ *
+ * A provider reads a WhatsApp account's (userId's) conversations from one upstream and returns
+ * them as { phoneNumber, messages }, each message shaped
+ *   { id, body, timestamp (Date), role, from, to, type, hasMedia, fromMe, filename, mimetype }
+ * and implements:
+ *   name
+ *   pageLimit - most conversations one fetchConversations call returns, or null if it returns all of them
+ *   fetchConversations(userId, fromDate, toDate) - conversations with messages in the range
+ *   fetchConversationByPhone(userId, phoneNumber, fromDate, toDate) - one conversation, or null; phoneNumber is E.164
+ * Conversations' phone numbers may be in any format; they are canonicalised by the caller.
+ * A message whose body was not read from WhatsApp (but from our own records) has contentIndependent: false.
+ * The mock provider is only registered when PROVIDERS.MOCK_ENABLED is set.
+ * Upstream failures are thrown as axios-style errors (error.response.status) so they can be retried.
+ */
+class ProviderService {
+  constructor() {
+    this.providers = new Map(
+      [notowaProvider, cloudApiProvider, ...(PROVIDERS.MOCK_ENABLED ? [mockProvider] : [])]
+        .map(provider => [provider.name, provider])
+    );
+  }
+
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  listProviders() {
+    return [...this.providers.keys()];
+  }
+
+  getDefaultProvider() {
+    return this.getProvider(PROVIDERS.DEFAULT) || notowaProvider;
+  }
+
+  /**
+   * Provider to verify a business with: its setting, else the default
+   * @param {string} businessId - Optional business ID
+   */
+  async resolveProvider(businessId) {
+    if (!businessId) return this.getDefaultProvider();
+
+    const setting = await ProviderSetting.findOne({ business_id: businessId }).lean();
+    const provider = setting ? this.getProvider(setting.provider) : null;
+
+    if (setting && !provider) {
+      logger.warn(`Unknown provider ${setting.provider} configured for business ${businessId}, using the default`);
+    }
+
+    return provider || this.getDefaultProvider();
+  }
+
+  /**
+   * Get a business's provider setting
+   * @param {string} businessId - Business ID
+   */
+  async getSetting(businessId) {
+    return ProviderSetting.findOne({ business_id: businessId }).lean();
+  }
+
+  /**
+   * Choose a business's provider
+   * @param {string} businessId - Business ID
+   * @param {string} provider - Provider name
+   * @param {Array<string>} [accountIds] - The business's account IDs at the provider; kept if not given
+   */
+  async setSetting(businessId, provider, accountIds) {
+    const update = { provider };
+
+    if (accountIds) {
+      update.account_ids = accountIds;
+    }
+
+    return ProviderSetting.findOneAndUpdate(
+      { business_id: businessId },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Return a business to the default provider
+   * @param {string} businessId - Business ID
+   */
+  async deleteSetting(businessId) {
+    return ProviderSetting.findOneAndDelete({ business_id: businessId }).lean();
+  }
+}
+
+module.exports = new ProviderService();
\ No newline at end of file
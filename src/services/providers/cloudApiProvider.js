@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const CloudApiMessage = require('../../models/CloudApiMessage');
+const Messages = require('../../models/Messages');
+const { DIRECTIONS, PROVIDERS } = require('../../config/constants');
+const { logger } = require('../../config/database');
+const { toPhoneKey } = require('../../utils/phoneNumber');
+
+const { CLOUD_API } = PROVIDERS;
+
+/**
+ * Message source for the WhatsApp Business Cloud API
+ *
+ * The Cloud API has no endpoint for reading message history, so this adapter serves what its
+ * webhook recorded (see ingestWebhook): inbound messages with their content, and the statuses
+ * of outbound ones. Status webhooks carry no text, so an outbound message's body is taken from
+ * the Messages record whose external_message_id is its wamid; what the Cloud API confirms is
+ * that the message was sent, to whom and when. Outbound messages that only ever failed are left out.
+ * userIds are Cloud API phone number IDs.
+ */
+class CloudApiProvider {
+  constructor() {
+    this.name = PROVIDERS.NAMES.CLOUD_API;
+    // Everything in the range comes back at once
+    this.pageLimit = null;
+  }
+
+  /**
+   * Conversations of a business phone number with messages in a date range
+   * @param {string} userId - Cloud API phone number ID
+   * @param {Date} fromDate - Start date for messages
+   * @param {Date} toDate - End date for messages
+   * @param {string} phoneNumber - Optional customer phone to limit the result to
+   */
+  async fetchConversations(userId, fromDate, toDate, phoneNumber = null) {
+    const query = {
+      phone_number_id: userId,
+      timestamp: { $gte: fromDate, $lte: toDate },
+      $or: [
+        { direction: DIRECTIONS.INBOUND },
+        { statuses: { $in: CLOUD_API.DELIVERED_STATUSES } }
+      ]
+    };
+
+    // Cloud API wa_ids are E.164 digits without the plus
+    if (phoneNumber) {
+      query.customer_phone = toPhoneKey(phoneNumber);
+    }
+
+    const records = await CloudApiMessage.find(query).sort({ timestamp: 1 }).lean();
+    const sentMessages = await this.findSentMessages(records);
+    const conversations = new Map();
+
+    for (const record of records) {
+      if (!conversations.has(record.customer_phone)) {
+        conversations.set(record.customer_phone, { phoneNumber: record.customer_phone, messages: [] });
+      }
+
+      conversations.get(record.customer_phone).messages.push(this.toMessage(record, sentMessages.get(record.message_id)));
+    }
+
+    return [...conversations.values()];
+  }
+
+  /**
+   * A business phone number's conversation with one customer, or null if it has no messages in the range
+   */
+  async fetchConversationByPhone(userId, phoneNumber, fromDate, toDate) {
+    const [conversation] = await this.fetchConversations(userId, fromDate, toDate, phoneNumber);
+    return conversation || null;
+  }
+
+  /**
+   * Our Messages records for the outbound wamids, keyed by wamid
+   */
+  async findSentMessages(records) {
+    const messageIds = records
+      .filter(record => record.direction === DIRECTIONS.OUTBOUND)
+      .map(record => record.message_id);
+
+    if (messageIds.length === 0) return new Map();
+
+    const messages = await Messages.find({ external_message_id: { $in: messageIds } })
+      .select('external_message_id message type')
+      .lean();
+
+    return new Map(messages.map(message => [message.external_message_id, message]));
+  }
+
+  toMessage(record, sentMessage) {
+    const outbound = record.direction === DIRECTIONS.OUTBOUND;
+
+    return {
+      id: record.message_id,
+      body: outbound ? sentMessage?.message ?? null : record.body,
+      timestamp: record.timestamp,
+      from: outbound ? record.phone_number_id : record.customer_phone,
+      to: outbound ? record.customer_phone : record.phone_number_id,
+      type: outbound ? sentMessage?.type ?? null : record.type,
+      hasMedia: outbound ? sentMessage?.type === 'media' : record.has_media,
+      fromMe: outbound,
+      filename: record.filename,
+      mimetype: record.mimetype,
+      // An outbound body is our own Messages text, so comparing it only confirms the send
+      contentIndependent: !outbound
+    };
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header: sha256= and the hex HMAC-SHA256 of the raw body keyed with the app secret
+   * @param {Buffer} rawBody - Request body as received
+   * @param {string} signature - Header value
+   */
+  verifySignature(rawBody, signature) {
+    if (!CLOUD_API.APP_SECRET || !rawBody || !signature) return false;
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', CLOUD_API.APP_SECRET).update(rawBody).digest('hex');
+    const given = Buffer.from(String(signature));
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+  }
+
+  /**
+   * Record the messages and statuses of a webhook notification
+   * Repeated notifications are harmless: messages are keyed by wamid, statuses are added once
+   * and an outbound message keeps its earliest status time.
+   * @param {Object} payload - Webhook body
+   * @returns {Object} { messages, statuses } recorded
+   */
+  async ingestWebhook(payload) {
+    const operations = [];
+    let messages = 0;
+    let statuses = 0;
+
+    for (const entry of payload?.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages' || !change.value?.metadata) continue;
+
+        const phoneNumberId = change.value.metadata.phone_number_id;
+
+        for (const message of change.value.messages || []) {
+          operations.push({
+            updateOne: {
+              filter: { message_id: message.id },
+              update: { $set: this.toInboundRecord(phoneNumberId, message) },
+              upsert: true
+            }
+          });
+          messages++;
+        }
+
+        for (const status of change.value.statuses || []) {
+          operations.push({
+            updateOne: {
+              filter: { message_id: status.id },
+              update: {
+                $setOnInsert: {
+                  phone_number_id: phoneNumberId,
+                  customer_phone: status.recipient_id,
+                  direction: DIRECTIONS.OUTBOUND
+                },
+                $addToSet: { statuses: status.status },
+                $min: { timestamp: new Date(Number(status.timestamp) * 1000) }
+              },
+              upsert: true
+            }
+          });
+          statuses++;
+        }
+      }
+    }
+
+    if (operations.length > 0) {
+      await CloudApiMessage.bulkWrite(operations, { ordered: false });
+    }
+
+    logger.info(`Cloud API webhook: recorded ${messages} messages and ${statuses} statuses`);
+    return { messages, statuses };
+  }
+
+  toInboundRecord(phoneNumberId, message) {
+    const media = message[message.type] || {};
+
+    return {
+      phone_number_id: phoneNumberId,
+      customer_phone: message.from,
+      direction: DIRECTIONS.INBOUND,
+      type: message.type,
+      body: message.text?.body ??
+        message.button?.text ??
+        message.interactive?.button_reply?.title ??
+        message.interactive?.list_reply?.title ??
+        media.caption ??
+        null,
+      has_media: CLOUD_API.MEDIA_TYPES.includes(message.type),
+      filename: media.filename || null,
+      mimetype: media.mime_type || null,
+      timestamp: new Date(Number(message.timestamp) * 1000)
+    };
+  }
+}
+
+module.exports = new CloudApiProvider();
\ No newline at end of file
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS } = require('../../config/constants');
+const { toPhoneKey } = require('../../utils/phoneNumber');
+
+/**
+ * Message source serving fixture conversations from a JSON file, so the pipeline runs offline
+ *
+ * The file (PROVIDERS.MOCK_FILE) maps userIds to conversations, and can make a userId fail
+ * with an HTTP status to exercise retries and the circuit breaker:
+ *   {
+ *     "users": {
+ *       "mock-user": [{ "phoneNumber": "60123456789", "messages": [
+ *         { "id": "m1", "body": "Hi", "timestamp": "2026-01-05T09:00:00Z", "fromMe": true, "type": "chat" }
+ *       ] }]
+ *     },
+ *     "failures": { "broken-user": 503 }
+ *   }
+ * Timestamps may be ISO strings or Unix seconds. The file is read again whenever it changes.
+ */
+class MockProvider {
+  constructor() {
+    this.name = PROVIDERS.NAMES.MOCK;
+    this.pageLimit = null;
+    this.fixtures = null;
+    this.loadedMtime = null;
+  }
+
+  async fetchConversations(userId, fromDate, toDate) {
+    const fixtures = await this.loadFixtures();
+    this.simulateFailure(fixtures, userId);
+
+    return (fixtures.users?.[userId] || [])
+      .map(conversation => this.toConversation(conversation, fromDate, toDate))
+      .filter(conversation => conversation.messages.length > 0);
+  }
+
+  async fetchConversationByPhone(userId, phoneNumber, fromDate, toDate) {
+    const conversations = await this.fetchConversations(userId, fromDate, toDate);
+    return conversations.find(conversation => toPhoneKey(conversation.phoneNumber) === toPhoneKey(phoneNumber)) || null;
+  }
+
+  async loadFixtures() {
+    const file = path.resolve(process.cwd(), PROVIDERS.MOCK_FILE);
+    const { mtimeMs } = await fs.promises.stat(file);
+
+    if (!this.fixtures || mtimeMs !== this.loadedMtime) {
+      this.fixtures = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      this.loadedMtime = mtimeMs;
+    }
+
+    return this.fixtures;
+  }
+
+  /**
+   * Throw an axios-style error for a userId listed under failures
+   */
+  simulateFailure(fixtures, userId) {
+    const status = fixtures.failures?.[userId];
+    if (!status) return;
+
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers: {} };
+    throw error;
+  }
+
+  toConversation(conversation, fromDate, toDate) {
+    const messages = (conversation.messages || [])
+      .map(msg => ({
+        id: msg.id,
+        body: msg.body,
+        timestamp: typeof msg.timestamp === 'number' ? new Date(msg.timestamp * 1000) : new Date(msg.timestamp),
+        role: msg.role,
+        from: msg.from,
+        to: msg.to,
+        type: msg.type,
+        hasMedia: Boolean(msg.hasMedia),
+        fromMe: msg.fromMe,
+        filename: msg.filename,
+        mimetype: msg.mimetype
+      }))
+      .filter(msg => msg.timestamp >= fromDate && msg.timestamp <= toDate);
+
+    return { phoneNumber: conversation.phoneNumber, messages };
+  }
+}
+
+module.exports = new MockProvider();
\ No newline at end of file
@@ -0,0 +1,94 @@
+const axios = require('axios');
+const { WHATSAPP_API, PROVIDERS } = require('../../config/constants');
+const { toPhoneKey } = require('../../utils/phoneNumber');
+
+/**
+ * Message source for the ara-pay notowa endpoints
+ * Conversations are identified by `to` or an `<phone>@c.us` id, and timestamps are Unix seconds.
+ */
+class NotowaProvider {
+  constructor() {
+    this.name = PROVIDERS.NAMES.NOTOWA;
+    // Recent chats are capped at this many conversations per request
+    this.pageLimit = WHATSAPP_API.MAX_LIMIT;
+
+    this.apiClient = axios.create({
+      baseURL: WHATSAPP_API.BASE_URL,
+      headers: {
+        'Authorization': process.env.WHATSAPP_BEARER_TOKEN,
+        'Content-Type': 'application/json'
+      },
+      timeout: WHATSAPP_API.REQUEST_TIMEOUT
+    });
+  }
+
+  /**
+   * Recent chats of a user with messages in a date range, at most pageLimit of them
+   * @param {string} userId - notowa user ID
+   * @param {Date} fromDate - Start date for messages
+   * @param {Date} toDate - End date for messages
+   */
+  async fetchConversations(userId, fromDate, toDate) {
+    const endpoint = WHATSAPP_API.ENDPOINTS.RECENT_CHATS.replace(':userId', userId);
+
+    const response = await this.apiClient.get(endpoint, {
+      params: {
+        simplify: true,
+        includeMessages: true,
+        limit: this.pageLimit,
+        fromDate: fromDate.toISOString(),
+        toDate: toDate.toISOString()
+      }
+    });
+
+    return (response.data || []).map(conversation => this.toConversation(conversation));
+  }
+
+  /**
+   * A user's conversation with one phone number, or null if it has no messages in the range
+   */
+  async fetchConversationByPhone(userId, phoneNumber, fromDate, toDate) {
+    const endpoint = WHATSAPP_API.ENDPOINTS.CHATS_BY_PHONE.replace(':userId', userId);
+
+    const response = await this.apiClient.get(endpoint, {
+      params: {
+        // notowa takes the number as digits only
+        phoneNumber: toPhoneKey(phoneNumber),
+        simplify: true,
+        includeMessages: true,
+        fromDate: fromDate.toISOString(),
+        toDate: toDate.toISOString()
+      }
+    });
+
+    if (!response.data || !response.data.messages || response.data.messages.length === 0) {
+      return null;
+    }
+
+    return this.toConversation(response.data, phoneNumber);
+  }
+
+  /**
+   * Shape a notowa conversation; recent chats carry the number in `to` or the chat ID
+   */
+  toConversation(conversation, phoneNumber = conversation.to || conversation.id?.replace('@c.us', '')) {
+    return {
+      phoneNumber,
+      messages: (conversation.messages || []).map(msg => ({
+        id: msg.id?._serialized || msg.id,
+        body: msg.body,
+        timestamp: new Date(msg.timestamp * 1000), // Convert Unix timestamp to Date
+        role: msg.role,
+        from: msg.from,
+        to: msg.to,
+        type: msg.type,
+        hasMedia: msg.hasMedia,
+        fromMe: msg.fromMe,
+        filename: msg.filename,
+        mimetype: msg.mimetype
+      }))
+    };
+  }
+}
+
+module.exports = new NotowaProvider();
\ No newline at end of file
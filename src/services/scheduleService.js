@@ -0,0 +1,273 @@
+const VerificationSchedule = require('../models/VerificationSchedule');
+const verificationJobService = require('./verificationJobService');
+const { SCHEDULES, JOBS } = require('../config/constants');
+const { logger } = require('../config/database');
+const { parseCron, nextCronTime } = require('../utils/cronExpression');
+const { applyScope } = require('../utils/tenantScope');
+const { INSTANCE_ID } = require('../utils/instanceId');
+
+class ScheduleService {
+  constructor() {
+    this.instanceId = INSTANCE_ID;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Next run time of a schedule after a given moment
+   * @param {Object} schedule - Schedule document (cron and timezone)
+   * @param {Date} after - Moment to search from
+   */
+  getNextRunTime(schedule, after = new Date()) {
+    return nextCronTime(parseCron(schedule.cron), after, schedule.timezone);
+  }
+
+  /**
+   * Create a schedule, active from now
+   * @param {Object} data - Schedule fields
+   */
+  async createSchedule(data) {
+    const schedule = new VerificationSchedule(data);
+    schedule.next_run_at = this.getNextRunTime(schedule);
+
+    return schedule.save();
+  }
+
+  /**
+   * List schedules, soonest due first
+   * @param {Object} filters - Optional status, businessId, organizationId, limit and tenant scope
+   */
+  async listSchedules(filters = {}) {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.businessId) {
+      query.business_id = filters.businessId;
+    }
+
+    if (filters.organizationId) {
+      query.organization_id = filters.organizationId;
+    }
+
+    const limit = Math.min(
+      parseInt(filters.limit) || SCHEDULES.DEFAULT_LIST_LIMIT,
+      SCHEDULES.MAX_LIST_LIMIT
+    );
+
+    return VerificationSchedule.find(applyScope(query, filters.scope))
+      .sort({ next_run_at: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} [scope] - Tenant scope; schedules outside it are not found
+   */
+  async getSchedule(scheduleId, scope = null) {
+    return VerificationSchedule.findOne(applyScope({ _id: scheduleId }, scope)).lean();
+  }
+
+  /**
+   * Stop a schedule from starting new runs; a run already in progress finishes
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} [scope] - Tenant scope; schedules outside it are not found
+   */
+  async pauseSchedule(scheduleId, scope = null) {
+    return VerificationSchedule.findOneAndUpdate(
+      applyScope({ _id: scheduleId }, scope),
+      { $set: { status: SCHEDULES.STATUSES.PAUSED, next_run_at: null } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Resume a paused schedule from its next cron time; runs missed while paused are skipped
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} [scope] - Tenant scope; schedules outside it are not found
+   */
+  async resumeSchedule(scheduleId, scope = null) {
+    const schedule = await VerificationSchedule.findOne(applyScope({ _id: scheduleId }, scope));
+    if (!schedule) return null;
+
+    schedule.status = SCHEDULES.STATUSES.ACTIVE;
+    schedule.next_run_at = this.getNextRunTime(schedule);
+
+    return schedule.save();
+  }
+
+  /**
+   * Delete a schedule; a run already in progress finishes
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} [scope] - Tenant scope; schedules outside it are not found
+   */
+  async deleteSchedule(scheduleId, scope = null) {
+    return VerificationSchedule.findOneAndDelete(applyScope({ _id: scheduleId }, scope)).lean();
+  }
+
+  /**
+   * Start polling for due schedules
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), SCHEDULES.POLL_INTERVAL);
+    this.timer.unref();
+    this.poll();
+
+    logger.info(`Verification scheduler started (${this.instanceId})`);
+  }
+
+  /**
+   * Stop polling; runs already started are left to finish
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and start every schedule that is due and not leased by another instance
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const now = new Date();
+      const due = await VerificationSchedule.find(this.dueQuery(now))
+        .sort({ next_run_at: 1 })
+        .lean();
+
+      for (const schedule of due) {
+        const claimed = await this.claimSchedule(schedule, now);
+
+        // Another instance got there first
+        if (!claimed) continue;
+
+        this.runSchedule(claimed).catch(error => {
+          logger.error(`Scheduled verification ${claimed._id} crashed:`, error);
+        });
+      }
+    } catch (error) {
+      logger.error('Verification scheduler poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Active schedules that are due and whose lease is free or expired
+   */
+  dueQuery(now) {
+    return {
+      status: SCHEDULES.STATUSES.ACTIVE,
+      next_run_at: { $lte: now },
+      $or: [
+        { 'lease.expires_at': null },
+        { 'lease.expires_at': { $lte: now } }
+      ]
+    };
+  }
+
+  /**
+   * Take the lease on a due schedule and advance its next run time in one atomic update,
+   * so only one instance can start each run
+   * @returns {Object|null} The claimed schedule, or null if it was no longer due or free
+   */
+  async claimSchedule(schedule, now) {
+    return VerificationSchedule.findOneAndUpdate(
+      { _id: schedule._id, ...this.dueQuery(now) },
+      {
+        $set: {
+          'lease.owner': this.instanceId,
+          'lease.expires_at': new Date(now.getTime() + SCHEDULES.LEASE_DURATION),
+          last_run_at: now,
+          next_run_at: this.getNextRunTime(schedule, now)
+        }
+      },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Verification parameters for one run: the rolling window up to the run's start
+   */
+  buildParams(schedule) {
+    const dateTo = schedule.last_run_at;
+    const dateFrom = new Date(dateTo.getTime() - schedule.window_hours * 60 * 60 * 1000);
+
+    return {
+      messageRole: 'both',
+      ...schedule.options,
+      dateFrom: dateFrom.toISOString(),
+      dateTo: dateTo.toISOString(),
+      businessId: schedule.business_id ? String(schedule.business_id) : undefined,
+      organizationId: schedule.organization_id ? String(schedule.organization_id) : undefined,
+      userIds: schedule.user_ids
+    };
+  }
+
+  /**
+   * Run a claimed schedule as a verification job, renewing the lease until it finishes
+   * @param {Object} schedule - Claimed schedule document
+   */
+  async runSchedule(schedule) {
+    const params = this.buildParams(schedule);
+    const renewal = setInterval(() => {
+      this.renewLease(schedule._id).catch(error => {
+        logger.warn(`Failed to renew lease on schedule ${schedule._id}:`, error.message);
+      });
+    }, SCHEDULES.LEASE_RENEW_INTERVAL);
+    let outcome;
+
+    logger.info(`Running scheduled verification ${schedule._id} (${schedule.name})`);
+
+    try {
+      const job = await verificationJobService.createJob(params, { scheduleId: schedule._id, start: false });
+
+      await VerificationSchedule.updateOne(
+        { _id: schedule._id },
+        { $set: { last_job_id: job._id } }
+      );
+
+      outcome = await verificationJobService.runJob(job._id, params);
+    } catch (error) {
+      outcome = { status: JOBS.STATUSES.FAILED, error: error.message };
+    } finally {
+      clearInterval(renewal);
+    }
+
+    await VerificationSchedule.updateOne(
+      { _id: schedule._id, 'lease.owner': this.instanceId },
+      {
+        $set: {
+          last_status: outcome.status,
+          last_error: outcome.error || null,
+          'lease.owner': null,
+          'lease.expires_at': null
+        }
+      }
+    );
+  }
+
+  /**
+   * Extend this instance's lease on a schedule while its run continues
+   */
+  async renewLease(scheduleId) {
+    const result = await VerificationSchedule.updateOne(
+      { _id: scheduleId, 'lease.owner': this.instanceId },
+      { $set: { 'lease.expires_at': new Date(Date.now() + SCHEDULES.LEASE_DURATION) } }
+    );
+
+    if (result.matchedCount === 0) {
+      logger.warn(`Lost lease on schedule ${scheduleId}`);
+    }
+  }
+}
+
+module.exports = new ScheduleService();
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const MessageTemplate = require('../models/MessageTemplate');
+const messageMatcher = require('./messageMatcher');
+const { compileTemplate } = require('../utils/messageTemplate');
+const { logger } = require('../config/database');
+
+class TemplateService {
+  /**
+   * Load and compile the active templates available to a business
+   * Includes the business's own templates and shared ones (no business_id).
+   * @param {string} businessId - Optional business ID
+   * @returns {Array} Compiled templates, most specific (longest fixed text) first
+   */
+  async loadCompiledTemplates(businessId) {
+    const businessIds = [null];
+
+    if (businessId && mongoose.Types.ObjectId.isValid(businessId)) {
+      businessIds.push(businessId);
+    }
+
+    const templates = await MessageTemplate.find({
+      business_id: { $in: businessIds },
+      is_active: true
+    }).lean();
+
+    const compiled = templates
+      .map(template => compileTemplate(template, (text) => messageMatcher.normalizeMessage(text)))
+      .sort((a, b) => b.fixedLength - a.fixedLength);
+
+    logger.info(`Loaded ${compiled.length} message templates`);
+    return compiled;
+  }
+
+  /**
+   * List templates, optionally for a single business
+   * @param {Object} filters - businessId or businessIds (shared templates are always included) and includeInactive
+   */
+  async listTemplates(filters = {}) {
+    const query = {};
+
+    if (filters.businessId) {
+      query.business_id = { $in: [null, filters.businessId] };
+    } else if (filters.businessIds) {
+      query.business_id = { $in: [null, ...filters.businessIds] };
+    }
+
+    if (!filters.includeInactive) {
+      query.is_active = true;
+    }
+
+    return MessageTemplate.find(query)
+      .sort({ name: 1 })
+      .lean();
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} templateId - Template ID
+   */
+  async getTemplate(templateId) {
+    return MessageTemplate.findById(templateId).lean();
+  }
+
+  /**
+   * Create a template
+   * @param {Object} data - Template fields
+   */
+  async createTemplate(data) {
+    return MessageTemplate.create(data);
+  }
+
+  /**
+   * Update a template
+   * @param {string} templateId - Template ID
+   * @param {Object} data - Fields to update
+   */
+  async updateTemplate(templateId, data) {
+    const template = await MessageTemplate.findById(templateId);
+    if (!template) return null;
+
+    template.set(data);
+    return template.save();
+  }
+
+  /**
+   * Delete a template
+   * @param {string} templateId - Template ID
+   */
+  async deleteTemplate(templateId) {
+    return MessageTemplate.findByIdAndDelete(templateId).lean();
+  }
+}
+
+module.exports = new TemplateService();
\ No newline at end of file
@@ -0,0 +1,266 @@
+const VerificationJob = require('../models/VerificationJob');
+const verificationService = require('./verificationService');
+const { JOBS } = require('../config/constants');
+const { logger } = require('../config/database');
+const { applyScope } = require('../utils/tenantScope');
+const { INSTANCE_ID } = require('../utils/instanceId');
+
+class VerificationJobService {
+  constructor() {
+    this.instanceId = INSTANCE_ID;
+    this.timer = null;
+  }
+
+  /**
+   * Lease fields held by this instance, expiring after JOBS.LEASE_DURATION
+   */
+  buildLease() {
+    return { owner: this.instanceId, expires_at: new Date(Date.now() + JOBS.LEASE_DURATION) };
+  }
+
+  /**
+   * Persist a new verification job and start it in the background
+   * The job is leased by this instance from the start, so other instances leave it queued.
+   * @param {Object} params - Verification parameters (same shape as verifyMessages)
+   * @param {Object} options - scheduleId that started the job; start: false to leave running it to the caller
+   * @returns {Object} The created job document
+   */
+  async createJob(params, options = {}) {
+    const { scheduleId = null, start = true } = options;
+    const job = await VerificationJob.create({
+      params,
+      business_id: params.businessId || null,
+      organization_id: params.organizationId || null,
+      schedule_id: scheduleId,
+      steps: JOBS.STEPS.map(name => ({ name })),
+      lease: this.buildLease()
+    });
+
+    logger.info(`Verification job ${job._id} queued`);
+
+    if (!start) return job;
+
+    // Run outside the request cycle so the caller gets the job id immediately
+    setImmediate(() => {
+      this.runJob(job._id, params).catch(error => {
+        logger.error(`Verification job ${job._id} crashed:`, error);
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Execute the verification pipeline for a job and record the outcome
+   * The lease is renewed while the pipeline runs. The report is not copied onto the job,
+   * where a large one could pass MongoDB's document limit; it is read from the job's run.
+   * @param {string} jobId - Job ID
+   * @param {Object} params - Verification parameters
+   * @returns {Object} { status, error } the job finished with
+   */
+  async runJob(jobId, params) {
+    await VerificationJob.updateOne(
+      { _id: jobId },
+      { $set: { status: JOBS.STATUSES.RUNNING, started_at: new Date(), lease: this.buildLease() } }
+    );
+
+    const renewal = setInterval(() => {
+      this.renewLease(jobId).catch(error => {
+        logger.warn(`Failed to renew lease on job ${jobId}:`, error.message);
+      });
+    }, JOBS.LEASE_RENEW_INTERVAL);
+
+    try {
+      const result = await verificationService.verifyMessages(params, {
+        runId: jobId,
+        jobId,
+        onProgress: (step, status, details) => this.updateStep(jobId, step, status, details)
+      });
+
+      await this.finishJob(jobId, {
+        status: JOBS.STATUSES.COMPLETED,
+        current_step: null,
+        api_errors: result.errors
+      });
+
+      logger.info(`Verification job ${jobId} completed`);
+      return { status: JOBS.STATUSES.COMPLETED };
+
+    } catch (error) {
+      logger.error(`Verification job ${jobId} failed:`, error);
+
+      await this.finishJob(jobId, {
+        status: JOBS.STATUSES.FAILED,
+        error: error.message
+      });
+
+      return { status: JOBS.STATUSES.FAILED, error: error.message };
+    } finally {
+      clearInterval(renewal);
+    }
+  }
+
+  /**
+   * Record how a job ended and release its lease
+   * Only while this instance still holds the lease: once it lapsed, another instance's
+   * recovery may already have failed the job, and that outcome is kept.
+   * @param {string} jobId - Job ID
+   * @param {Object} update - Fields to set
+   */
+  async finishJob(jobId, update) {
+    const result = await VerificationJob.updateOne(
+      { _id: jobId, status: JOBS.STATUSES.RUNNING, 'lease.owner': this.instanceId },
+      { $set: { ...update, completed_at: new Date(), lease: { owner: null, expires_at: null } } }
+    );
+
+    if (result.matchedCount === 0) {
+      logger.warn(`Lost lease on job ${jobId} before recording it ${update.status}; keeping its current status`);
+    }
+  }
+
+  /**
+   * Extend this instance's lease on a job while it runs
+   */
+  async renewLease(jobId) {
+    const result = await VerificationJob.updateOne(
+      { _id: jobId, 'lease.owner': this.instanceId },
+      { $set: { 'lease.expires_at': new Date(Date.now() + JOBS.LEASE_DURATION) } }
+    );
+
+    if (result.matchedCount === 0) {
+      logger.warn(`Lost lease on job ${jobId}`);
+    }
+  }
+
+  /**
+   * Record progress of a single pipeline step
+   * @param {string} jobId - Job ID
+   * @param {string} step - Step name from JOBS.STEPS
+   * @param {string} status - Step status from JOBS.STEP_STATUSES
+   * @param {Object} [details] - Step-specific counters
+   */
+  async updateStep(jobId, step, status, details) {
+    const now = new Date();
+    const update = {
+      current_step: step,
+      'steps.$[step].status': status
+    };
+
+    if (status === JOBS.STEP_STATUSES.RUNNING) {
+      update['steps.$[step].started_at'] = now;
+    } else {
+      update['steps.$[step].completed_at'] = now;
+    }
+
+    if (details) {
+      update['steps.$[step].details'] = details;
+    }
+
+    await VerificationJob.updateOne(
+      { _id: jobId },
+      { $set: update },
+      { arrayFilters: [{ 'step.name': step }] }
+    );
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @param {boolean} includeReport - Whether to include the (potentially large) report
+   * @param {Object} [scope] - Tenant scope; jobs outside it are not found
+   */
+  async getJob(jobId, includeReport = false, scope = null) {
+    const query = VerificationJob.findOne(applyScope({ _id: jobId }, scope));
+
+    if (!includeReport) {
+      query.select('-report');
+    }
+
+    return query.lean();
+  }
+
+  /**
+   * List recent jobs, newest first
+   * @param {Object} filters - Optional status, businessId, organizationId, limit and tenant scope
+   */
+  async listJobs(filters = {}) {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.businessId) {
+      query.business_id = filters.businessId;
+    }
+
+    if (filters.organizationId) {
+      query.organization_id = filters.organizationId;
+    }
+
+    const limit = Math.min(
+      parseInt(filters.limit) || JOBS.DEFAULT_LIST_LIMIT,
+      JOBS.MAX_LIST_LIMIT
+    );
+
+    return VerificationJob.find(applyScope(query, filters.scope))
+      .select('-report')
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Recover interrupted jobs now and then every JOBS.RECOVERY_INTERVAL
+   * Instances that die are noticed once their jobs' leases expire, whichever instance is still up.
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.recoverInterruptedJobs().catch(error => {
+        logger.error('Recovering interrupted verification jobs failed:', error);
+      });
+    }, JOBS.RECOVERY_INTERVAL);
+    this.timer.unref();
+
+    return this.recoverInterruptedJobs();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Mark jobs left queued or running by an instance that stopped as failed.
+   * Background runs live in memory, so nothing resumes them; jobs still leased by a live
+   * instance (this one or another) are left alone. Jobs without a lease predate leases.
+   */
+  async recoverInterruptedJobs() {
+    const now = new Date();
+    const result = await VerificationJob.updateMany(
+      {
+        status: { $in: [JOBS.STATUSES.QUEUED, JOBS.STATUSES.RUNNING] },
+        $or: [
+          { 'lease.expires_at': null },
+          { 'lease.expires_at': { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: JOBS.STATUSES.FAILED,
+          error: 'Job interrupted: the instance running it stopped',
+          completed_at: now,
+          lease: { owner: null, expires_at: null }
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn(`Marked ${result.modifiedCount} interrupted verification jobs as failed`);
+    }
+  }
+}
+
+module.exports = new VerificationJobService();
\ No newline at end of file
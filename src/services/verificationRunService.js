@@ -0,0 +1,457 @@
+const mongoose = require('mongoose');
+const VerificationRun = require('../models/VerificationRun');
+const VerificationRunDetail = require('../models/VerificationRunDetail');
+const Messages = require('../models/Messages');
+const { RUNS } = require('../config/constants');
+const { logger } = require('../config/database');
+const { applyScope } = require('../utils/tenantScope');
+const { toE164, phoneNumberVariants } = require('../utils/phoneNumber');
+
+class VerificationRunService {
+  /**
+   * Store a finished (or failed) verification run and its details
+   * Failures to record are logged rather than thrown, so history never breaks a run.
+   * @param {Object} run - runId, jobId, params, status, matchResults, summary, analysis, stepTimings, error, startedAt
+   * @returns {boolean} Whether the run and its details were stored
+   */
+  async recordRun(run) {
+    const completedAt = new Date();
+    const doc = {
+      _id: run.runId,
+      status: run.status,
+      params: run.params,
+      job_id: run.jobId || null,
+      business_id: mongoose.Types.ObjectId.isValid(run.params.businessId) ? run.params.businessId : null,
+      organization_id: mongoose.Types.ObjectId.isValid(run.params.organizationId) ? run.params.organizationId : null,
+      summary: run.summary || null,
+      analysis: run.analysis || null,
+      step_timings: run.stepTimings || {},
+      error: run.error,
+      started_at: run.startedAt,
+      completed_at: completedAt,
+      duration_ms: completedAt - run.startedAt
+    };
+
+    try {
+      await VerificationRun.create(doc);
+
+      if (run.matchResults) {
+        await this.storeDetails(run.runId, run.matchResults);
+
+        // Details expire counted from their own creation, which is never before completedAt
+        await VerificationRun.updateOne({ _id: run.runId }, {
+          details_stored: true,
+          details_expire_at: new Date(completedAt.getTime() + RUNS.DETAIL_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        });
+      }
+
+      logger.info(`Verification run ${run.runId} recorded (${run.status})`);
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to record verification run ${run.runId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Messages IDs per outcome, read from a run's stored details
+   * Kept out of the run document, which a large run's ID lists would push past the size limit.
+   * @param {string} runId - Run ID
+   */
+  async listOutcomes(runId) {
+    const outcomes = { matched: [], ambiguous: [], unmatched: [] };
+    const keys = {
+      [RUNS.DETAIL_STATUSES.VERIFIED]: 'matched',
+      [RUNS.DETAIL_STATUSES.AMBIGUOUS]: 'ambiguous',
+      [RUNS.DETAIL_STATUSES.UNMATCHED]: 'unmatched'
+    };
+    const cursor = VerificationRunDetail.find({ run_id: runId, status: { $in: Object.keys(keys) } })
+      .select('status entry.dbMessage.id')
+      .lean()
+      .cursor({ batchSize: RUNS.DETAIL_BATCH_SIZE });
+
+    for await (const doc of cursor) {
+      const messageId = doc.entry?.dbMessage?.id;
+      if (messageId) outcomes[keys[doc.status]].push(messageId);
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * List recent runs, newest first, without their outcome lists
+   * @param {Object} filters - Optional status, businessId, organizationId, limit and tenant scope
+   */
+  async listRuns(filters = {}) {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.businessId) {
+      query.business_id = filters.businessId;
+    }
+
+    if (filters.organizationId) {
+      query.organization_id = filters.organizationId;
+    }
+
+    const limit = Math.min(
+      parseInt(filters.limit) || RUNS.DEFAULT_LIST_LIMIT,
+      RUNS.MAX_LIST_LIMIT
+    );
+
+    return VerificationRun.find(applyScope(query, filters.scope))
+      .select('-outcomes')
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Get a run by ID
+   * @param {string} runId - Run ID
+   * @param {boolean} includeOutcomes - Whether to include the (potentially large) outcome lists; null once
+   *   the run's details are gone
+   * @param {Object} [scope] - Tenant scope; runs outside it are not found
+   */
+  async getRun(runId, includeOutcomes = false, scope = null) {
+    const query = VerificationRun.findOne(applyScope({ _id: runId }, scope));
+
+    if (!includeOutcomes) {
+      query.select('-outcomes');
+    }
+
+    const run = await query.lean();
+
+    // Runs recorded before outcomes moved to the details carry their lists inline
+    if (run && includeOutcomes && !run.outcomes) {
+      run.outcomes = this.findMissingOutcomes(run) ? null : await this.listOutcomes(run._id);
+    }
+
+    return run;
+  }
+
+  /**
+   * Why a run's outcome lists cannot be read, or null if they can
+   * @param {Object} run - Run document
+   * @returns {Object|null} { error, expired }
+   */
+  findMissingOutcomes(run) {
+    if (run.outcomes) return null;
+
+    if (!run.details_stored) {
+      return { error: `Details of run ${run._id} were not stored`, expired: false };
+    }
+
+    if (run.details_expire_at <= new Date()) {
+      return { error: `Details of run ${run._id} expired at ${run.details_expire_at.toISOString()}`, expired: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the report of a stored run: its summary and analysis counts
+   * Entries are served separately by listDetails and streamDetails.
+   * @param {Object} run - Run document
+   */
+  getRunReport(run) {
+    return {
+      summary: run.summary,
+      analysis: run.analysis || undefined,
+      details: {
+        url: `/api/runs/${run._id}/details`
+      }
+    };
+  }
+
+  /**
+   * Build the query for a run's details
+   * @param {string} runId - Run ID
+   * @param {Object} filters - Optional status (string or array), phoneNumber, type, dateFrom, dateTo and after (seq)
+   */
+  buildDetailQuery(runId, filters = {}) {
+    const query = { run_id: runId };
+
+    if (filters.status) {
+      query.status = Array.isArray(filters.status) ? { $in: filters.status } : filters.status;
+    }
+
+    // Runs from before phone numbers were normalized stored them as written
+    if (filters.phoneNumber) {
+      const e164 = toE164(filters.phoneNumber);
+      query.phone_number = e164 ? { $in: phoneNumberVariants(e164) } : filters.phoneNumber;
+    }
+
+    if (filters.type) {
+      query.type_of_message = filters.type;
+    }
+
+    if (filters.dateFrom || filters.dateTo) {
+      query.sent_date = {};
+      if (filters.dateFrom) query.sent_date.$gte = new Date(filters.dateFrom);
+      if (filters.dateTo) query.sent_date.$lte = new Date(filters.dateTo);
+    }
+
+    if (filters.after !== undefined) {
+      query.seq = { $gt: Number(filters.after) };
+    }
+
+    return query;
+  }
+
+  /**
+   * Get one page of a run's details
+   * @param {string} runId - Run ID
+   * @param {Object} filters - See buildDetailQuery
+   * @param {Object} paging - page (1-based) and limit; ignored pages when filters.after is set
+   * @returns {Object} { total, page, limit, nextAfter, details }
+   */
+  async listDetails(runId, filters = {}, paging = {}) {
+    const query = this.buildDetailQuery(runId, filters);
+    const limit = Math.min(
+      parseInt(paging.limit) || RUNS.DEFAULT_DETAIL_LIMIT,
+      RUNS.MAX_DETAIL_LIMIT
+    );
+    const page = filters.after !== undefined ? 1 : Math.max(parseInt(paging.page) || 1, 1);
+
+    const [total, docs] = await Promise.all([
+      VerificationRunDetail.countDocuments(this.buildDetailQuery(runId, { ...filters, after: undefined })),
+      VerificationRunDetail.find(query)
+        .sort({ seq: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    return {
+      total,
+      page,
+      limit,
+      nextAfter: docs.length === limit ? docs[docs.length - 1].seq : null,
+      details: docs.map(doc => this.toDetailEntry(doc))
+    };
+  }
+
+  /**
+   * Stream a run's details from a cursor, one entry at a time
+   * @param {string} runId - Run ID
+   * @param {Object} filters - See buildDetailQuery
+   */
+  async *streamDetails(runId, filters = {}) {
+    const cursor = VerificationRunDetail.find(this.buildDetailQuery(runId, filters))
+      .sort({ seq: 1 })
+      .lean()
+      .cursor({ batchSize: RUNS.DETAIL_BATCH_SIZE });
+
+    for await (const doc of cursor) {
+      yield this.toDetailEntry(doc);
+    }
+  }
+
+  /**
+   * Serve a run's details from its in-memory results, in the order streamDetails would
+   * Used for exports when the details could not be stored.
+   * @param {Object} matchResults - Results from messageMatcher
+   */
+  async *streamResultDetails(matchResults) {
+    let seq = 0;
+
+    for (const { status, entry } of this.collectDetails(matchResults)) {
+      yield { status, seq: seq++, ...entry };
+    }
+  }
+
+  /**
+   * A run's matched, unmatched, duplicate and orphan entries in storage order, each with its status
+   */
+  *collectDetails(matchResults) {
+    for (const match of matchResults.matched) {
+      yield { status: match.verificationStatus, entry: match };
+    }
+    for (const entry of matchResults.unmatched) {
+      yield { status: RUNS.DETAIL_STATUSES.UNMATCHED, entry };
+    }
+    for (const duplicate of matchResults.duplicates) {
+      yield { status: RUNS.DETAIL_STATUSES.DUPLICATE, entry: duplicate };
+    }
+    for (const orphan of matchResults.orphanApiMessages) {
+      yield { status: RUNS.DETAIL_STATUSES.ORPHAN, entry: orphan };
+    }
+  }
+
+  /**
+   * A stored detail as returned to clients: the entry with its status and position
+   */
+  toDetailEntry(doc) {
+    return { status: doc.status, seq: doc.seq, ...doc.entry };
+  }
+
+  /**
+   * Store a run's matched, unmatched, duplicate and orphan entries as separate documents
+   * Written in batches so a large run is never inserted as a single payload.
+   * @param {string} runId - Run ID
+   * @param {Object} matchResults - Results from messageMatcher
+   */
+  async storeDetails(runId, matchResults) {
+    let batch = [];
+    let seq = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await VerificationRunDetail.insertMany(batch, { ordered: false });
+      batch = [];
+    };
+
+    const add = async (status, entry) => {
+      batch.push({
+        run_id: runId,
+        seq: seq++,
+        status,
+        phone_number: entry.dbMessage?.phoneNumber ?? entry.phoneNumber,
+        type_of_message: entry.dbMessage?.type,
+        sent_date: entry.dbMessage?.sentDate ?? entry.apiMessage?.timestamp,
+        entry
+      });
+
+      if (batch.length >= RUNS.DETAIL_BATCH_SIZE) {
+        await flush();
+      }
+    };
+
+    for (const { status, entry } of this.collectDetails(matchResults)) {
+      await add(status, entry);
+    }
+
+    await flush();
+  }
+
+  /**
+   * Compare two runs
+   * Lists the messages that went from unmatched to matched (late delivery, API lag)
+   * and from matched to unmatched, and how the match and first-message failure rates moved.
+   * @param {string} baseRunId - Earlier run
+   * @param {string} targetRunId - Later run
+   * @param {Object} [scope] - Tenant scope; runs outside it are not found
+   * @returns {Object|null} Comparison, { error, expired } if either run's outcomes are gone, or null if
+   *   either run does not exist
+   */
+  async compareRuns(baseRunId, targetRunId, scope = null) {
+    const [baseRun, targetRun] = await Promise.all([
+      this.getRun(baseRunId, true, scope),
+      this.getRun(targetRunId, true, scope)
+    ]);
+
+    if (!baseRun || !targetRun) return null;
+
+    const missing = this.findMissingOutcomes(baseRun) || this.findMissingOutcomes(targetRun);
+    if (missing) return missing;
+
+    const baseOutcomes = this.toOutcomeMap(baseRun);
+    const targetOutcomes = this.toOutcomeMap(targetRun);
+    const becameMatched = [];
+    const becameUnmatched = [];
+    let onlyInBase = 0;
+
+    for (const [messageId, baseOutcome] of baseOutcomes) {
+      const targetOutcome = targetOutcomes.get(messageId);
+
+      if (!targetOutcome) {
+        onlyInBase++;
+      } else if (baseOutcome === 'unmatched' && targetOutcome !== 'unmatched') {
+        becameMatched.push(messageId);
+      } else if (baseOutcome !== 'unmatched' && targetOutcome === 'unmatched') {
+        becameUnmatched.push(messageId);
+      }
+    }
+
+    const onlyInTarget = [...targetOutcomes.keys()].filter(messageId => !baseOutcomes.has(messageId)).length;
+    const messages = await this.describeMessages([...becameMatched, ...becameUnmatched]);
+
+    return {
+      baseRun: this.describeRun(baseRun),
+      targetRun: this.describeRun(targetRun),
+      matchRate: this.compareRates(baseRun.summary?.matchRate, targetRun.summary?.matchRate),
+      firstMessageFailureRate: this.compareRates(
+        baseRun.summary?.firstMessageStats?.unmatchedRate,
+        targetRun.summary?.firstMessageStats?.unmatchedRate
+      ),
+      becameMatched: {
+        count: becameMatched.length,
+        messages: becameMatched.map(messageId => messages.get(messageId) || { id: messageId })
+      },
+      becameUnmatched: {
+        count: becameUnmatched.length,
+        messages: becameUnmatched.map(messageId => messages.get(messageId) || { id: messageId })
+      },
+      onlyInBase,
+      onlyInTarget
+    };
+  }
+
+  /**
+   * Map each Messages ID in a run to 'matched', 'ambiguous' or 'unmatched'
+   */
+  toOutcomeMap(run) {
+    const outcomes = new Map();
+
+    for (const key of ['matched', 'ambiguous', 'unmatched']) {
+      for (const messageId of run.outcomes?.[key] || []) {
+        outcomes.set(String(messageId), key);
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Before/after for a percentage string such as "90.00%", with the change in points
+   */
+  compareRates(baseRate, targetRate) {
+    const base = parseFloat(baseRate);
+    const target = parseFloat(targetRate);
+
+    return {
+      base: baseRate ?? null,
+      target: targetRate ?? null,
+      changePoints: isNaN(base) || isNaN(target) ? null : Number((target - base).toFixed(2))
+    };
+  }
+
+  /**
+   * Short identification of a run for comparisons
+   */
+  describeRun(run) {
+    return {
+      id: run._id,
+      createdAt: run.created_at,
+      status: run.status,
+      verificationPeriod: run.summary?.verificationPeriod || null
+    };
+  }
+
+  /**
+   * Look up the Messages documents behind a list of IDs
+   * @returns {Map} ID string to message summary
+   */
+  async describeMessages(messageIds) {
+    if (messageIds.length === 0) return new Map();
+
+    const messages = await Messages.find({ _id: { $in: messageIds } })
+      .select('phone_number message sent_date type_of_message role')
+      .lean();
+
+    return new Map(messages.map(message => [String(message._id), {
+      id: message._id,
+      message: message.message,
+      phoneNumber: toE164(message.phone_number) || message.phone_number,
+      sentDate: message.sent_date,
+      role: message.role,
+      type: message.type_of_message
+    }]));
+  }
+}
+
+module.exports = new VerificationRunService();
\ No newline at end of file
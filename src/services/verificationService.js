@@ -1,15 +1,32 @@
+const mongoose = require('mongoose');
 const Messages = require('../models/Messages');
 const Conversation = require('../models/Conversation');
 const whatsappApi = require('./whatsappApi');
 const messageMatcher = require('./messageMatcher');
+const matchingProfileService = require('./matchingProfileService');
+const templateService = require('./templateService');
+const providerService = require('./providerService');
+const verificationRunService = require('./verificationRunService');
+const alertService = require('./alertService');
 const { logger } = require('../config/database');
+const { JOBS, RUNS, MATCHING, DIRECTIONS, MESSAGE_ROLES, VERIFICATION, CHAT_EXPORT, PHONE } = require('../config/constants');
+const { toPhoneKey, toE164, normalizePhoneNumbers, phoneNumberVariants } = require('../utils/phoneNumber');
+const { parsePhoneNumberRanges, expandPhoneNumberRanges, matchesPhoneNumberRanges } = require('../utils/phoneNumberRange');
+const { applyScope } = require('../utils/tenantScope');
 
 class VerificationService {
   /**
    * Main verification function
-   * @param {Object} params - Verification parameters
+   * @param {Object} params - Verification parameters; params.scope (from apiKeyService.resolveVerificationScope)
+   *   limits phone numbers and DB messages to the caller's tenants
+   * @param {Object} [options] - Execution options
+   * @param {Function} [options.onProgress] - Called as (step, status, details) for each pipeline step
+   * @param {string} [options.runId] - ID of the run history entry and persisted outcomes; generated if not given
+   * @param {string} [options.jobId] - Job the run belongs to, in job mode
+   * @param {Object} [options.chatExport] - Parsed chat exports (chatExportService.parseUploads) to verify
+   *   against instead of fetching from the WhatsApp API; userIds are then not used
    */
-  async verifyMessages(params) {
+  async verifyMessages(params, options = {}) {
     const {
       dateFrom,
       dateTo,
@@ -17,91 +34,328 @@ class VerificationService {
       phoneNumberRange,
       businessId,
       organizationId,
-      matchingThreshold = 0.9,
+      matchingThreshold,
+      matchingProfile,
+      assignmentStrategy = MATCHING.DEFAULT_ASSIGNMENT_STRATEGY,
+      candidateWindowHours,
+      clockSkewSeconds,
+      duplicateWindowMinutes,
       messageRole,
       includeDetails = true,
-      userIds
+      persistResults = false,
+      skipVerified = false,
+      userIds,
+      scope = null
     } = params;
     
+    const { onProgress, jobId, chatExport } = options;
+    const runId = options.runId || new mongoose.Types.ObjectId();
+    const startedAt = new Date();
+    const stepTimings = {};
+    let currentStep = null;
+    let stepStartedAt = null;
+    
+    // Mark a pipeline step as started and remember it in case it fails
+    const startStep = async (step) => {
+      currentStep = step;
+      stepStartedAt = Date.now();
+      await this.reportProgress(onProgress, step, JOBS.STEP_STATUSES.RUNNING);
+    };
+    
+    const completeStep = async (step, details) => {
+      stepTimings[step] = Date.now() - stepStartedAt;
+      await this.reportProgress(onProgress, step, JOBS.STEP_STATUSES.COMPLETED, details);
+    };
+    
     try {
+      // Resolve thresholds up front so an unknown profile fails before any fetching
+      const profile = await matchingProfileService.resolveProfile({
+        matchingProfile,
+        matchingThreshold,
+        businessId
+      });
+      
       // Step 1: Get phone numbers to verify
-      const numbersToVerify = await this.getPhoneNumbers(
+      await startStep('phone_discovery');
+      const { phoneNumbers: discoveredNumbers, invalidPhoneNumbers, phoneNumberFilter } = await this.getPhoneNumbers(
         phoneNumbers, 
         phoneNumberRange, 
         businessId, 
         organizationId, 
         dateFrom, 
-        dateTo
+        dateTo,
+        scope
       );
+      await completeStep('phone_discovery', {
+        phoneNumbers: discoveredNumbers.length,
+        invalidPhoneNumbers: invalidPhoneNumbers.length
+      });
+      
+      // A scope or range that leaves no numbers (and no range filter for the WhatsApp chats) leaves
+      // nothing to fetch; an empty list would otherwise mean every number
+      const nothingToVerify = discoveredNumbers.length === 0 && !phoneNumberFilter && Boolean(scope || phoneNumberRange);
+      if (nothingToVerify) {
+        logger.warn('No phone numbers left to verify in the caller\'s scope or range; skipping the DB and WhatsApp fetches');
+      }
       
       // Step 2: Fetch messages from database
-      const dbMessages = await this.fetchDatabaseMessages({
+      // A range with no conversations has no DB messages; its WhatsApp chats are still picked out by phoneNumberFilter
+      await startStep('db_fetch');
+      const dbMessages = nothingToVerify || (phoneNumberRange && discoveredNumbers.length === 0) ? [] : await this.fetchDatabaseMessages({
         dateFrom,
         dateTo,
-        phoneNumbers: numbersToVerify,
+        phoneNumbers: discoveredNumbers,
         businessId,
         organizationId,
-        messageRole
+        messageRole,
+        skipVerified,
+        scope
       });
+      await completeStep('db_fetch', { messages: dbMessages.length });
       
-      // Step 3: Fetch messages from WhatsApp API
-      const apiResponse = await whatsappApi.fetchMessagesForPhoneNumbers(
-        numbersToVerify,
+      // Step 3: Fetch messages from WhatsApp API, unless chat exports stand in for it
+      await startStep('api_fetch');
+      const provider = chatExport ? null : await providerService.resolveProvider(businessId);
+      const messageSource = provider ? provider.name : CHAT_EXPORT.SOURCE;
+      const apiResponse = chatExport || (nothingToVerify ? this.emptyApiResponse() : await whatsappApi.fetchMessagesForPhoneNumbers(
+        discoveredNumbers,
         userIds || [],
         new Date(dateFrom),
-        new Date(dateTo)
-      );
+        new Date(dateTo),
+        { provider, phoneNumberFilter }
+      ));
+      
+      // Numbers in a range found only in WhatsApp chats are verified too (their messages are orphans)
+      const numbersToVerify = phoneNumberFilter
+        ? [...new Set([...discoveredNumbers, ...apiResponse.messages.map(entry => entry.phoneNumber)])]
+        : discoveredNumbers;
       
       // Step 4: Flatten API messages
-      const allApiMessages = this.flattenApiMessages(apiResponse.messages);
+      let allApiMessages = this.flattenApiMessages(apiResponse.messages);
+      
+      // Copies of messages verified by an earlier run are neither candidates nor orphans
+      if (skipVerified && !nothingToVerify) {
+        const verifiedDeliveries = await this.fetchVerifiedDeliveries({
+          dateFrom,
+          dateTo,
+          phoneNumbers: numbersToVerify,
+          businessId,
+          organizationId,
+          scope
+        });
+        allApiMessages = this.excludeVerifiedDeliveries(allApiMessages, verifiedDeliveries);
+      }
+      await completeStep('api_fetch', {
+        provider: messageSource,
+        messages: allApiMessages.length,
+        errors: apiResponse.errors.length
+      });
       
       // Step 5: Match messages
+      await startStep('matching');
+      const timing = messageMatcher.resolveTiming({
+        clockSkewMs: clockSkewSeconds !== undefined ? clockSkewSeconds * 1000 : undefined,
+        maxLatencyMs: candidateWindowHours ? candidateWindowHours * 60 * 60 * 1000 : undefined
+      });
+      const templates = await templateService.loadCompiledTemplates(businessId);
       const matchResults = await messageMatcher.batchMatchMessages(
         dbMessages,
-        allApiMessages
+        allApiMessages,
+        { profile, assignmentStrategy, timing, templates }
       );
       
-      // Step 6: Generate report
+      // Repeat sends first, so they are not also reported as orphans
+      messageMatcher.detectDuplicateDeliveries(matchResults, allApiMessages, {
+        windowMs: duplicateWindowMinutes !== undefined ? duplicateWindowMinutes * 60 * 1000 : undefined
+      });
+      
+      // Reverse check: API messages with no DB record
+      messageMatcher.detectOrphanApiMessages(matchResults, allApiMessages, {
+        directions: this.getDirectionsForRole(messageRole),
+        dateFrom,
+        dateTo
+      });
+      await completeStep('matching', {
+        matched: matchResults.statistics.matchedCount,
+        unmatched: matchResults.statistics.unmatchedCount,
+        duplicates: matchResults.statistics.duplicateStats.total,
+        orphans: matchResults.statistics.orphanCount
+      });
+      
+      // Step 6: Write outcomes back onto Messages
+      if (persistResults) {
+        await startStep('persist');
+        const persisted = await this.persistVerificationOutcomes(matchResults, runId);
+        await completeStep('persist', { messages: persisted });
+      } else {
+        await this.reportProgress(onProgress, 'persist', JOBS.STEP_STATUSES.SKIPPED);
+      }
+      
+      // Step 7: Generate report
+      await startStep('report');
       const report = this.generateVerificationReport(
         matchResults,
         includeDetails,
         dateFrom,
         dateTo,
-        numbersToVerify
+        numbersToVerify,
+        {
+          profile,
+          assignmentStrategy,
+          timing,
+          runId,
+          messageSource,
+          evidence: apiResponse.evidence,
+          apiCompleteness: apiResponse.completeness,
+          invalidPhoneNumbers: [...invalidPhoneNumbers, ...(apiResponse.invalidPhoneNumbers || [])]
+        }
       );
+      await completeStep('report');
       
-      return {
+      const recorded = await verificationRunService.recordRun({
+        runId,
+        jobId,
+        params,
+        status: RUNS.STATUSES.COMPLETED,
+        matchResults,
+        summary: report.summary,
+        analysis: report.analysis,
+        stepTimings,
+        startedAt
+      });
+      
+      await alertService.evaluateRun({
+        runId,
+        businessId,
+        summary: report.summary,
+        unmatchedByPhoneNumber: this.groupUnmatchedByPhoneNumber(matchResults.unmatched)
+      });
+      
+      const result = {
         success: true,
+        runId,
         report,
         errors: apiResponse.errors
       };
       
+      // Without stored details, exports read the entries from memory instead.
+      // Not enumerable, so JSON responses stay the same.
+      if (!recorded) {
+        Object.defineProperty(result, 'details', {
+          value: verificationRunService.streamResultDetails(matchResults)
+        });
+      }
+      
+      return result;
+      
     } catch (error) {
       logger.error('Verification service error:', error);
+      if (currentStep) {
+        await this.reportProgress(onProgress, currentStep, JOBS.STEP_STATUSES.FAILED, { error: error.message });
+      }
+      
+      await verificationRunService.recordRun({
+        runId,
+        jobId,
+        params,
+        status: RUNS.STATUSES.FAILED,
+        stepTimings,
+        error: error.message,
+        startedAt
+      });
       throw error;
     }
   }
   
+  /**
+   * Forward step progress to the caller without letting listener errors abort the run
+   */
+  async reportProgress(onProgress, step, status, details) {
+    if (!onProgress) return;
+    
+    try {
+      await onProgress(step, status, details);
+    } catch (error) {
+      logger.warn(`Failed to report progress for step ${step}:`, error.message);
+    }
+  }
+  
   /**
    * Get phone numbers based on input parameters
    * If no phone numbers provided, fetch all from conversations
+   * Numbers are canonicalised to E.164; ones that cannot be parsed are returned separately
+   * for the report, tagged with where they came from (request or conversation).
+   * A range only yields the numbers in it that have a conversation, plus a phoneNumberFilter
+   * that picks the range's numbers out of the WhatsApp chats.
+   * With a tenant scope, only numbers with a conversation inside it are kept, so the WhatsApp
+   * side of other tenants' conversations is never fetched.
+   * @returns {Object} { phoneNumbers, invalidPhoneNumbers: [{ phoneNumber, source, reason }], phoneNumberFilter }
    */
-  async getPhoneNumbers(phoneNumbers, phoneNumberRange, businessId, organizationId, dateFrom, dateTo) {
+  async getPhoneNumbers(phoneNumbers, phoneNumberRange, businessId, organizationId, dateFrom, dateTo, scope = null) {
     let numbers = [];
+    let source = 'request';
+    let phoneNumberFilter = null;
     
     if (phoneNumbers && phoneNumbers.length > 0) {
       numbers = phoneNumbers;
     } else if (phoneNumberRange) {
-      numbers = this.generatePhoneNumberRange(
-        phoneNumberRange.start,
-        phoneNumberRange.end
-      );
+      const { ranges, size, error } = parsePhoneNumberRanges(phoneNumberRange);
+      if (error) {
+        throw new Error(error);
+      }
+      
+      numbers = await this.findPhoneNumbersInRanges(ranges, businessId, organizationId, scope);
+      logger.info(`Found ${numbers.length} phone numbers with conversations in a range of ${size}`);
+      
+      if (!scope) {
+        phoneNumberFilter = (phoneNumber) => matchesPhoneNumberRanges(ranges, phoneNumber);
+      }
     } else if (businessId || organizationId) {
       // If no specific phone numbers provided, get all phone numbers from conversations
       numbers = await this.fetchPhoneNumbersFromConversations(businessId, organizationId, dateFrom, dateTo);
+      source = 'conversation';
+    }
+    
+    const { valid, invalid } = normalizePhoneNumbers(numbers);
+    const invalidPhoneNumbers = invalid.map(entry => ({ phoneNumber: entry.phoneNumber, source, reason: entry.reason }));
+    numbers = valid;
+    
+    if (invalidPhoneNumbers.length > 0) {
+      logger.warn(`${invalidPhoneNumbers.length} phone numbers from the ${source} cannot be parsed`);
+    }
+    
+    if (scope && numbers.length > 0) {
+      const stored = await Conversation.find(applyScope({ phone_number: { $in: this.toStoredPhoneNumbers(numbers) } }, scope))
+        .distinct('phone_number');
+      const inScope = new Set(stored.map(number => toE164(number)));
+      const total = numbers.length;
+      
+      numbers = numbers.filter(number => inScope.has(number));
+      if (numbers.length < total) {
+        logger.warn(`Dropped ${total - numbers.length} phone numbers outside the caller's scope`);
+      }
     }
     
-    return numbers;
+    return { phoneNumbers: numbers, invalidPhoneNumbers, phoneNumberFilter };
+  }
+  
+  /**
+   * API response with no messages, for runs with no phone numbers to fetch
+   */
+  emptyApiResponse() {
+    return {
+      messages: [],
+      errors: [],
+      completeness: { complete: true, truncatedWindows: [], failedWindows: [] },
+      invalidPhoneNumbers: []
+    };
+  }
+  
+  /**
+   * Every form the E.164 numbers may be stored in, for querying records saved before normalization
+   */
+  toStoredPhoneNumbers(numbers) {
+    return numbers.flatMap(number => phoneNumberVariants(number));
   }
   
   /**
@@ -161,20 +415,48 @@ class VerificationService {
   }
   
   /**
-   * Generate phone number range
+   * Find the numbers in phone number ranges that have a conversation
+   * The ranges are expanded a batch at a time and each batch looked up in every form a number
+   * may be stored in, so only numbers with conversations go on to be fetched.
+   * @param {Array} ranges - Ranges from parsePhoneNumberRanges
+   * @returns {Array<string>} Phone numbers as stored on the conversations
    */
-  generatePhoneNumberRange(start, end) {
-    const numbers = [];
-    const startNum = parseInt(start.replace(/\D/g, ''));
-    const endNum = parseInt(end.replace(/\D/g, ''));
-    
-    for (let i = startNum; i <= endNum; i++) {
-      // Preserve the format of the original number
-      const formattedNumber = start.replace(/\d+/, i.toString());
-      numbers.push(formattedNumber);
+  async findPhoneNumbersInRanges(ranges, businessId, organizationId, scope = null) {
+    const found = new Set();
+    let batch = [];
+    let batchSize = 0;
+    
+    const lookUp = async () => {
+      const query = { phone_number: { $in: batch } };
+      
+      if (businessId) {
+        query.business_id = businessId;
+      }
+      
+      if (organizationId) {
+        query.organization_id = organizationId;
+      }
+      
+      const stored = await Conversation.find(applyScope(query, scope)).distinct('phone_number');
+      stored.forEach(number => found.add(number));
+      batch = [];
+      batchSize = 0;
+    };
+    
+    for (const number of expandPhoneNumberRanges(ranges)) {
+      const e164 = toE164(number);
+      batch.push(number, ...(e164 ? phoneNumberVariants(e164) : []));
+      
+      if (++batchSize >= PHONE.RANGE_LOOKUP_BATCH_SIZE) {
+        await lookUp();
+      }
+    }
+    
+    if (batchSize > 0) {
+      await lookUp();
     }
     
-    return numbers;
+    return [...found];
   }
   
   /**
@@ -189,7 +471,7 @@ class VerificationService {
     };
     
     if (filters.phoneNumbers && filters.phoneNumbers.length > 0) {
-      query.phone_number = { $in: filters.phoneNumbers };
+      query.phone_number = { $in: this.toStoredPhoneNumbers(filters.phoneNumbers) };
     }
     
     if (filters.businessId) {
@@ -200,6 +482,10 @@ class VerificationService {
       query.organization_id = filters.organizationId;
     }
     
+    if (filters.skipVerified) {
+      query['verification.status'] = { $ne: VERIFICATION.STATUSES.VERIFIED };
+    }
+    
     if (filters.messageRole) {
       if (filters.messageRole === 'both') {
         query.role = { $in: ['user', 'assistant', 'system'] };
@@ -211,23 +497,146 @@ class VerificationService {
       query.role = { $in: ['user', 'assistant', 'system'] };
     }
     
-    const messages = await Messages.find(query)
+    const messages = await Messages.find(applyScope(query, filters.scope))
       .sort({ sent_date: 1 })
       .lean();
     
+    // Report every message under its canonical number, however it was stored
+    for (const message of messages) {
+      message.phone_number = toE164(message.phone_number) || message.phone_number;
+    }
+    
     logger.info(`Fetched ${messages.length} messages from database`);
     return messages;
   }
   
+  /**
+   * Fetch the WhatsApp side of messages already verified by an earlier run
+   * @param {Object} filters - dateFrom, dateTo, phoneNumbers, businessId, organizationId, scope
+   */
+  async fetchVerifiedDeliveries(filters) {
+    const query = {
+      'verification.status': VERIFICATION.STATUSES.VERIFIED,
+      sent_date: {
+        $gte: new Date(filters.dateFrom),
+        $lte: new Date(filters.dateTo)
+      }
+    };
+    
+    if (filters.phoneNumbers && filters.phoneNumbers.length > 0) {
+      query.phone_number = { $in: this.toStoredPhoneNumbers(filters.phoneNumbers) };
+    }
+    
+    if (filters.businessId) {
+      query.business_id = filters.businessId;
+    }
+    
+    if (filters.organizationId) {
+      query.organization_id = filters.organizationId;
+    }
+    
+    return Messages.find(applyScope(query, filters.scope))
+      .select('phone_number external_message_id verification.whatsapp_timestamp')
+      .lean();
+  }
+  
+  /**
+   * Drop API messages that an earlier run already matched to a DB message
+   * Matched by WhatsApp message id where known, otherwise by phone and timestamp.
+   */
+  excludeVerifiedDeliveries(apiMessages, verifiedDeliveries) {
+    const ids = new Set();
+    const deliveries = new Set();
+    
+    for (const message of verifiedDeliveries) {
+      if (message.external_message_id) {
+        ids.add(message.external_message_id);
+      }
+      if (message.verification?.whatsapp_timestamp) {
+        deliveries.add(`${toPhoneKey(message.phone_number)}:${new Date(message.verification.whatsapp_timestamp).getTime()}`);
+      }
+    }
+    
+    const remaining = apiMessages.filter(apiMsg => {
+      if (apiMsg.id && ids.has(apiMsg.id)) return false;
+      
+      const key = `${toPhoneKey(apiMsg.phoneNumber)}:${new Date(apiMsg.timestamp || apiMsg.sent_date).getTime()}`;
+      return !deliveries.has(key);
+    });
+    
+    logger.info(`Excluded ${apiMessages.length - remaining.length} API messages already verified`);
+    return remaining;
+  }
+  
+  /**
+   * Write each message's verification outcome back onto its Messages document
+   * @param {Object} matchResults - Results from messageMatcher
+   * @param {string} runId - ID of this verification run
+   * @returns {number} Number of documents updated
+   */
+  async persistVerificationOutcomes(matchResults, runId) {
+    const verifiedAt = new Date();
+    const operations = [];
+    
+    for (const match of matchResults.matched) {
+      const update = {
+        verification: {
+          status: match.verificationStatus,
+          confidence_score: match.confidenceScore,
+          whatsapp_timestamp: match.apiMessage.timestamp,
+          run_id: runId,
+          user_id: match.apiMessage.userId,
+          verified_at: verifiedAt
+        }
+      };
+      
+      if (match.apiMessage.id) {
+        update.external_message_id = match.apiMessage.id;
+      }
+      
+      operations.push({ updateOne: { filter: { _id: match.dbMessage.id }, update: { $set: update } } });
+    }
+    
+    for (const entry of matchResults.unmatched) {
+      operations.push({
+        updateOne: {
+          filter: { _id: entry.dbMessage.id },
+          update: {
+            $set: {
+              verification: {
+                status: VERIFICATION.STATUSES.UNMATCHED,
+                confidence_score: entry.bestMatchScore,
+                run_id: runId,
+                verified_at: verifiedAt
+              }
+            }
+          }
+        }
+      });
+    }
+    
+    let modified = 0;
+    for (let i = 0; i < operations.length; i += VERIFICATION.PERSIST_BATCH_SIZE) {
+      const result = await Messages.bulkWrite(operations.slice(i, i + VERIFICATION.PERSIST_BATCH_SIZE), { ordered: false });
+      modified += result.modifiedCount;
+    }
+    
+    logger.info(`Persisted verification outcomes for ${modified} messages (run ${runId})`);
+    return modified;
+  }
+  
   /**
    * Flatten API messages from multiple phone numbers
+   * Each message is tagged with its conversation's phone number for candidate indexing
    */
   flattenApiMessages(apiResponses) {
     const allMessages = [];
     
     for (const response of apiResponses) {
       if (response.success && response.messages) {
-        allMessages.push(...response.messages);
+        for (const message of response.messages) {
+          allMessages.push({ ...message, phoneNumber: response.phoneNumber });
+        }
       }
     }
     
@@ -236,8 +645,16 @@ class VerificationService {
   
   /**
    * Generate detailed verification report
+   * The report carries counts only; the entries themselves are stored with the run
+   * and served by GET /api/runs/:runId/details.
+   * @param {Object} matchSettings - Resolved profile, assignmentStrategy and timing used for matching, the runId,
+   *   the provider the API data came from (messageSource) and its completeness, and the chat export files
+   *   (evidence) when they stood in for the API, and the phone numbers that could not be parsed
    */
-  generateVerificationReport(matchResults, includeDetails, dateFrom, dateTo, phoneNumbers) {
+  generateVerificationReport(matchResults, includeDetails, dateFrom, dateTo, phoneNumbers, matchSettings = {}) {
+    const { profile, assignmentStrategy, runId, messageSource, evidence, apiCompleteness, invalidPhoneNumbers = [] } = matchSettings;
+    const timing = messageMatcher.resolveTiming(matchSettings.timing);
+    
     const report = {
       summary: {
         verificationPeriod: {
@@ -246,12 +663,27 @@ class VerificationService {
         },
         phoneNumbersVerified: phoneNumbers.length,
         phoneNumbers: phoneNumbers,
+        invalidPhoneNumbers,
+        messageSource: messageSource || null,
+        evidence: evidence || null,
+        apiDataComplete: apiCompleteness ? apiCompleteness.complete : null,
+        apiDataCompleteness: apiCompleteness || null,
         totalMessagesInDB: matchResults.statistics.totalDbMessages,
         totalMessagesInAPI: matchResults.statistics.totalApiMessages,
         matchedMessages: matchResults.statistics.matchedCount,
         unmatchedMessages: matchResults.statistics.unmatchedCount,
+        ambiguousMatches: matchResults.statistics.ambiguousCount,
+        contentNotIndependentMatches: matchResults.statistics.contentNotIndependentCount,
+        directionMismatches: matchResults.statistics.directionMismatchCount,
+        orphanApiMessages: matchResults.statistics.orphanCount,
+        duplicateDeliveries: matchResults.statistics.duplicateStats,
         matchRate: ((matchResults.statistics.matchedCount / matchResults.statistics.totalDbMessages) * 100).toFixed(2) + '%',
         averageConfidence: matchResults.statistics.averageConfidence,
+        matchingProfile: profile,
+        assignmentStrategy,
+        candidateWindowHours: timing.maxLatencyMs / (60 * 60 * 1000),
+        clockSkewSeconds: timing.clockSkewMs / 1000,
+        timingStats: matchResults.statistics.timingStats,
         firstMessageStats: {
           total: matchResults.statistics.firstMessageStats.total,
           matched: matchResults.statistics.firstMessageStats.matched,
@@ -259,21 +691,29 @@ class VerificationService {
           unmatchedRate: matchResults.statistics.firstMessageStats.total > 0
             ? ((matchResults.statistics.firstMessageStats.unmatched / matchResults.statistics.firstMessageStats.total) * 100).toFixed(2) + '%'
             : '0%'
-        }
-      }
+        },
+        templateStats: matchResults.statistics.templateStats,
+        textStats: this.withDeliveryRate(matchResults.statistics.textStats),
+        mediaStats: this.withDeliveryRate(matchResults.statistics.mediaStats)
+      },
+      orphanApiMessages: this.groupOrphanApiMessages(matchResults.orphanApiMessages)
     };
     
     if (includeDetails) {
       report.details = {
-        matchedMessages: matchResults.matched,
-        unmatchedMessages: matchResults.unmatched
+        matchedMessages: matchResults.matched.length,
+        unmatchedMessages: matchResults.unmatched.length,
+        duplicateDeliveries: matchResults.duplicates.length,
+        orphanApiMessages: matchResults.orphanApiMessages.length,
+        url: `/api/runs/${runId}/details`
       };
       
-      // Group unmatched messages by type
+      // Count unmatched messages by type, phone number and date
       report.analysis = {
         unmatchedByType: this.groupUnmatchedByType(matchResults.unmatched),
         unmatchedByPhoneNumber: this.groupUnmatchedByPhoneNumber(matchResults.unmatched),
-        unmatchedByDate: this.groupUnmatchedByDate(matchResults.unmatched)
+        unmatchedByDate: this.groupUnmatchedByDate(matchResults.unmatched),
+        directionMismatches: matchResults.statistics.directionMismatchCount
       };
     }
     
@@ -281,7 +721,57 @@ class VerificationService {
   }
   
   /**
-   * Group unmatched messages by type
+   * Message directions covered by a messageRole filter on the DB fetch
+   */
+  getDirectionsForRole(messageRole) {
+    if (!messageRole || messageRole === 'both') {
+      return [DIRECTIONS.INBOUND, DIRECTIONS.OUTBOUND];
+    }
+    
+    return messageRole === MESSAGE_ROLES.USER ? [DIRECTIONS.INBOUND] : [DIRECTIONS.OUTBOUND];
+  }
+  
+  /**
+   * Count orphan API messages by direction, phone number, userId and role
+   */
+  groupOrphanApiMessages(orphans) {
+    const group = (keyOf) => {
+      const grouped = {};
+      
+      for (const orphan of orphans) {
+        const key = keyOf(orphan) || 'unknown';
+        if (!grouped[key]) {
+          grouped[key] = { count: 0 };
+        }
+        grouped[key].count++;
+      }
+      
+      return grouped;
+    };
+    
+    return {
+      total: orphans.length,
+      byDirection: group(orphan => orphan.apiMessage.direction),
+      byPhoneNumber: group(orphan => orphan.phoneNumber),
+      byUserId: group(orphan => orphan.userId),
+      byRole: group(orphan => orphan.role)
+    };
+  }
+  
+  /**
+   * Add a delivery rate to total/matched/unmatched counters
+   */
+  withDeliveryRate(stats) {
+    return {
+      ...stats,
+      deliveryRate: stats.total > 0
+        ? ((stats.matched / stats.total) * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+  
+  /**
+   * Count unmatched messages by type
    */
   groupUnmatchedByType(unmatchedMessages) {
     const grouped = {};
@@ -290,19 +780,17 @@ class VerificationService {
       const type = msg.dbMessage.type || 'unknown';
       if (!grouped[type]) {
         grouped[type] = {
-          count: 0,
-          messages: []
+          count: 0
         };
       }
       grouped[type].count++;
-      grouped[type].messages.push(msg);
     }
     
     return grouped;
   }
   
   /**
-   * Group unmatched messages by phone number
+   * Count unmatched messages by phone number
    */
   groupUnmatchedByPhoneNumber(unmatchedMessages) {
     const grouped = {};
@@ -311,19 +799,17 @@ class VerificationService {
       const phoneNumber = msg.dbMessage.phoneNumber;
       if (!grouped[phoneNumber]) {
         grouped[phoneNumber] = {
-          count: 0,
-          messages: []
+          count: 0
         };
       }
       grouped[phoneNumber].count++;
-      grouped[phoneNumber].messages.push(msg);
     }
     
     return grouped;
   }
   
   /**
-   * Group unmatched messages by date
+   * Count unmatched messages by date
    */
   groupUnmatchedByDate(unmatchedMessages) {
     const grouped = {};
@@ -332,12 +818,10 @@ class VerificationService {
       const date = new Date(msg.dbMessage.sentDate).toISOString().split('T')[0];
       if (!grouped[date]) {
         grouped[date] = {
-          count: 0,
-          messages: []
+          count: 0
         };
       }
       grouped[date].count++;
-      grouped[date].messages.push(msg);
     }
     
     return grouped;
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { ALERTS } = require('../config/constants');
+const { logger } = require('../config/database');
+const { findPrivateAddress, lookupPublicAddress } = require('../utils/privateAddress');
+
+class WebhookService {
+  constructor() {
+    this.httpClient = axios.create({
+      timeout: ALERTS.REQUEST_TIMEOUT,
+      // Every response is recorded; only 2xx counts as delivered
+      validateStatus: () => true,
+      // A redirect could lead anywhere, including addresses the URL check refused
+      maxRedirects: 0,
+      lookup: lookupPublicAddress
+    });
+
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * List a business's webhook endpoints, without their secrets
+   * @param {string} businessId - Business ID
+   */
+  async listWebhooks(businessId) {
+    return WebhookEndpoint.find({ business_id: businessId })
+      .sort({ created_at: 1 })
+      .lean();
+  }
+
+  /**
+   * Get a webhook endpoint by ID, without its secret
+   * @param {string} webhookId - Webhook ID
+   */
+  async getWebhook(webhookId) {
+    return WebhookEndpoint.findById(webhookId).lean();
+  }
+
+  /**
+   * Register a webhook endpoint; a signing secret is generated unless one is given
+   * @param {Object} data - Endpoint fields
+   * @returns {Object} The endpoint including its secret
+   */
+  async createWebhook(data) {
+    const webhook = await WebhookEndpoint.create({
+      ...data,
+      secret: data.secret || crypto.randomBytes(32).toString('hex')
+    });
+
+    return webhook.toObject();
+  }
+
+  /**
+   * Update a webhook endpoint
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} data - Fields to update
+   */
+  async updateWebhook(webhookId, data) {
+    const webhook = await WebhookEndpoint.findById(webhookId);
+    if (!webhook) return null;
+
+    webhook.set(data);
+    await webhook.save();
+
+    const { secret, ...fields } = webhook.toObject();
+    return fields;
+  }
+
+  /**
+   * Delete a webhook endpoint; its pending deliveries fail on their next attempt
+   * @param {string} webhookId - Webhook ID
+   */
+  async deleteWebhook(webhookId) {
+    return WebhookEndpoint.findByIdAndDelete(webhookId).lean();
+  }
+
+  /**
+   * Queue a payload for every active endpoint of a business and start delivering
+   * @param {string} businessId - Business ID
+   * @param {string} runId - Run the payload is about
+   * @param {Object} payload - JSON payload; deliveryId is added per endpoint
+   * @returns {number} Number of deliveries queued
+   */
+  async enqueue(businessId, runId, payload) {
+    const webhooks = await WebhookEndpoint.find({ business_id: businessId, is_active: true }).lean();
+    if (webhooks.length === 0) return 0;
+
+    const now = new Date();
+    const deliveries = webhooks.map(webhook => {
+      const _id = new mongoose.Types.ObjectId();
+
+      return {
+        _id,
+        webhook_id: webhook._id,
+        business_id: businessId,
+        run_id: runId,
+        event: payload.event,
+        payload: JSON.stringify({ ...payload, deliveryId: _id }),
+        next_attempt_at: now
+      };
+    });
+
+    await WebhookDelivery.insertMany(deliveries);
+    logger.info(`Queued ${deliveries.length} webhook deliveries for run ${runId}`);
+
+    setImmediate(() => this.processDueDeliveries());
+
+    return deliveries.length;
+  }
+
+  /**
+   * HMAC-SHA256 signature of `${timestamp}.${body}`, hex encoded
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Start retrying due deliveries in the background
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDueDeliveries(), ALERTS.RETRY_POLL_INTERVAL);
+    this.timer.unref();
+    this.processDueDeliveries();
+  }
+
+  /**
+   * Stop retrying; pending deliveries are picked up again on the next start
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Attempt every pending delivery that is due, one at a time
+   * Each is claimed atomically first, so several instances never send the same attempt.
+   */
+  async processDueDeliveries() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let delivery;
+
+      while ((delivery = await this.claimDueDelivery())) {
+        await this.attemptDelivery(delivery);
+      }
+    } catch (error) {
+      logger.error('Webhook delivery processing failed:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Claim the next due delivery by pushing its next attempt past the claim timeout
+   */
+  async claimDueDelivery() {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      { status: ALERTS.DELIVERY_STATUSES.PENDING, next_attempt_at: { $lte: now } },
+      { $set: { next_attempt_at: new Date(now.getTime() + ALERTS.CLAIM_TIMEOUT) } },
+      { sort: { next_attempt_at: 1 }, new: true }
+    ).lean();
+  }
+
+  /**
+   * POST a delivery's payload to its endpoint and record the outcome
+   * @param {Object} delivery - Claimed delivery document
+   */
+  async attemptDelivery(delivery) {
+    const webhook = await WebhookEndpoint.findById(delivery.webhook_id).select('+secret').lean();
+
+    if (!webhook || !webhook.is_active) {
+      return this.recordAttempt(delivery, { error: 'Webhook endpoint deleted or disabled', final: true });
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      // IP literals never reach the client's lookup, so the URL is checked here too
+      const privateAddress = await findPrivateAddress(webhook.url);
+      if (privateAddress) {
+        return this.recordAttempt(delivery, {
+          error: `Webhook URL points to private address ${privateAddress}`,
+          final: true
+        });
+      }
+
+      const response = await this.httpClient.post(webhook.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          [ALERTS.SIGNATURE_HEADER]: `sha256=${this.sign(webhook.secret, timestamp, delivery.payload)}`,
+          [ALERTS.TIMESTAMP_HEADER]: String(timestamp),
+          [ALERTS.DELIVERY_HEADER]: String(delivery._id)
+        }
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return this.recordAttempt(delivery, { responseStatus: response.status, delivered: true });
+      }
+
+      await this.recordAttempt(delivery, {
+        responseStatus: response.status,
+        error: `Endpoint responded with ${response.status}`
+      });
+    } catch (error) {
+      await this.recordAttempt(delivery, { error: error.message });
+    }
+  }
+
+  /**
+   * Record one attempt; failed attempts are retried with exponential backoff until MAX_ATTEMPTS
+   */
+  async recordAttempt(delivery, { responseStatus = null, error, delivered = false, final = false }) {
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+    const update = {
+      attempts,
+      last_attempt_at: now,
+      last_response_status: responseStatus,
+      last_error: error || null
+    };
+
+    if (delivered) {
+      update.status = ALERTS.DELIVERY_STATUSES.DELIVERED;
+      update.delivered_at = now;
+      update.next_attempt_at = null;
+    } else if (final || attempts >= ALERTS.MAX_ATTEMPTS) {
+      update.status = ALERTS.DELIVERY_STATUSES.FAILED;
+      update.next_attempt_at = null;
+      logger.warn(`Webhook delivery ${delivery._id} failed after ${attempts} attempts: ${error}`);
+    } else {
+      update.next_attempt_at = new Date(now.getTime() + this.getRetryDelay(attempts));
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+  }
+
+  /**
+   * Delay before the next attempt after a number of failed ones: base * 2^(attempts - 1), capped
+   */
+  getRetryDelay(attempts) {
+    return Math.min(ALERTS.RETRY_BASE_DELAY * 2 ** (attempts - 1), ALERTS.MAX_RETRY_DELAY);
+  }
+
+  /**
+   * List deliveries, newest first, without payloads
+   * @param {Object} filters - businessId, optional webhookId, runId, status and limit
+   */
+  async listDeliveries(filters = {}) {
+    const query = { business_id: filters.businessId };
+
+    if (filters.webhookId) {
+      query.webhook_id = filters.webhookId;
+    }
+
+    if (filters.runId) {
+      query.run_id = filters.runId;
+    }
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const limit = Math.min(
+      parseInt(filters.limit) || ALERTS.DEFAULT_LIST_LIMIT,
+      ALERTS.MAX_LIST_LIMIT
+    );
+
+    return WebhookDelivery.find(query)
+      .select('-payload')
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Get a delivery with its payload
+   * @param {string} deliveryId - Delivery ID
+   */
+  async getDelivery(deliveryId) {
+    const delivery = await WebhookDelivery.findById(deliveryId).lean();
+    if (!delivery) return null;
+
+    return { ...delivery, payload: JSON.parse(delivery.payload) };
+  }
+}
+
+module.exports = new WebhookService();
\ No newline at end of file
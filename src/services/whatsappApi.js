@@ -1,152 +1,197 @@
-const axios = require('axios');
 const { WHATSAPP_API } = require('../config/constants');
 const { logger } = require('../config/database');
-
+const cacheService = require('./cacheService');
+const providerService = require('./providerService');
+const { normalizePhoneNumber, toE164 } = require('../utils/phoneNumber');
+const { RequestScheduler } = require('../utils/requestScheduler');
+
+/**
+ * Fetches WhatsApp messages through a message source provider (see providerService),
+ * with caching, concurrency limits, retries and windowing that work the same for every provider
+ */
 class WhatsAppAPIService {
   constructor() {
-    this.apiClient = axios.create({
-      baseURL: WHATSAPP_API.BASE_URL,
-      headers: {
-        'Authorization': process.env.WHATSAPP_BEARER_TOKEN,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
+    // Shared by every run so the concurrency limits and circuit breakers hold across them
+    this.scheduler = new RequestScheduler({
+      concurrency: WHATSAPP_API.MAX_CONCURRENCY,
+      perKeyConcurrency: WHATSAPP_API.MAX_CONCURRENCY_PER_USER,
+      maxRetries: WHATSAPP_API.MAX_RETRIES,
+      baseDelay: WHATSAPP_API.RETRY_BASE_DELAY,
+      maxDelay: WHATSAPP_API.MAX_RETRY_DELAY,
+      maxRetryAfter: WHATSAPP_API.MAX_RETRY_AFTER,
+      failureThreshold: WHATSAPP_API.CIRCUIT_FAILURE_THRESHOLD,
+      resetTimeout: WHATSAPP_API.CIRCUIT_RESET_TIMEOUT
     });
-
-    this.cache = new Map();
-    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
   }
 
   /**
-   * Fetch WhatsApp messages from the API with progressive limit handling
+   * Fetch every conversation a user had in a date range
+   * The range is fetched in one request. A provider with a page limit may leave conversations
+   * out of a full response, so that window is split in half and both halves are fetched instead,
+   * down to MIN_FETCH_WINDOW; a window still full at that size is kept and reported as truncated.
+   * At most MAX_FETCH_WINDOWS windows are requested; once a split would exceed that, the full
+   * window is kept and reported as truncated too.
+   * Conversations that span windows are merged.
+   * @param {Object} provider - Message source provider
    * @param {string} userId - User ID for the API endpoint
    * @param {Date} fromDate - Start date for messages
    * @param {Date} toDate - End date for messages
-   * @param {number} initialLimit - Initial number of messages to fetch
+   * @param {Map} stats - Optional per-user request counters (see RequestScheduler.getStats)
+   * @returns {Object} { conversations, truncatedWindows, failedWindows }
    */
-  async fetchWhatsAppMessages(userId, fromDate, toDate, initialLimit = 50) {
-    try {
-      let allMessages = [];
-      let currentLimit = initialLimit;
-
-      // Try progressively larger limits to get all messages
-      for (const limit of WHATSAPP_API.PAGINATION_LIMITS) {
-        if (limit < currentLimit) continue;
-
-        const cacheKey = `${userId}_${fromDate.getTime()}_${toDate.getTime()}_${limit}`;
-
-        // Check cache
-        if (this.cache.has(cacheKey)) {
-          const cached = this.cache.get(cacheKey);
-          if (Date.now() - cached.timestamp < this.cacheExpiry) {
-            logger.info(`Returning cached WhatsApp messages (limit: ${limit})`);
-            return cached.data;
-          }
-          this.cache.delete(cacheKey);
+  async fetchWhatsAppMessages(provider, userId, fromDate, toDate, stats = null) {
+    const pages = [];
+    const truncatedWindows = [];
+    const failedWindows = [];
+    let windowCount = 0;
+
+    const fetchWindow = async (from, to) => {
+      let conversations;
+      windowCount++;
+
+      try {
+        conversations = await this.fetchConversationsWindow(provider, userId, from, to, stats);
+      } catch (error) {
+        logger.warn(`Failed to fetch conversations for user ${userId} from ${from.toISOString()} to ${to.toISOString()}:`, error.message);
+        failedWindows.push({ from, to, error: error.message });
+        return;
+      }
+
+      if (provider.pageLimit && conversations.length >= provider.pageLimit) {
+        const splittable = to - from > WHATSAPP_API.MIN_FETCH_WINDOW;
+
+        // Siblings count themselves before their first await, so windowCount covers every window started
+        if (splittable && windowCount + 2 <= WHATSAPP_API.MAX_FETCH_WINDOWS) {
+          const middle = new Date(from.getTime() + Math.floor((to - from) / 2));
+          await Promise.all([fetchWindow(from, middle), fetchWindow(middle, to)]);
+          return;
         }
 
-        const endpoint = WHATSAPP_API.ENDPOINTS.RECENT_CHATS.replace(':userId', userId);
-
-        try {
-          const response = await this.apiClient.get(endpoint, {
-            params: {
-              simplify: true,
-              includeMessages: true,
-              limit,
-              fromDate: fromDate.toISOString(),
-              toDate: toDate.toISOString()
-            }
-          });
+        if (splittable) {
+          logger.warn(`User ${userId} has at least ${conversations.length} conversations from ${from.toISOString()} to ${to.toISOString()}, but the limit of ${WHATSAPP_API.MAX_FETCH_WINDOWS} windows was reached`);
+        } else {
+          logger.warn(`User ${userId} has at least ${conversations.length} conversations from ${from.toISOString()} to ${to.toISOString()}, which cannot be split further`);
+        }
+        truncatedWindows.push({
+          from,
+          to,
+          conversations: conversations.length,
+          reason: splittable ? 'window_limit' : 'min_window'
+        });
+      }
 
-          allMessages = response.data || [];
+      pages.push({ from, conversations });
+    };
 
-          // Cache the response
-          this.cache.set(cacheKey, {
-            data: allMessages,
-            timestamp: Date.now()
-          });
+    await fetchWindow(fromDate, toDate);
 
-          logger.info(`Fetched ${allMessages.length} conversations with limit ${limit} for user ${userId}`);
+    // Merge in window order so the result does not depend on which response came first
+    pages.sort((a, b) => a.from - b.from);
+    const merged = new Map();
 
-          // If we got fewer messages than the limit, we have all messages
-          if (allMessages.length < limit) {
-            break;
-          }
+    for (const page of pages) {
+      this.mergeConversations(merged, page.conversations);
+    }
 
-          // If we're at max limit and still getting full results, log a warning
-          if (limit === WHATSAPP_API.MAX_LIMIT && allMessages.length === limit) {
-            logger.warn(`Reached maximum limit (${limit}), there might be more messages`);
-          }
+    logger.info(`Fetched ${merged.size} conversations in ${pages.length} windows for user ${userId}`);
+    return { conversations: [...merged.values()], truncatedWindows, failedWindows };
+  }
 
-          currentLimit = limit;
+  /**
+   * Fetch one window of a user's conversations
+   * @param {Object} provider - Message source provider
+   * @param {string} userId - User ID for the API endpoint
+   * @param {Date} fromDate - Window start
+   * @param {Date} toDate - Window end
+   * @param {Map} stats - Optional per-user request counters
+   * @returns {Array} Conversations with their messages
+   */
+  async fetchConversationsWindow(provider, userId, fromDate, toDate, stats = null) {
+    const cacheKey = `${provider.name}:recent:${userId}:${fromDate.getTime()}:${toDate.getTime()}`;
+
+    // Check cache
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      logger.info(`Returning cached WhatsApp messages for user ${userId}`);
+      return cached;
+    }
 
-        } catch (error) {
-          logger.warn(`Failed to fetch with limit ${limit}, trying next limit`, error.message);
-          continue;
-        }
-      }
+    const conversations = await this.scheduler.run(userId, () => provider.fetchConversations(userId, fromDate, toDate), stats);
 
-      return allMessages;
+    // Cache the response
+    await cacheService.set(cacheKey, conversations, {
+      userId,
+      phoneNumbers: conversations.map(conversation => toE164(conversation.phoneNumber) || conversation.phoneNumber)
+    });
 
-    } catch (error) {
-      logger.error('Error fetching WhatsApp messages:', error.message);
-      if (error.response) {
-        logger.error('API Response Error:', {
-          status: error.response.status,
-          data: error.response.data
-        });
+    return conversations;
+  }
+
+  /**
+   * Add conversations to a map keyed by phone number, merging the messages of
+   * conversations seen in more than one window without repeating any
+   * @param {Map} merged - Conversations so far
+   * @param {Array} conversations - Conversations from one window
+   */
+  mergeConversations(merged, conversations) {
+    for (const conversation of conversations) {
+      const existing = merged.get(conversation.phoneNumber);
+
+      if (!existing) {
+        merged.set(conversation.phoneNumber, { ...conversation, messages: [...conversation.messages] });
+        continue;
+      }
+
+      const seen = new Set(existing.messages.map(msg => this.getMessageKey(msg)));
+      for (const msg of conversation.messages) {
+        const key = this.getMessageKey(msg);
+        if (!seen.has(key)) {
+          seen.add(key);
+          existing.messages.push(msg);
+        }
       }
-      throw error;
     }
   }
 
+  /**
+   * Identity of a message; falls back to time, sender and body for messages without an ID
+   */
+  getMessageKey(msg) {
+    return msg.id || `${new Date(msg.timestamp).getTime()}_${msg.from}_${msg.body}`;
+  }
+
   /**
    * Fetch messages for a specific phone number, trying all userIds until messages found
+   * @param {Object} provider - Message source provider
    * @param {Array<string>} userIds - User IDs to try
    * @param {string} phoneNumber - Phone number to fetch messages for
    * @param {Date} fromDate - Start date for messages
    * @param {Date} toDate - End date for messages
+   * @param {Map} stats - Optional per-user request counters (see RequestScheduler.getStats)
    */
-  async fetchMessagesByPhoneNumber(userIds, phoneNumber, fromDate, toDate) {
+  async fetchMessagesByPhoneNumber(provider, userIds, phoneNumber, fromDate, toDate, stats = null) {
     for (const userId of userIds) {
       try {
-        const cacheKey = `${userId}_${phoneNumber}_${fromDate.getTime()}_${toDate.getTime()}`;
-
-        // Check cache
-        if (this.cache.has(cacheKey)) {
-          const cached = this.cache.get(cacheKey);
-          if (Date.now() - cached.timestamp < this.cacheExpiry) {
-            if (cached.data && cached.data.messages && cached.data.messages.length > 0) {
-              logger.info(`Returning cached messages for phone ${phoneNumber} from user ${userId}`);
-              return { data: cached.data, userId };
-            }
-          }
-          this.cache.delete(cacheKey);
-        }
+        const cacheKey = `${provider.name}:phone:${userId}:${phoneNumber}:${fromDate.getTime()}:${toDate.getTime()}`;
 
-        const endpoint = WHATSAPP_API.ENDPOINTS.CHATS_BY_PHONE.replace(':userId', userId);
-
-        const response = await this.apiClient.get(endpoint, {
-          params: {
-            phoneNumber: phoneNumber,
-            simplify: true,
-            includeMessages: true,
-            fromDate: fromDate.toISOString(),
-            toDate: toDate.toISOString()
-          }
-        });
+        // Check cache; only lookups that found messages are cached
+        const cached = await cacheService.get(cacheKey);
+        if (cached && cached.messages && cached.messages.length > 0) {
+          logger.info(`Returning cached messages for phone ${phoneNumber} from user ${userId}`);
+          return { data: cached, userId };
+        }
 
-        // Cache the response
-        this.cache.set(cacheKey, {
-          data: response.data,
-          timestamp: Date.now()
-        });
+        const conversation = await this.scheduler.run(
+          userId,
+          () => provider.fetchConversationByPhone(userId, phoneNumber, fromDate, toDate),
+          stats
+        );
 
-        console.log(response.data);
         // Check if messages array is not empty
-        if (response.data && response.data.messages && response.data.messages.length > 0) {
+        if (conversation && conversation.messages.length > 0) {
+          await cacheService.set(cacheKey, conversation, { userId, phoneNumbers: [phoneNumber] });
           logger.info(`Found messages for phone ${phoneNumber} via user ${userId}`);
-          return { data: response.data, userId };
+          return { data: conversation, userId };
         } else {
           logger.info(`No messages found for phone ${phoneNumber} via user ${userId}, trying next user`);
         }
@@ -163,14 +208,26 @@ class WhatsAppAPIService {
 
   /**
    * Fetch messages for multiple phone numbers and users
+   * Users' recent chats, and the phone-specific lookups for numbers missing from them,
+   * are fetched concurrently within the scheduler's limits. Each user with retried,
+   * failed or circuit-broken requests gets an entry with its counts in errors.
+   * completeness.complete is false if any window was truncated or any request failed.
+   * Phone numbers are compared, and messages returned, in E.164 however the provider writes them;
+   * conversations whose number cannot be parsed are listed in invalidPhoneNumbers.
    * @param {Array<string>} phoneNumbers - Array of phone numbers
    * @param {Array<string>} userIds - Array of user IDs to fetch messages for
    * @param {Date} fromDate - Start date
    * @param {Date} toDate - End date
+   * @param {Object} options - provider to fetch through (the default provider if omitted), and
+   *   phoneNumberFilter, a predicate on E.164 numbers whose recent chats are included as well as phoneNumbers'
    */
-  async fetchMessagesForPhoneNumbers(phoneNumbers, userIds, fromDate, toDate) {
+  async fetchMessagesForPhoneNumbers(phoneNumbers, userIds, fromDate, toDate, options = {}) {
+    const provider = options.provider || providerService.getDefaultProvider();
+    const requestedNumbers = [...new Set(phoneNumbers.map(phone => toE164(phone) || phone))];
+    const { phoneNumberFilter } = options;
     const allMessages = [];
     const errors = [];
+    const invalidPhoneNumbers = [];
 
     // If no userIds provided, return error
     if (!userIds || userIds.length === 0) {
@@ -178,55 +235,23 @@ class WhatsAppAPIService {
         error: 'No user IDs provided',
         success: false
       });
-      return { messages: allMessages, errors };
+      return {
+        messages: allMessages,
+        errors,
+        completeness: { complete: false, truncatedWindows: [], failedWindows: [] },
+        invalidPhoneNumbers
+      };
     }
 
     // Create a set to track which phone numbers we've found
     const foundPhoneNumbers = new Set();
+    const stats = new Map();
 
-    // Fetch messages for each user ID
-    for (const userId of userIds) {
+    // Fetch messages for every user ID at once; failures are counted in stats
+    const apiResponses = await Promise.all(userIds.map(async (userId) => {
       try {
         logger.info(`Fetching messages for user: ${userId}`);
-        const apiResponse = await this.fetchWhatsAppMessages(userId, fromDate, toDate, 50);
-
-        // Process the API response based on the sample format
-        // Response is an array of conversations with messages
-        for (const conversation of apiResponse) {
-          const phoneNumber = conversation.to || conversation.id?.replace('@c.us', '');
-
-          // Check if this phone number is in our list (or include all if no specific numbers provided)
-          if (phoneNumbers.length === 0 || phoneNumbers.includes(phoneNumber)) {
-            foundPhoneNumbers.add(phoneNumber);
-
-            // Transform messages to a consistent format
-            const transformedMessages = conversation.messages?.map(msg => ({
-              body: msg.body,
-              message: msg.body,
-              timestamp: new Date(msg.timestamp * 1000), // Convert Unix timestamp to Date
-              role: msg.role,
-              from: msg.from,
-              to: msg.to,
-              type: msg.type,
-              hasMedia: msg.hasMedia,
-              userId: userId // Include userId in the message for tracking
-            })) || [];
-
-            // Check if we already have messages for this phone number
-            const existingEntry = allMessages.find(m => m.phoneNumber === phoneNumber);
-            if (existingEntry) {
-              // Merge messages from different users
-              existingEntry.messages.push(...transformedMessages);
-            } else {
-              allMessages.push({
-                phoneNumber,
-                messages: transformedMessages,
-                success: true
-              });
-            }
-          }
-        }
-
+        return await this.fetchWhatsAppMessages(provider, userId, fromDate, toDate, stats);
       } catch (error) {
         logger.error(`Error fetching messages for user ${userId}:`, error);
         errors.push({
@@ -234,33 +259,66 @@ class WhatsAppAPIService {
           error: error.message,
           success: false
         });
+        return { conversations: [], truncatedWindows: [], failedWindows: [] };
       }
-    }
+    }));
+
+    // Merge in userId order so the result does not depend on which response came first
+    userIds.forEach((userId, index) => {
+      const apiResponse = apiResponses[index];
+
+      for (const conversation of apiResponse.conversations) {
+        const { e164: phoneNumber, error } = normalizePhoneNumber(conversation.phoneNumber);
+
+        if (error) {
+          invalidPhoneNumbers.push({ phoneNumber: conversation.phoneNumber, source: 'api', userId, reason: error });
+          continue;
+        }
+
+        // Check if this phone number is in our list or filter (or include all if neither is given)
+        const requested = phoneNumberFilter
+          ? requestedNumbers.includes(phoneNumber) || phoneNumberFilter(phoneNumber)
+          : requestedNumbers.length === 0 || requestedNumbers.includes(phoneNumber);
+
+        if (requested) {
+          foundPhoneNumbers.add(phoneNumber);
+
+          const transformedMessages = this.toApiMessages(conversation.messages, userId);
+
+          // Check if we already have messages for this phone number
+          const existingEntry = allMessages.find(m => m.phoneNumber === phoneNumber);
+          if (existingEntry) {
+            // Merge messages from different users
+            existingEntry.messages.push(...transformedMessages);
+          } else {
+            allMessages.push({
+              phoneNumber,
+              messages: transformedMessages,
+              success: true
+            });
+          }
+        }
+      }
+    });
 
     // After processing all users, try phone-specific endpoint for missing numbers
-    if (phoneNumbers.length > 0) {
-      const missingPhoneNumbers = phoneNumbers.filter(phone => !foundPhoneNumbers.has(phone));
+    if (requestedNumbers.length > 0) {
+      const missingPhoneNumbers = requestedNumbers.filter(phone => !foundPhoneNumbers.has(phone));
 
-      for (const phoneNumber of missingPhoneNumbers) {
+      // Look up the missing numbers at once; each still tries the users in order
+      const phoneResponses = await Promise.all(missingPhoneNumbers.map(phoneNumber => {
         logger.info(`Phone ${phoneNumber} not found in recent chats, trying phone-specific endpoint with all users`);
+        return this.fetchMessagesByPhoneNumber(provider, userIds, phoneNumber, fromDate, toDate, stats);
+      }));
 
-        const phoneResponse = await this.fetchMessagesByPhoneNumber(userIds, phoneNumber, fromDate, toDate);
+      missingPhoneNumbers.forEach((phoneNumber, index) => {
+        const phoneResponse = phoneResponses[index];
 
         if (phoneResponse) {
           foundPhoneNumbers.add(phoneNumber);
 
-          // Transform the response (single conversation object)
-          const transformedMessages = phoneResponse.data.messages?.map(msg => ({
-            body: msg.body,
-            message: msg.body,
-            timestamp: msg.timestamp ? new Date(msg.timestamp * 1000) : new Date(),
-            role: msg.role,
-            from: msg.from,
-            to: msg.to,
-            type: msg.type,
-            hasMedia: msg.hasMedia,
-            userId: phoneResponse.userId // Use the userId that had the messages
-          })) || [];
+          // Use the userId that had the messages
+          const transformedMessages = this.toApiMessages(phoneResponse.data.messages, phoneResponse.userId);
 
           // Check if we already have messages for this phone number
           const existingEntry = allMessages.find(m => m.phoneNumber === phoneNumber);
@@ -282,18 +340,70 @@ class WhatsAppAPIService {
             success: true
           });
         }
-      }
+      });
+    }
+
+    errors.push(...this.summarizeRequestStats(stats));
+
+    const truncatedWindows = apiResponses.flatMap((response, index) =>
+      response.truncatedWindows.map(window => ({ userId: userIds[index], ...window })));
+    const failedWindows = apiResponses.flatMap((response, index) =>
+      response.failedWindows.map(window => ({ userId: userIds[index], ...window })));
+
+    const completeness = {
+      complete: truncatedWindows.length === 0 && errors.every(error => error.success),
+      truncatedWindows,
+      failedWindows
+    };
+
+    if (!completeness.complete) {
+      logger.warn(`WhatsApp API data is incomplete: ${truncatedWindows.length} truncated and ${failedWindows.length} failed windows`);
+    }
+
+    if (invalidPhoneNumbers.length > 0) {
+      logger.warn(`Skipped ${invalidPhoneNumbers.length} WhatsApp conversations whose phone number cannot be parsed`);
     }
 
-    return { messages: allMessages, errors };
+    return { messages: allMessages, errors, completeness, invalidPhoneNumbers };
+  }
+
+  /**
+   * Shape provider messages for matching, tagged with the userId they were fetched through
+   * Timestamps are rebuilt as Dates since cached messages may come back from JSON.
+   */
+  toApiMessages(messages, userId) {
+    return messages.map(msg => ({
+      ...msg,
+      message: msg.body,
+      timestamp: new Date(msg.timestamp),
+      userId // Include userId in the message for tracking
+    }));
   }
 
   /**
-   * Clear API cache
+   * Error entries for the users whose requests were retried, failed or rejected by their circuit breaker
+   * @param {Map} stats - Per-user request counters
    */
-  clearCache() {
-    this.cache.clear();
-    logger.info('WhatsApp API cache cleared');
+  summarizeRequestStats(stats) {
+    const errors = [];
+
+    for (const [userId, counts] of stats) {
+      if (counts.retries === 0 && counts.failures === 0 && counts.circuitRejected === 0) continue;
+
+      errors.push({
+        userId,
+        error: counts.lastError,
+        success: counts.failures === 0 && counts.circuitRejected === 0,
+        requests: counts.requests,
+        retries: counts.retries,
+        failures: counts.failures,
+        rateLimited: counts.rateLimited,
+        circuitRejected: counts.circuitRejected,
+        circuitState: this.scheduler.getCircuitState(userId)
+      });
+    }
+
+    return errors;
   }
 }
 
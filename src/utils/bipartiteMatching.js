@@ -0,0 +1,159 @@
+/**
+ * Maximum-weight one-to-one assignment between a left and a right set that keeps time order
+ *
+ * Two pairs cross when one left node comes before the other but its right node
+ * after; an assignment never contains crossing pairs. Nodes are ordered by time,
+ * and nodes with the same time by their index.
+ *
+ * Candidate edges are split into connected components first; edges with the same
+ * group (a conversation) always share a component, so order holds across all of it.
+ * A non-crossing assignment is a chain of pairs rising on both sides, so each
+ * component is solved exactly as a heaviest chain, in O(edges log nodes) time
+ * and without a left x right matrix.
+ *
+ * @param {Array<{left: number, right: number, weight: number, group: *}>} edges - Candidate pairs with
+ *   non-negative weights, and optionally the group whose order they must keep
+ * @param {Object} order
+ * @param {Function} order.leftTime - Time of a left node, in ms
+ * @param {Function} order.rightTime - Time of a right node, in ms
+ * @returns {Map<number, {right: number, weight: number}>} Assigned right node and weight per left node
+ */
+function solveMaxWeightAssignment(edges, { leftTime, rightTime }) {
+  const assignment = new Map();
+
+  for (const component of findComponents(edges)) {
+    // Nothing to contend for: take the single candidate directly
+    if (component.edges.length === 1) {
+      const [edge] = component.edges;
+      assignment.set(edge.left, { right: edge.right, weight: edge.weight });
+      continue;
+    }
+
+    for (const edge of heaviestChain(component, leftTime, rightTime)) {
+      assignment.set(edge.left, { right: edge.right, weight: edge.weight });
+    }
+  }
+
+  return assignment;
+}
+
+/**
+ * Rank of each node by time, then by index
+ * @returns {Map} Node to rank
+ */
+function rankByTime(nodes, getTime) {
+  const ranked = nodes
+    .map(node => ({ node, time: getTime(node) }))
+    .sort((a, b) => a.time - b.time || a.node - b.node);
+
+  return new Map(ranked.map(({ node }, rank) => [node, rank]));
+}
+
+/**
+ * Heaviest set of edges whose left and right ranks both strictly increase
+ * Weighted longest increasing subsequence: a Fenwick tree over right ranks keeps
+ * the heaviest chain ending below each rank.
+ * @param {Object} component - Nodes and edges from findComponents
+ * @returns {Array} Chosen edges
+ */
+function heaviestChain(component, leftTime, rightTime) {
+  const leftRank = rankByTime(component.left, leftTime);
+  const rightRank = rankByTime(component.right, rightTime);
+
+  // Edges of one left node are taken from the highest right rank down, so none chains onto another
+  const edges = [...component.edges].sort((a, b) =>
+    leftRank.get(a.left) - leftRank.get(b.left) || rightRank.get(b.right) - rightRank.get(a.right));
+
+  const size = component.right.length;
+  const treeWeight = new Float64Array(size + 1);
+  const treeEdge = new Int32Array(size + 1).fill(-1);
+  const chainWeight = new Float64Array(edges.length);
+  const previous = new Int32Array(edges.length).fill(-1);
+  let last = -1;
+
+  edges.forEach((edge, index) => {
+    const rank = rightRank.get(edge.right);
+
+    // Heaviest chain ending at a right rank below this one
+    let below = 0;
+    for (let i = rank; i > 0; i -= i & -i) {
+      if (treeEdge[i] !== -1 && treeWeight[i] > below) {
+        below = treeWeight[i];
+        previous[index] = treeEdge[i];
+      }
+    }
+
+    chainWeight[index] = below + edge.weight;
+    if (last === -1 || chainWeight[index] > chainWeight[last]) last = index;
+
+    for (let i = rank + 1; i <= size; i += i & -i) {
+      if (treeEdge[i] === -1 || chainWeight[index] > treeWeight[i]) {
+        treeWeight[i] = chainWeight[index];
+        treeEdge[i] = index;
+      }
+    }
+  });
+
+  const chain = [];
+  for (let index = last; index !== -1; index = previous[index]) {
+    chain.push(edges[index]);
+  }
+
+  return chain;
+}
+
+/**
+ * Group edges into connected components using union-find
+ * @param {Array} edges - Candidate pairs
+ * @returns {Array<{left: Array, right: Array, edges: Array}>}
+ */
+function findComponents(edges) {
+  const parent = new Map();
+
+  const find = (node) => {
+    let root = node;
+    while (parent.get(root) !== root) root = parent.get(root);
+
+    // Path compression
+    while (parent.get(node) !== root) {
+      const next = parent.get(node);
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+
+  const union = (a, b) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootA, rootB);
+  };
+
+  for (const edge of edges) {
+    union(`L${edge.left}`, `R${edge.right}`);
+    if (edge.group !== undefined) union(`L${edge.left}`, `G${edge.group}`);
+  }
+
+  const components = new Map();
+
+  for (const edge of edges) {
+    const root = find(`L${edge.left}`);
+    if (!components.has(root)) {
+      components.set(root, { left: new Set(), right: new Set(), edges: [] });
+    }
+    const component = components.get(root);
+    component.left.add(edge.left);
+    component.right.add(edge.right);
+    component.edges.push(edge);
+  }
+
+  return [...components.values()].map(component => ({
+    left: [...component.left],
+    right: [...component.right],
+    edges: component.edges
+  }));
+}
+
+module.exports = { solveMaxWeightAssignment };
\ No newline at end of file
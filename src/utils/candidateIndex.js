@@ -0,0 +1,90 @@
+const { toPhoneKey } = require('./phoneNumber');
+
+/**
+ * Index of API messages by phone number and time bucket
+ *
+ * Lets the matcher compare a DB message only with API messages from the same
+ * conversation that fall inside its time window, instead of with every API
+ * message in the run. The lookup is a coarse prefilter: it may return a few
+ * candidates just outside the window, so exact timing checks stay with the caller.
+ */
+class CandidateIndex {
+  /**
+   * @param {Array} apiMessages - API messages, each carrying its conversation's phoneNumber
+   * @param {Object} options - Index options
+   * @param {number} options.clockSkewMs - How long before a DB message's sent_date a delivery can appear
+   * @param {number} options.maxLatencyMs - How long after a DB message's sent_date a delivery can appear
+   * @param {number} options.bucketMs - Width of a time bucket
+   */
+  constructor(apiMessages, { clockSkewMs = 0, maxLatencyMs, bucketMs }) {
+    this.clockSkewMs = clockSkewMs;
+    this.maxLatencyMs = maxLatencyMs;
+    this.bucketMs = bucketMs;
+    this.byPhone = new Map();
+
+    apiMessages.forEach((apiMsg, index) => {
+      const phoneKey = toPhoneKey(apiMsg.phoneNumber);
+      const time = new Date(apiMsg.timestamp || apiMsg.sent_date).getTime();
+
+      if (!this.byPhone.has(phoneKey)) {
+        this.byPhone.set(phoneKey, { buckets: new Map(), undated: [] });
+      }
+      const phoneEntry = this.byPhone.get(phoneKey);
+
+      // Messages without a usable timestamp are always offered as candidates
+      if (isNaN(time)) {
+        phoneEntry.undated.push(index);
+        return;
+      }
+
+      const bucket = Math.floor(time / this.bucketMs);
+      if (!phoneEntry.buckets.has(bucket)) {
+        phoneEntry.buckets.set(bucket, []);
+      }
+      phoneEntry.buckets.get(bucket).push(index);
+    });
+  }
+
+  /**
+   * Get indices of candidate API messages for a DB message, in input order
+   * API messages without a phone number are candidates for every conversation.
+   * @param {Object} dbMessage - Message from database
+   * @returns {Array<number>} API message indices
+   */
+  getCandidates(dbMessage) {
+    const candidates = [];
+    const phoneKeys = [toPhoneKey(dbMessage.phone_number)];
+
+    if (phoneKeys[0] !== '') {
+      phoneKeys.push('');
+    }
+
+    const time = new Date(dbMessage.sent_date).getTime();
+
+    for (const phoneKey of phoneKeys) {
+      const phoneEntry = this.byPhone.get(phoneKey);
+      if (!phoneEntry) continue;
+
+      candidates.push(...phoneEntry.undated);
+
+      if (isNaN(time)) {
+        for (const indices of phoneEntry.buckets.values()) {
+          candidates.push(...indices);
+        }
+        continue;
+      }
+
+      const firstBucket = Math.floor((time - this.clockSkewMs) / this.bucketMs);
+      const lastBucket = Math.floor((time + this.maxLatencyMs) / this.bucketMs);
+
+      for (let bucket = firstBucket; bucket <= lastBucket; bucket++) {
+        const indices = phoneEntry.buckets.get(bucket);
+        if (indices) candidates.push(...indices);
+      }
+    }
+
+    return candidates.sort((a, b) => a - b);
+  }
+}
+
+module.exports = CandidateIndex;
\ No newline at end of file
@@ -0,0 +1,230 @@
+const { toE164 } = require('./phoneNumber');
+const { fromWallTime } = require('./wallTime');
+
+// Message headers, e.g. Android "05/01/2026, 09:00 - Aisyah: text" and iOS "[05/01/2026, 09:00:05] Aisyah: text".
+// Dates may use / . or - and be day, month or year first; times may be 12- or 24-hour, with or without seconds.
+const DATE = '(\\d{1,4})[./-](\\d{1,2})[./-](\\d{1,4})';
+const TIME = '(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?(?: ?([ap])\\.? ?m\\.?)?';
+
+// Direction marks iOS puts before system and media lines, and the byte order mark
+const LEADING_MARKS = '[\\u200E\\u200F\\uFEFF]*';
+const DIRECTION_MARKS = /[\u200E\u200F\u202A-\u202E\uFEFF]/g;
+// iOS writes "9:00 AM" with a narrow no-break space
+const SPECIAL_SPACES = /[\u202F\u00A0]/g;
+
+const ANDROID_HEADER = new RegExp(`^${LEADING_MARKS}${DATE},? ${TIME} - (.*)$`, 'i');
+const IOS_HEADER = new RegExp(`^${LEADING_MARKS}\\[${DATE},? ${TIME}\\] (.*)$`, 'i');
+
+// Media exported without the files: "<Media omitted>" (Android), "image omitted" (iOS)
+const MEDIA_OMITTED = /^(?:<media omitted>|(image|video|audio|sticker|gif|document) omitted)$/i;
+// iOS documents: "Invoice.pdf • 2 pages document omitted"
+const DOCUMENT_OMITTED = /^(.+?)(?: • .*)? document omitted$/i;
+// Media exported with the files: "<attached: 00000012-PHOTO-2026-01-05-09-00-05.jpg>" (iOS),
+// "IMG-20260105-WA0001.jpg (file attached)" (Android)
+const MEDIA_ATTACHED = /^(?:<attached: (.+)>|(.+) \(file attached\))$/i;
+const DELETED = /^(?:this message was deleted|you deleted this message)\.?$/i;
+
+/**
+ * Split an export into message entries; lines without a header continue the previous message
+ */
+function readEntries(text) {
+  const entries = [];
+
+  String(text).split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(SPECIAL_SPACES, ' ');
+    const match = line.match(IOS_HEADER) || line.match(ANDROID_HEADER);
+
+    if (match) {
+      // The content keeps its marks: on iOS they tell system and media lines apart
+      const [, a, b, c, hour, minute, second, meridiem, content] = match;
+      entries.push({ line: index + 1, date: [a, b, c], time: { hour, minute, second, meridiem }, content });
+    } else if (entries.length > 0) {
+      entries[entries.length - 1].content += `\n${line}`;
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Work out the order of day, month and year from the dates in the file
+ * A file whose dates read the same either way gets the fallback.
+ * @returns {Object} { dateOrder, inferred }
+ */
+function inferDateOrder(entries, fallback) {
+  if (entries.some(entry => entry.date[0].length === 4)) {
+    return { dateOrder: 'YMD', inferred: true };
+  }
+
+  if (entries.some(entry => Number(entry.date[0]) > 12)) return { dateOrder: 'DMY', inferred: true };
+  if (entries.some(entry => Number(entry.date[1]) > 12)) return { dateOrder: 'MDY', inferred: true };
+
+  return { dateOrder: fallback, inferred: false };
+}
+
+/**
+ * The wall-clock time of an entry, or null if it is not a real date
+ */
+function toWallTime(entry, dateOrder) {
+  const [a, b, c] = entry.date.map(Number);
+  const [year, month, day] = { DMY: [c, b, a], MDY: [c, a, b], YMD: [a, b, c] }[dateOrder];
+  let hour = Number(entry.time.hour);
+
+  if (entry.time.meridiem) {
+    hour = hour % 12 + (entry.time.meridiem.toLowerCase() === 'p' ? 12 : 0);
+  }
+
+  const wallTime = new Date(Date.UTC(year < 100 ? 2000 + year : year, month - 1, day,
+    hour, Number(entry.time.minute), Number(entry.time.second || 0)));
+
+  // Date.UTC rolls 31/02 over into March, so compare the fields back
+  return wallTime.getUTCMonth() === month - 1 && wallTime.getUTCDate() === day && hour < 24 ? wallTime : null;
+}
+
+/**
+ * Split an entry's content into sender and message, recognising media and system lines
+ * @returns {Object|null} { sender, body, type, hasMedia, filename }, or null for system lines and deleted messages
+ */
+function readContent(content) {
+  const separator = content.indexOf(': ');
+
+  // Android system lines ("Messages and calls are end-to-end encrypted") have no sender
+  if (separator === -1) return null;
+
+  const sender = content.slice(0, separator).replace(DIRECTION_MARKS, '').trim();
+  const text = content.slice(separator + 2);
+  const marked = /^[\u200E\u200F]/.test(text);
+  const [firstLine, ...rest] = text.replace(DIRECTION_MARKS, '').split('\n');
+  const caption = rest.join('\n').trim();
+
+  const omitted = firstLine.trim().match(MEDIA_OMITTED);
+  if (omitted) {
+    const type = omitted[1] ? omitted[1].toLowerCase() : null;
+    return { sender, body: caption, type: type === 'gif' ? 'video' : type, hasMedia: true, filename: null };
+  }
+
+  const document = firstLine.trim().match(DOCUMENT_OMITTED);
+  if (document) {
+    return { sender, body: caption, type: 'document', hasMedia: true, filename: document[1] };
+  }
+
+  const attached = firstLine.trim().match(MEDIA_ATTACHED);
+  if (attached) {
+    return { sender, body: caption, type: null, hasMedia: true, filename: attached[1] || attached[2] };
+  }
+
+  const body = text.replace(DIRECTION_MARKS, '').trim();
+
+  // iOS marks its system lines, which do carry the chat's name as a sender
+  if (marked || DELETED.test(body)) return null;
+
+  return { sender, body, type: 'chat', hasMedia: false, filename: null };
+}
+
+/**
+ * Whether a sender name is the phone number, written in any format
+ */
+function isSamePhone(sender, phoneNumber) {
+  const e164 = toE164(sender);
+  return Boolean(e164) && e164 === toE164(phoneNumber);
+}
+
+/**
+ * Decide which senders are the business: the named businessSender, or else, in a chat
+ * between the customer (shown by their number) and one other sender, that other sender
+ * @returns {Map} sender => true (business), false (customer) or null (unknown)
+ */
+function resolveSenders(senders, { phoneNumber, businessSender }) {
+  const directions = new Map();
+
+  if (businessSender) {
+    const business = businessSender.trim().toLowerCase();
+    senders.forEach(sender => directions.set(sender, sender.toLowerCase() === business));
+    return directions;
+  }
+
+  const customers = senders.filter(sender => isSamePhone(sender, phoneNumber));
+  const others = senders.filter(sender => !customers.includes(sender));
+
+  senders.forEach(sender => {
+    if (customers.includes(sender)) {
+      directions.set(sender, false);
+    } else {
+      directions.set(sender, customers.length > 0 && others.length === 1 ? true : null);
+    }
+  });
+
+  return directions;
+}
+
+/**
+ * Parse a WhatsApp "Export chat" text file from Android or iOS
+ *
+ * Times in an export are the phone's local time, so they are read in `timeZone`.
+ * Messages come back shaped like a provider's (see providerService), with the file and line
+ * they came from. fromMe is left unset for senders whose side cannot be told.
+ *
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.source - Name of the file, recorded on each message
+ * @param {string} options.phoneNumber - Customer phone number the chat is with
+ * @param {string} [options.businessSender] - Name the business's messages are shown under
+ * @param {string} [options.dateOrder] - 'DMY', 'MDY' or 'YMD'; inferred from the dates if omitted
+ * @param {string} [options.fallbackDateOrder] - Order used when the dates read the same either way
+ * @param {string} [options.timeZone] - IANA time zone of the phone (default UTC)
+ * @returns {Object} { messages, skipped, dateOrder, dateOrderInferred, hasSeconds, senders }
+ */
+function parseChatExport(text, options) {
+  const { source, phoneNumber, businessSender, fallbackDateOrder = 'DMY', timeZone = 'UTC' } = options;
+  const entries = readEntries(text);
+  const { dateOrder, inferred } = options.dateOrder
+    ? { dateOrder: options.dateOrder, inferred: false }
+    : inferDateOrder(entries, fallbackDateOrder);
+
+  const parsed = [];
+  let skipped = 0;
+
+  for (const entry of entries) {
+    const wallTime = toWallTime(entry, dateOrder);
+    const content = wallTime ? readContent(entry.content) : null;
+
+    if (!content) {
+      skipped++;
+      continue;
+    }
+
+    parsed.push({ entry, wallTime, content });
+  }
+
+  const senders = [...new Set(parsed.map(({ content }) => content.sender))];
+  const directions = resolveSenders(senders, { phoneNumber, businessSender });
+
+  const messages = parsed.map(({ entry, wallTime, content }) => ({
+    id: `${source}:${entry.line}`,
+    body: content.body,
+    timestamp: fromWallTime(wallTime, timeZone),
+    from: content.sender,
+    fromMe: directions.get(content.sender) ?? undefined,
+    type: content.type,
+    hasMedia: content.hasMedia,
+    filename: content.filename,
+    sourceFile: source,
+    sourceLine: entry.line
+  }));
+
+  return {
+    messages,
+    skipped,
+    dateOrder,
+    dateOrderInferred: inferred,
+    // Android exports stop at minutes, stamping each message at the start of its minute
+    hasSeconds: parsed.every(({ entry }) => entry.time.second !== undefined),
+    senders: senders.map(name => ({
+      name,
+      messages: messages.filter(msg => msg.from === name).length,
+      business: directions.get(name)
+    }))
+  };
+}
+
+module.exports = { parseChatExport };
\ No newline at end of file
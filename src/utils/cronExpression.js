@@ -0,0 +1,140 @@
+const { toWallTime, fromWallTime } = require('./wallTime');
+
+// Field order and bounds of a standard five-field cron expression
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a matching minute after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one field: `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `8-18/2`)
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+
+    if (to === undefined) {
+      to = stepText === undefined ? from : max;
+    }
+
+    if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * or one of @hourly, @daily, @midnight, @weekly, @monthly
+ * @param {string} expression - Cron expression
+ * @returns {Object} Sets of allowed values per field
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text] || text).split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${text}`);
+  }
+
+  const cron = {};
+  FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (cron.dayOfWeek.delete(7)) cron.dayOfWeek.add(0);
+
+  // As in standard cron, a restricted day-of-month and day-of-week match either
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+
+  return cron;
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Find the first minute strictly after `after` that matches a cron expression
+ * @param {Object} cron - Parsed expression from parseCron
+ * @param {Date} after - Start of the search
+ * @param {string} timeZone - IANA time zone the expression is written in (default UTC)
+ * @returns {Date|null} Next run time, or null if the expression never matches
+ */
+function nextCronTime(cron, after, timeZone = 'UTC') {
+  const date = toWallTime(after, timeZone);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = date.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+  while (date.getUTCFullYear() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      const next = fromWallTime(date, timeZone);
+
+      // Near a daylight-saving change the instant can fall before `after`; try the next minute
+      if (next > after) return next;
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that a time zone name is known to the runtime
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { parseCron, nextCronTime, isValidTimeZone };
\ No newline at end of file
@@ -0,0 +1,7 @@
+const os = require('os');
+const crypto = require('crypto');
+
+// Identifies this process as a lease holder among several service instances
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+module.exports = { INSTANCE_ID };
\ No newline at end of file
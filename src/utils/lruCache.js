@@ -0,0 +1,94 @@
+/**
+ * In-memory cache bounded by entry count
+ *
+ * A Map keeps entries in insertion order, so moving an entry to the end on every read
+ * leaves the least recently used one first, and that is the one evicted when the cache
+ * is full. Expired entries are dropped when read, or evicted like any other.
+ */
+class LruCache {
+  /**
+   * @param {Object} options - maxEntries and ttl (ms)
+   */
+  constructor({ maxEntries, ttl }) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get a live entry and mark it most recently used
+   * @returns {Object|undefined} Entry with value, expiresAt and the tags it was stored with
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= now) return undefined;
+
+    entry.lastAccessedAt = now;
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a value, evicting least recently used entries beyond maxEntries
+   * @param {Object} tags - Extra fields kept with the entry (e.g. userId, phoneNumbers)
+   * @returns {number} Entries evicted
+   */
+  set(key, value, tags = {}, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { ...tags, key, value, expiresAt: now + this.ttl, lastAccessedAt: now });
+
+    let evicted = 0;
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      evicted++;
+    }
+
+    return evicted;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Delete every entry the predicate accepts
+   * @returns {number} Entries deleted
+   */
+  deleteWhere(predicate) {
+    let deleted = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * @returns {number} Entries deleted
+   */
+  clear() {
+    const deleted = this.entries.size;
+    this.entries.clear();
+    return deleted;
+  }
+
+  /**
+   * Entries, most recently used first
+   */
+  list() {
+    return [...this.entries.values()].reverse();
+  }
+}
+
+module.exports = { LruCache };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Stand-in for placeholders while the body is normalized; survives lowercasing and punctuation stripping
+const SLOT_SENTINEL = (index) => `zqslot${index}zq`;
+const SLOT_SENTINEL_PATTERN = /zqslot(\d+)zq/;
+
+/**
+ * List placeholder names in a template body, in order of appearance
+ * @param {string} body - Template text with {{placeholder}} markers
+ * @returns {Array<string>} Placeholder names
+ */
+function extractPlaceholders(body) {
+  return [...(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Check for two placeholders with no fixed text between them, which cannot be split reliably
+ * @param {string} body - Template text
+ */
+function hasAdjacentPlaceholders(body) {
+  return /\}\}\s*\{\{/.test(body || '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a template into a regular expression over normalized message text
+ * @param {Object} template - MessageTemplate document
+ * @param {Function} normalize - The matcher's message normalizer
+ * @returns {Object} { id, name, typeOfMessage, regex, slotNames, fixedLength }
+ */
+function compileTemplate(template, normalize) {
+  const slotNames = extractPlaceholders(template.body);
+  let slotIndex = 0;
+  const withSentinels = template.body.replace(PLACEHOLDER_PATTERN, () => SLOT_SENTINEL(slotIndex++));
+  const normalized = normalize(withSentinels);
+
+  // Alternating fixed text and slot indices, split on the sentinels
+  const parts = normalized.split(SLOT_SENTINEL_PATTERN);
+  let pattern = '';
+  let fixedLength = 0;
+
+  parts.forEach((part, i) => {
+    if (i % 2 === 0) {
+      pattern += escapeRegExp(part);
+      fixedLength += part.trim().length;
+    } else {
+      pattern += '(.*?)';
+    }
+  });
+
+  return {
+    id: template._id,
+    name: template.name,
+    typeOfMessage: template.type_of_message,
+    regex: new RegExp(`^${pattern}$`),
+    slotNames,
+    fixedLength
+  };
+}
+
+/**
+ * Parse normalized message text with a compiled template
+ * @param {Object} compiled - Result of compileTemplate
+ * @param {string} normalizedText - Normalized message text
+ * @returns {Object|null} Slot values by placeholder name, or null if the fixed text does not match
+ */
+function parseWithTemplate(compiled, normalizedText) {
+  const match = compiled.regex.exec(normalizedText);
+  if (!match) return null;
+
+  const slots = {};
+  compiled.slotNames.forEach((name, i) => {
+    slots[name] = (match[i + 1] || '').trim();
+  });
+
+  return slots;
+}
+
+module.exports = {
+  extractPlaceholders,
+  hasAdjacentPlaceholders,
+  compileTemplate,
+  parseWithTemplate
+};
\ No newline at end of file
@@ -0,0 +1,143 @@
+const { PHONE } = require('../config/constants');
+
+// WhatsApp JIDs: 60165926432@c.us, 60165926432@s.whatsapp.net, and 60165926432:12@s.whatsapp.net for a linked device
+const JID = /^([^@:]*)(?::\d+)?@([\w.]+)$/;
+const PERSONAL_JID_DOMAINS = ['c.us', 's.whatsapp.net'];
+// Spaces, dashes (Unicode ones too), dots, slashes and brackets people write numbers with
+const SEPARATORS = /[\s\-./()[\]\u2010-\u2015]/g;
+
+/**
+ * Canonicalise a phone number or WhatsApp JID to E.164
+ *
+ * `+60 16-592 6432`, `0060165926432`, `60165926432`, `016-592 6432` and `60165926432@c.us`
+ * all become `+60165926432`. Numbers without a country code are read in `defaultCountry`:
+ * with its trunk prefix (`0165926432`), as its calling code and a national number
+ * (`60165926432`), or as a bare national number (`165926432`). Anything else of 8 to 15
+ * digits is taken to already start with a country code.
+ *
+ * @param {string} input - Phone number in any common format, or a JID
+ * @param {Object} [options]
+ * @param {string} [options.defaultCountry] - ISO 3166-1 code from PHONE.COUNTRIES (default PHONE.DEFAULT_COUNTRY)
+ * @returns {Object} { e164 }, or { error } saying why the input is not a phone number
+ */
+function normalizePhoneNumber(input, options = {}) {
+  const country = PHONE.COUNTRIES[options.defaultCountry || PHONE.DEFAULT_COUNTRY];
+
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return { error: 'Phone number is empty' };
+  }
+
+  let text = String(input).trim();
+
+  const jid = text.match(JID);
+  if (jid) {
+    if (!PERSONAL_JID_DOMAINS.includes(jid[2])) {
+      return { error: `Not a personal WhatsApp chat: ${text}` };
+    }
+    text = jid[1];
+  }
+
+  text = text.replace(SEPARATORS, '');
+
+  const international = text.startsWith('+') || text.startsWith('00');
+  const digits = text.replace(/^(\+|00)/, '');
+
+  if (!/^\d+$/.test(digits)) {
+    return { error: `Phone number has characters other than digits: ${input}` };
+  }
+
+  let e164Digits = null;
+
+  if (international) {
+    e164Digits = digits;
+  } else if (country) {
+    const { callingCode, trunkPrefix, nationalPattern } = country;
+    const fitsNational = (national) => nationalPattern.test(national);
+
+    if (trunkPrefix && digits.startsWith(trunkPrefix) && fitsNational(digits.slice(trunkPrefix.length))) {
+      e164Digits = callingCode + digits.slice(trunkPrefix.length);
+    } else if (digits.startsWith(callingCode) && fitsNational(digits.slice(callingCode.length))) {
+      e164Digits = digits;
+    } else if (fitsNational(digits)) {
+      e164Digits = callingCode + digits;
+    }
+  }
+
+  e164Digits = e164Digits || digits;
+
+  if (e164Digits.startsWith('0') || e164Digits.length < PHONE.MIN_DIGITS || e164Digits.length > PHONE.MAX_DIGITS) {
+    return { error: `Not a valid phone number: ${input}` };
+  }
+
+  return { e164: `+${e164Digits}` };
+}
+
+/**
+ * E.164 form of a phone number, or null if it cannot be parsed (see normalizePhoneNumber)
+ */
+function toE164(input, options = {}) {
+  return normalizePhoneNumber(input, options).e164 || null;
+}
+
+/**
+ * Canonicalise a list of phone numbers, dropping repeats of the same number
+ * @param {Array<string>} phoneNumbers - Numbers in any format
+ * @returns {Object} { valid: E.164 numbers in first-seen order, invalid: [{ phoneNumber, reason }] }
+ */
+function normalizePhoneNumbers(phoneNumbers, options = {}) {
+  const valid = new Set();
+  const invalid = [];
+
+  for (const phoneNumber of phoneNumbers) {
+    const { e164, error } = normalizePhoneNumber(phoneNumber, options);
+
+    if (e164) {
+      valid.add(e164);
+    } else {
+      invalid.push({ phoneNumber, reason: error });
+    }
+  }
+
+  return { valid: [...valid], invalid };
+}
+
+/**
+ * The forms a number may be stored in: E.164, without the plus, and for numbers of the
+ * default country also national with and without the trunk prefix
+ * Used to find records whose phone numbers were saved before normalization.
+ * @param {string} e164 - Number from normalizePhoneNumber
+ * @returns {Array<string>} Stored forms to query for
+ */
+function phoneNumberVariants(e164, options = {}) {
+  const country = PHONE.COUNTRIES[options.defaultCountry || PHONE.DEFAULT_COUNTRY];
+  const digits = e164.slice(1);
+  const variants = [e164, digits];
+
+  if (country && digits.startsWith(country.callingCode)) {
+    const national = digits.slice(country.callingCode.length);
+    variants.push(national);
+    if (country.trunkPrefix) variants.push(country.trunkPrefix + national);
+  }
+
+  return variants;
+}
+
+/**
+ * Reduce a phone number or WhatsApp chat id to a comparison key
+ * The E.164 digits where the number can be parsed, so every way of writing one number
+ * gives the same key; otherwise all the digits.
+ * @param {string} phoneNumber - Raw phone number or chat id
+ * @returns {string} Digits-only key, or an empty string if none
+ */
+function toPhoneKey(phoneNumber) {
+  if (!phoneNumber) return '';
+
+  const e164 = toE164(phoneNumber);
+  if (e164) return e164.slice(1);
+
+  return String(phoneNumber)
+    .replace(/@.*$/, '')
+    .replace(/\D/g, '');
+}
+
+module.exports = { normalizePhoneNumber, normalizePhoneNumbers, toE164, phoneNumberVariants, toPhoneKey };
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { PHONE } = require('../config/constants');
+const { normalizePhoneNumber, phoneNumberVariants } = require('./phoneNumber');
+
+// Digits, wildcards, a leading plus and the separators people write numbers with
+const RANGE_CHARACTERS = /^\+?[\d*\s\-./()[\]\u2010-\u2015]+$/;
+const SLOT = '#';
+
+/**
+ * Parse a phoneNumberRange into ranges that can be counted, expanded and matched
+ *
+ * Accepts, alone or in an array:
+ *   { start: '+60 16-592 6400', end: '+60 16-592 6499' } - inclusive, same number of digits
+ *   '60165926***'                                       - each * is any digit
+ * Generated numbers keep the width (leading zeros) and formatting of `start` or the pattern.
+ *
+ * @param {Object|string|Array} spec - Range, pattern, or a list of them
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Most numbers the ranges may cover together (default PHONE.MAX_RANGE_SIZE)
+ * @returns {Object} { ranges, size }, or { error } saying what is wrong with the spec
+ */
+function parsePhoneNumberRanges(spec, options = {}) {
+  const maxSize = options.maxSize || PHONE.MAX_RANGE_SIZE;
+  const specs = Array.isArray(spec) ? spec : [spec];
+
+  if (specs.length === 0) {
+    return { error: 'phoneNumberRange must have at least one range or pattern' };
+  }
+
+  const ranges = [];
+  let size = 0n;
+
+  for (const entry of specs) {
+    const range = typeof entry === 'string' ? parsePattern(entry) : parseStartEnd(entry);
+    if (range.error) return range;
+
+    ranges.push(range);
+    size += range.last - range.first + 1n;
+  }
+
+  if (size > BigInt(maxSize)) {
+    return { error: `phoneNumberRange covers ${size} phone numbers; at most ${maxSize} are allowed` };
+  }
+
+  return { ranges, size: Number(size) };
+}
+
+/**
+ * A { start, end } range: every digit is a slot, counting from start to end
+ */
+function parseStartEnd(entry) {
+  if (!entry || typeof entry.start !== 'string' || typeof entry.end !== 'string') {
+    return { error: 'Each phoneNumberRange entry must be a { start, end } range or a pattern such as 60165926***' };
+  }
+
+  const { start, end } = entry;
+  const startDigits = start.replace(/\D/g, '');
+  const endDigits = end.replace(/\D/g, '');
+
+  for (const bound of [start, end]) {
+    if (bound.includes('*') || !RANGE_CHARACTERS.test(bound.trim()) || normalizePhoneNumber(bound).error) {
+      return { error: `phoneNumberRange bound is not a valid phone number: ${bound}` };
+    }
+  }
+
+  if (startDigits.length !== endDigits.length) {
+    return { error: `phoneNumberRange start and end must have the same number of digits: ${start} to ${end}` };
+  }
+
+  const range = toRange(start.trim().replace(/\d/g, SLOT), BigInt(startDigits), BigInt(endDigits));
+
+  if (range.last < range.first) {
+    return { error: `phoneNumberRange end is before its start: ${start} to ${end}` };
+  }
+
+  return range;
+}
+
+/**
+ * A wildcard pattern: each * is a slot running through 0-9; a pattern without one is a single number
+ */
+function parsePattern(pattern) {
+  const text = pattern.trim();
+  const wildcards = (text.match(/\*/g) || []).length;
+
+  if (!RANGE_CHARACTERS.test(text)) {
+    return { error: `phoneNumberRange pattern has characters other than digits and *: ${pattern}` };
+  }
+
+  // Every number the pattern covers lies between its lowest and highest fill
+  for (const fill of ['0', '9']) {
+    if (normalizePhoneNumber(text.replace(/\*/g, fill)).error) {
+      return { error: `phoneNumberRange pattern does not cover valid phone numbers: ${pattern}` };
+    }
+  }
+
+  return toRange(text.replace(/\*/g, SLOT), 0n, 10n ** BigInt(wildcards) - 1n);
+}
+
+function toRange(template, first, last) {
+  return {
+    template,
+    digits: template.replace(/[^\d#]/g, ''),
+    slots: (template.match(/#/g) || []).length,
+    first,
+    last
+  };
+}
+
+/**
+ * The number at `value` in a range, written like its start or pattern
+ */
+function formatRangeNumber(range, value) {
+  const digits = value.toString().padStart(range.slots, '0');
+  let slot = 0;
+
+  return range.template.replace(/#/g, () => digits[slot++]);
+}
+
+/**
+ * Yield the numbers in the ranges one at a time, so a range is never held in memory whole
+ * Ranges that overlap yield the shared numbers more than once.
+ */
+function* expandPhoneNumberRanges(ranges) {
+  for (const range of ranges) {
+    for (let value = range.first; value <= range.last; value++) {
+      yield formatRangeNumber(range, value);
+    }
+  }
+}
+
+/**
+ * Whether an E.164 number is one the ranges cover, however the ranges were written
+ * The number is lined up against each range in each form it can be written in
+ * (international, with 00, national with and without the trunk prefix).
+ * @param {Array} ranges - Ranges from parsePhoneNumberRanges
+ * @param {string} e164 - Number from normalizePhoneNumber
+ */
+function matchesPhoneNumberRanges(ranges, e164) {
+  const forms = [...new Set([
+    ...phoneNumberVariants(e164).map(variant => variant.replace(/^\+/, '')),
+    `00${e164.slice(1)}`
+  ])];
+
+  return ranges.some(range => forms.some(form => {
+    if (form.length !== range.digits.length) return false;
+
+    let value = '';
+    for (let i = 0; i < form.length; i++) {
+      if (range.digits[i] === SLOT) {
+        value += form[i];
+      } else if (range.digits[i] !== form[i]) {
+        return false;
+      }
+    }
+
+    const slotValue = BigInt(value || 0);
+
+    // Check the number the range would generate reads back as the same E.164 number
+    return slotValue >= range.first &&
+      slotValue <= range.last &&
+      normalizePhoneNumber(formatRangeNumber(range, slotValue)).e164 === e164;
+  }));
+}
+
+module.exports = { parsePhoneNumberRanges, expandPhoneNumberRanges, matchesPhoneNumberRanges };
\ No newline at end of file
@@ -0,0 +1,62 @@
+const dns = require('dns');
+const net = require('net');
+const { ALERTS } = require('../config/constants');
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList itself
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one a webhook must not be sent to
+ * @param {string} address - IPv4 or IPv6 address
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a URL's host and return the first private address it points to
+ * @param {string} url - http(s) URL
+ * @returns {Promise<string|null>} The private address, or null when every address is public
+ */
+async function findPrivateAddress(url) {
+  if (ALERTS.ALLOW_PRIVATE_ADDRESSES) return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+
+  return addresses.find(isPrivateAddress) || null;
+}
+
+/**
+ * DNS lookup for the HTTP client that refuses private addresses, so a host
+ * re-pointed after its URL was checked is still not connected to
+ */
+async function lookupPublicAddress(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  const blocked = ALERTS.ALLOW_PRIVATE_ADDRESSES ? null : addresses.find(entry => isPrivateAddress(entry.address));
+
+  if (blocked) {
+    throw new Error(`${hostname} resolves to private address ${blocked.address}`);
+  }
+
+  return addresses;
+}
+
+module.exports = {
+  isPrivateAddress,
+  findPrivateAddress,
+  lookupPublicAddress
+};
\ No newline at end of file
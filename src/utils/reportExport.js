@@ -0,0 +1,283 @@
+const { once } = require('events');
+const { EXPORT, RUNS } = require('../config/constants');
+const { logger } = require('../config/database');
+
+const CSV_COLUMNS = [
+  'db_message_id',
+  'phone_number',
+  'sent_date',
+  'role',
+  'type_of_message',
+  'status',
+  'confidence_score',
+  'threshold',
+  'reason',
+  'candidate_message',
+  'candidate_timestamp',
+  'candidate_direction',
+  'candidate_source_file',
+  'candidate_source_line',
+  'observed_delay_ms',
+  'db_message'
+];
+
+/**
+ * Pick the export format from a `format` query/body parameter, else the Accept header
+ * @param {Object} req - Express request
+ * @returns {string|null} 'json', 'csv', 'ndjson' or 'html'; null for an unknown format parameter
+ */
+function resolveExportFormat(req) {
+  const requested = req.query.format || req.body?.format;
+
+  if (requested) {
+    const format = String(requested).toLowerCase();
+    return EXPORT.FORMATS[format] ? format : null;
+  }
+
+  const contentType = req.accepts(Object.values(EXPORT.FORMATS));
+  const format = Object.keys(EXPORT.FORMATS).find(key => EXPORT.FORMATS[key] === contentType);
+
+  return format || 'json';
+}
+
+// Plain numbers (negative delays included) and E.164 phone numbers, which are safe in a spreadsheet
+const NUMERIC_TEXT = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|\+\d+)$/;
+
+/**
+ * Quote a CSV field where needed; text that a spreadsheet would run as a
+ * formula is prefixed with a quote
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && !NUMERIC_TEXT.test(text) && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per DB message: matched entries with their API message, unmatched
+ * entries with their best candidate
+ */
+function toCsvRow(entry) {
+  const matched = Boolean(entry.apiMessage);
+  const candidate = entry.apiMessage || entry.bestCandidate || entry.directionMismatch?.apiMessage;
+
+  return [
+    entry.dbMessage.id,
+    entry.dbMessage.phoneNumber,
+    entry.dbMessage.sentDate,
+    entry.dbMessage.role,
+    entry.dbMessage.type,
+    entry.verificationStatus || entry.status,
+    matched ? entry.confidenceScore : entry.bestMatchScore,
+    entry.threshold,
+    matched ? entry.verdict : entry.reason,
+    candidate?.message,
+    candidate?.timestamp,
+    candidate?.direction,
+    candidate?.sourceFile,
+    candidate?.sourceLine,
+    entry.timing?.observedDelayMs,
+    entry.dbMessage.message
+  ];
+}
+
+/**
+ * Write one chunk, waiting for the socket to drain when its buffer is full
+ * @returns {Promise<boolean>} false once the client has disconnected, so the caller stops reading
+ */
+async function writeChunk(res, chunk) {
+  if (res.destroyed) return false;
+  if (res.write(chunk)) return true;
+
+  // A client that disconnects never drains; its response closes instead
+  const settled = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: settled.signal }),
+      once(res, 'close', { signal: settled.signal })
+    ]);
+  } finally {
+    settled.abort();
+  }
+
+  return !res.destroyed;
+}
+
+/**
+ * Stream details as CSV, one row per DB message (verified, ambiguous and unmatched)
+ * @param {Object} res - Express response
+ * @param {AsyncIterable} details - Detail entries, e.g. from verificationRunService.streamDetails
+ */
+async function writeCsv(res, details) {
+  if (!await writeChunk(res, CSV_COLUMNS.join(',') + '\r\n')) return;
+
+  // Leaving the loop returns the iterator, which closes the cursor behind it
+  for await (const entry of details) {
+    if (!entry.dbMessage || entry.status === RUNS.DETAIL_STATUSES.DUPLICATE) continue;
+    if (!await writeChunk(res, toCsvRow(entry).map(csvField).join(',') + '\r\n')) return;
+  }
+
+  res.end();
+}
+
+/**
+ * Stream a report as NDJSON: a summary line, then one line per detail entry
+ * @param {Object} res - Express response
+ * @param {Object} result - Verification result ({ report, ... })
+ * @param {AsyncIterable} details - Detail entries, e.g. from verificationRunService.streamDetails
+ */
+async function writeNdjson(res, result, details) {
+  const { report } = result;
+  const write = (record) => writeChunk(res, JSON.stringify(record) + '\n');
+
+  if (!await write({ type: 'summary', runId: result.runId || result.jobId, summary: report.summary })) return;
+
+  for await (const { status, ...entry } of details) {
+    if (!await write({ type: status, ...entry })) return;
+  }
+
+  res.end();
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Unmatched counts per key from report.analysis
+ */
+function countUnmatched(report, analysisKey) {
+  const grouped = report.analysis?.[analysisKey] || {};
+  return Object.entries(grouped).map(([key, group]) => [key, group.count]);
+}
+
+function htmlTable(title, headers, rows) {
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows.length > 0
+    ? rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')
+    : `<tr><td colspan="${headers.length}">None</td></tr>`;
+
+  return `<h2>${escapeHtml(title)}</h2>\n<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Render a self-contained, printable HTML summary of a report
+ * Covers the summary and the unmatched analysis by type, phone number and date.
+ * @param {Object} report - Verification report
+ * @returns {string} HTML document
+ */
+function toHtml(report) {
+  const summary = report.summary || {};
+  const period = summary.verificationPeriod || {};
+  const firstMessages = summary.firstMessageStats || {};
+  const byCount = (a, b) => b[1] - a[1];
+
+  const overview = [
+    ['Verification period', `${period.from || ''} to ${period.to || ''}`],
+    ['Phone numbers verified', summary.phoneNumbersVerified],
+    ['WhatsApp data', summary.evidence
+      ? `Chat export: ${summary.evidence.files.map(file => file.file).join(', ')}`
+      : { true: 'Complete', false: 'Incomplete (truncated or failed fetches)' }[summary.apiDataComplete]],
+    ['Messages in database', summary.totalMessagesInDB],
+    ['Messages in WhatsApp', summary.totalMessagesInAPI],
+    ['Matched', summary.matchedMessages],
+    ['Unmatched', summary.unmatchedMessages],
+    ['Match rate', summary.matchRate],
+    ['Average confidence', summary.averageConfidence],
+    ['First messages unmatched', `${firstMessages.unmatched ?? ''} of ${firstMessages.total ?? ''} (${firstMessages.unmatchedRate ?? ''})`],
+    ['Text delivery rate', summary.textStats?.deliveryRate],
+    ['Media delivery rate', summary.mediaStats?.deliveryRate],
+    ['Duplicate deliveries', summary.duplicateDeliveries?.total],
+    ['WhatsApp messages with no record', summary.orphanApiMessages]
+  ].filter(([, value]) => value !== undefined && value !== null);
+
+  const sections = [
+    htmlTable('Summary', ['Metric', 'Value'], overview),
+    htmlTable('Unmatched by message type', ['Type', 'Unmatched'],
+      countUnmatched(report, 'unmatchedByType').sort(byCount)),
+    htmlTable('Unmatched by phone number', ['Phone number', 'Unmatched'],
+      countUnmatched(report, 'unmatchedByPhoneNumber').sort(byCount)),
+    htmlTable('Unmatched by date', ['Date', 'Unmatched'],
+      countUnmatched(report, 'unmatchedByDate').sort((a, b) => a[0].localeCompare(b[0])))
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>WhatsApp Message Verification Report</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 2em; }
+  h1 { font-size: 1.5em; }
+  h2 { font-size: 1.15em; margin-top: 1.5em; }
+  table { border-collapse: collapse; width: 100%; max-width: 50em; }
+  th, td { border: 1px solid #bbb; padding: 0.35em 0.6em; text-align: left; }
+  th { background: #eee; }
+  footer { margin-top: 2em; font-size: 0.8em; color: #666; }
+  @media print { body { margin: 0; } table { page-break-inside: auto; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>WhatsApp Message Verification Report</h1>
+${sections.join('\n')}
+<footer>Generated ${escapeHtml(new Date().toISOString())}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Send a verification result in the requested format
+ * CSV and NDJSON stream their rows from `details`, so a large run is never held in memory.
+ * If the stream fails after the first row, the connection is dropped rather than
+ * ending with a truncated file that looks complete.
+ * @param {Object} res - Express response
+ * @param {Object} result - Verification result ({ success, report, ... })
+ * @param {string} format - Format from resolveExportFormat
+ * @param {string} filename - Download name without extension
+ * @param {AsyncIterable} details - Detail entries for CSV and NDJSON
+ */
+async function sendReport(res, result, format, filename, details) {
+  if (format === 'json') {
+    return res.json(result);
+  }
+
+  res.type(EXPORT.FORMATS[format]);
+
+  if (format === 'html') {
+    return res.send(toHtml(result.report));
+  }
+
+  try {
+    if (format === 'csv') {
+      res.attachment(`${filename}.csv`);
+      await writeCsv(res, details);
+    } else {
+      await writeNdjson(res, result, details);
+    }
+  } catch (error) {
+    if (!res.headersSent) throw error;
+
+    logger.error(`Report export (${format}) failed mid-stream:`, error);
+    res.destroy(error);
+  }
+}
+
+module.exports = {
+  resolveExportFormat,
+  sendReport,
+  toHtml,
+  writeCsv,
+  writeNdjson
+};
\ No newline at end of file
@@ -0,0 +1,261 @@
+const { setTimeout: sleep } = require('timers/promises');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Whether a failed request is worth retrying: timeouts, network errors, 429 and 5xx
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) return error.code !== 'ERR_CANCELED';
+
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Delay asked for by a Retry-After header (seconds or an HTTP date), in ms, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Runs upstream requests with an overall and a per-key concurrency limit
+ *
+ * Failed attempts are retried with exponential backoff and jitter on timeouts,
+ * network errors and 5xx responses. A 429 pauses the whole key for its Retry-After.
+ * Each key has a circuit breaker: after enough consecutive failures its requests
+ * are rejected without being sent until the reset timeout passes, then a single
+ * probe decides whether it closes again.
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} options - concurrency, perKeyConcurrency, maxRetries, baseDelay, maxDelay,
+   *   maxRetryAfter, failureThreshold and resetTimeout (all durations in ms)
+   */
+  constructor(options) {
+    this.options = options;
+    this.active = 0;
+    this.activeByKey = new Map();
+    this.waiting = [];
+    this.pausedUntil = new Map();
+    this.breakers = new Map();
+  }
+
+  /**
+   * Run a request for a key, retrying it as needed
+   * @param {string} key - Key the limits and circuit breaker apply to (the WhatsApp userId)
+   * @param {Function} task - Sends the request; called again for each attempt
+   * @param {Map} stats - Optional per-key counters to add to (see getStats)
+   * @returns {Promise<*>} The task's result; rejects with its last error, or one with code CIRCUIT_OPEN
+   */
+  async run(key, task, stats = null) {
+    const counts = this.getStats(stats, key);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForPause(key);
+
+      if (!this.allowRequest(key)) {
+        counts.circuitRejected++;
+        const error = new Error(`Circuit breaker open for ${key}`);
+        error.code = 'CIRCUIT_OPEN';
+        counts.lastError = error.message;
+        throw error;
+      }
+
+      await this.acquire(key);
+      counts.requests++;
+
+      let delay;
+      try {
+        const result = await task();
+        this.recordSuccess(key);
+        return result;
+
+      } catch (error) {
+        const rateLimited = error.response?.status === 429;
+        if (rateLimited) counts.rateLimited++;
+
+        // Rate limiting says nothing about the account's health
+        if (isRetryable(error) && !rateLimited) {
+          this.recordFailure(key);
+        } else {
+          this.releaseProbe(key);
+        }
+
+        delay = isRetryable(error) && attempt < this.options.maxRetries
+          ? this.getRetryDelay(attempt, error)
+          : null;
+
+        if (delay === null) {
+          counts.failures++;
+          counts.lastError = error.message;
+          throw error;
+        }
+
+        counts.retries++;
+        if (rateLimited) {
+          this.pause(key, delay);
+        }
+
+      } finally {
+        this.release(key);
+      }
+
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Delay before the next attempt, or null to give up
+   * A 429's Retry-After is used as given, unless it is longer than maxRetryAfter.
+   */
+  getRetryDelay(attempt, error) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+    if (retryAfter !== null) {
+      return retryAfter <= this.options.maxRetryAfter ? retryAfter : null;
+    }
+
+    // Equal jitter: half the backoff is fixed, the rest random, so retries from a burst spread out
+    const backoff = Math.min(this.options.baseDelay * 2 ** attempt, this.options.maxDelay);
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  /**
+   * Per-key counters: requests sent, retries, failures (requests given up on),
+   * rateLimited (429 responses), circuitRejected and lastError
+   */
+  getStats(stats, key) {
+    const empty = { requests: 0, retries: 0, failures: 0, rateLimited: 0, circuitRejected: 0, lastError: null };
+    if (!stats) return empty;
+
+    if (!stats.has(key)) {
+      stats.set(key, empty);
+    }
+
+    return stats.get(key);
+  }
+
+  /**
+   * Current circuit breaker state of a key
+   */
+  getCircuitState(key) {
+    return this.breakers.get(key)?.state || CIRCUIT_STATES.CLOSED;
+  }
+
+  hasCapacity(key) {
+    return this.active < this.options.concurrency &&
+      (this.activeByKey.get(key) || 0) < this.options.perKeyConcurrency;
+  }
+
+  take(key) {
+    this.active++;
+    this.activeByKey.set(key, (this.activeByKey.get(key) || 0) + 1);
+  }
+
+  acquire(key) {
+    if (this.hasCapacity(key)) {
+      this.take(key);
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.waiting.push({ key, resolve }));
+  }
+
+  /**
+   * Free a slot and hand it to the longest-waiting request that fits
+   */
+  release(key) {
+    this.active--;
+    this.activeByKey.set(key, this.activeByKey.get(key) - 1);
+
+    const index = this.waiting.findIndex(waiter => this.hasCapacity(waiter.key));
+    if (index === -1) return;
+
+    const [next] = this.waiting.splice(index, 1);
+    this.take(next.key);
+    next.resolve();
+  }
+
+  pause(key, delay) {
+    const until = Date.now() + delay;
+    if (until > (this.pausedUntil.get(key) || 0)) {
+      this.pausedUntil.set(key, until);
+    }
+  }
+
+  async waitForPause(key) {
+    let remaining = (this.pausedUntil.get(key) || 0) - Date.now();
+
+    while (remaining > 0) {
+      await sleep(remaining);
+      remaining = (this.pausedUntil.get(key) || 0) - Date.now();
+    }
+  }
+
+  /**
+   * Whether a request for the key may be sent; moves an open breaker to half-open
+   * once its reset timeout has passed and lets exactly one probe through
+   */
+  allowRequest(key) {
+    const breaker = this.breakers.get(key);
+    if (!breaker || breaker.state === CIRCUIT_STATES.CLOSED) return true;
+
+    if (breaker.state === CIRCUIT_STATES.OPEN && Date.now() - breaker.openedAt >= this.options.resetTimeout) {
+      breaker.state = CIRCUIT_STATES.HALF_OPEN;
+      breaker.probing = false;
+    }
+
+    if (breaker.state === CIRCUIT_STATES.HALF_OPEN && !breaker.probing) {
+      breaker.probing = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess(key) {
+    this.breakers.delete(key);
+  }
+
+  recordFailure(key) {
+    const breaker = this.breakers.get(key) || { state: CIRCUIT_STATES.CLOSED, failures: 0 };
+    breaker.failures++;
+
+    if (breaker.state === CIRCUIT_STATES.HALF_OPEN || breaker.failures >= this.options.failureThreshold) {
+      breaker.state = CIRCUIT_STATES.OPEN;
+      breaker.openedAt = Date.now();
+      breaker.probing = false;
+    }
+
+    this.breakers.set(key, breaker);
+  }
+
+  /**
+   * A probe that failed for a reason that does not count against the breaker lets the next one through
+   */
+  releaseProbe(key) {
+    const breaker = this.breakers.get(key);
+    if (breaker?.state === CIRCUIT_STATES.HALF_OPEN) {
+      breaker.probing = false;
+    }
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  RequestScheduler,
+  isRetryable,
+  parseRetryAfter
+};
\ No newline at end of file
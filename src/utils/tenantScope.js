@@ -0,0 +1,52 @@
+/**
+ * Whether the caller may access a business or organization
+ * A record is in scope if either its business or its organization is.
+ * @param {Object} auth - Caller from apiKeyService.authenticate
+ * @param {Object} tenant - businessId and/or organizationId (ObjectIds or strings)
+ */
+function canAccess(auth, { businessId, organizationId }) {
+  if (auth.unrestricted) return true;
+
+  return (businessId != null && auth.businessIds.includes(String(businessId))) ||
+    (organizationId != null && auth.organizationIds.includes(String(organizationId)));
+}
+
+/**
+ * Same as canAccess, for a document with business_id and organization_id fields
+ */
+function canAccessDocument(auth, doc) {
+  return canAccess(auth, { businessId: doc.business_id, organizationId: doc.organization_id });
+}
+
+/**
+ * MongoDB filter limiting a query to the caller's tenants, or null for unrestricted callers
+ * @param {Object} auth - Caller from apiKeyService.authenticate
+ */
+function scopeFilter(auth) {
+  if (auth.unrestricted) return null;
+
+  return {
+    $or: [
+      { business_id: { $in: auth.businessIds } },
+      { organization_id: { $in: auth.organizationIds } }
+    ]
+  };
+}
+
+/**
+ * Add the caller's scope to a query, keeping any $or it already has
+ * @param {Object} query - MongoDB query
+ * @param {Object|null} scope - Filter from scopeFilter
+ */
+function applyScope(query, scope) {
+  if (!scope) return query;
+
+  return query.$or ? { $and: [query, scope] } : { ...query, ...scope };
+}
+
+module.exports = {
+  applyScope,
+  canAccess,
+  canAccessDocument,
+  scopeFilter
+};
\ No newline at end of file
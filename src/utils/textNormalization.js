@@ -0,0 +1,47 @@
+// Paired WhatsApp formatting markers: *bold*, _italic_, ~strikethrough~
+// Only stripped when they wrap text at word boundaries, so "5*3*2" is left alone
+const FORMATTING_MARKERS = /(^|[\s\p{P}])([*_~])(?!\s)(.+?)(?<!\s)\2(?=$|[\s\p{P}])/gu;
+const MONOSPACE_MARKERS = /```([\s\S]*?)```/g;
+
+const SINGLE_QUOTES = /[\u2018\u2019\u201A\u201B\u2032\u02BC]/g;
+const DOUBLE_QUOTES = /[\u201C\u201D\u201E\u201F\u2033\u00AB\u00BB]/g;
+
+// Zero-width characters and emoji variation selectors, which vary between senders and clients
+const INVISIBLES = /[\u200B-\u200D\u2060\uFEFF\uFE0E\uFE0F]/g;
+
+// Anything that is not a letter, combining mark (needed by Tamil and other Indic scripts),
+// digit, emoji or whitespace
+const NON_CONTENT = /[^\p{L}\p{M}\p{N}\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\s]/gu;
+
+/**
+ * Normalize message text for comparison, safely for every script
+ *
+ * 1. Unicode NFKC (full-width forms, ligatures and compatibility characters)
+ * 2. Strip WhatsApp formatting markers
+ * 3. Collapse smart quotes to ASCII
+ * 4. Locale-aware lowercasing
+ * 5. Drop invisible characters, punctuation and symbols; keep letters of all scripts and emoji
+ * 6. Collapse whitespace
+ *
+ * @param {string} text - Text to normalize
+ * @param {string} locale - BCP 47 locale for case folding
+ * @returns {string} Normalized text
+ */
+function normalizeText(text, locale) {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFKC')
+    .replace(MONOSPACE_MARKERS, '$1')
+    .replace(FORMATTING_MARKERS, '$1$3')
+    .replace(SINGLE_QUOTES, '\'')
+    .replace(DOUBLE_QUOTES, '"')
+    .toLocaleLowerCase(locale)
+    .normalize('NFKC')
+    .replace(INVISIBLES, '')
+    .replace(NON_CONTENT, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { normalizeText };
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Wall-clock time in a time zone, as a Date whose UTC fields hold the local fields
+ */
+function toWallTime(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+/**
+ * The instant at which a time zone's clocks show the given wall-clock time
+ */
+function fromWallTime(wallTime, timeZone) {
+  const guess = new Date(wallTime.getTime() - (toWallTime(wallTime, timeZone) - wallTime));
+
+  // A second pass settles times near a daylight-saving change
+  const instant = new Date(wallTime.getTime() - (toWallTime(guess, timeZone) - guess));
+
+  // A wall-clock time skipped by the clocks going forward runs just after the gap
+  return toWallTime(instant, timeZone).getTime() === wallTime.getTime() ? instant : guess;
+}
+
+module.exports = { toWallTime, fromWallTime };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const zlib = require('zlib');
+const { constants: { MAX_LENGTH } } = require('buffer');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end record is 22 bytes plus a comment of up to 64 KiB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Locate the end of central directory record, searching back over any archive comment
+ */
+function findEndRecord(buffer) {
+  const stop = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+
+  throw new Error('Not a zip archive');
+}
+
+/**
+ * Read the files of a zip archive (stored or deflated; no encryption or zip64)
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} options
+ * @param {Function} [options.filter] - Called with each file name; only files it accepts are extracted
+ * @param {number} [options.maxBytes] - Most bytes to extract from the archive in total
+ * @returns {Array} [{ name, data }] in archive order
+ * @throws {Error} If the archive is malformed, unsupported or extracts to more than maxBytes
+ */
+function readZipEntries(buffer, options = {}) {
+  const { filter = () => true, maxBytes = Infinity } = options;
+  const endRecord = findEndRecord(buffer);
+  const entryCount = buffer.readUInt16LE(endRecord + 10);
+  let offset = buffer.readUInt32LE(endRecord + 16);
+
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error('Zip64 archives are not supported');
+  }
+
+  const entries = [];
+  let extracted = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeader = buffer.readUInt32LE(offset + 42);
+    // Bit 11 marks UTF-8 names; older archivers wrote CP437, which only matters beyond ASCII
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+
+    if (flags & 0x1) {
+      throw new Error(`${name} is encrypted`);
+    }
+
+    if (localHeader + 30 > buffer.length || buffer.readUInt32LE(localHeader) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip entry: ${name}`);
+    }
+
+    const dataStart = localHeader + 30 + buffer.readUInt16LE(localHeader + 26) + buffer.readUInt16LE(localHeader + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    // Sizes in the directory can lie, so the inflate itself is capped
+    const remaining = maxBytes - extracted;
+    if (size > remaining) {
+      throw new Error(`Archive extracts to more than ${maxBytes} bytes`);
+    }
+
+    let data;
+    if (method === METHOD_STORED) {
+      data = compressed;
+    } else if (method === METHOD_DEFLATE) {
+      try {
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, Math.min(remaining, MAX_LENGTH)) });
+      } catch (error) {
+        throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+          ? `Archive extracts to more than ${maxBytes} bytes`
+          : `Cannot inflate ${name}: ${error.message}`);
+      }
+    } else {
+      throw new Error(`${name} uses unsupported compression method ${method}`);
+    }
+
+    if (data.length > remaining) {
+      throw new Error(`Archive extracts to more than ${maxBytes} bytes`);
+    }
+
+    extracted += data.length;
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
+
+module.exports = { readZipEntries };
\ No newline at end of file